@@ -0,0 +1,138 @@
+/**
+ * Nashville Dispatch Address Normalizer
+ * Dispatch spells the same street many ways ("8TH AVE S", "8TH AV S",
+ * "EIGHTH AVENUE SOUTH"). Streets are brought to one form, USPS style:
+ * abbreviated suffixes and directionals, numbered ordinals. Locations
+ * parse into the street, the cross street for intersections, and the
+ * hundred block for addresses ("2600 BLK 8TH AVE S").
+ */
+
+const SUFFIXES = {
+    ALLEY: 'ALY', ALY: 'ALY',
+    AVENUE: 'AVE', AVE: 'AVE', AV: 'AVE', AVN: 'AVE',
+    BOULEVARD: 'BLVD', BLVD: 'BLVD', BLV: 'BLVD',
+    BYPASS: 'BYP', BYP: 'BYP',
+    CIRCLE: 'CIR', CIR: 'CIR', CIRC: 'CIR',
+    COURT: 'CT', CT: 'CT',
+    COVE: 'CV', CV: 'CV',
+    CROSSING: 'XING', XING: 'XING',
+    DRIVE: 'DR', DR: 'DR', DRV: 'DR',
+    EXPRESSWAY: 'EXPY', EXPY: 'EXPY',
+    FREEWAY: 'FWY', FWY: 'FWY',
+    HIGHWAY: 'HWY', HWY: 'HWY', HY: 'HWY',
+    LANE: 'LN', LN: 'LN',
+    LOOP: 'LOOP',
+    PARKWAY: 'PKWY', PKWY: 'PKWY', PKY: 'PKWY',
+    PIKE: 'PIKE', PK: 'PIKE',
+    PLACE: 'PL', PL: 'PL',
+    PLAZA: 'PLZ', PLZ: 'PLZ',
+    POINT: 'PT', PT: 'PT',
+    ROAD: 'RD', RD: 'RD',
+    SQUARE: 'SQ', SQ: 'SQ',
+    STREET: 'ST', ST: 'ST', STR: 'ST',
+    TERRACE: 'TER', TER: 'TER', TERR: 'TER',
+    TRACE: 'TRCE', TRCE: 'TRCE',
+    TRAIL: 'TRL', TRL: 'TRL',
+    TURNPIKE: 'TPKE', TPKE: 'TPKE',
+    WAY: 'WAY'
+};
+
+const DIRECTIONS = {
+    NORTH: 'N', N: 'N',
+    SOUTH: 'S', S: 'S',
+    EAST: 'E', E: 'E',
+    WEST: 'W', W: 'W',
+    NORTHEAST: 'NE', NE: 'NE',
+    NORTHWEST: 'NW', NW: 'NW',
+    SOUTHEAST: 'SE', SE: 'SE',
+    SOUTHWEST: 'SW', SW: 'SW'
+};
+
+const ORDINALS = {
+    FIRST: '1ST', SECOND: '2ND', THIRD: '3RD', FOURTH: '4TH', FIFTH: '5TH',
+    SIXTH: '6TH', SEVENTH: '7TH', EIGHTH: '8TH', NINTH: '9TH', TENTH: '10TH',
+    ELEVENTH: '11TH', TWELFTH: '12TH', THIRTEENTH: '13TH', FOURTEENTH: '14TH', FIFTEENTH: '15TH',
+    SIXTEENTH: '16TH', SEVENTEENTH: '17TH', EIGHTEENTH: '18TH', NINETEENTH: '19TH', TWENTIETH: '20TH'
+};
+
+// Names where a leading direction is part of the name, not a directional
+const NAMED_DIRECTIONS = new Set(['WEST END']);
+
+/**
+ * One spelling per street: "EIGHTH AVENUE SOUTH" -> "8TH AVE S",
+ * "I-40 EAST" -> "I 40 E". Returns null for blanks.
+ */
+function normalizeStreet(name) {
+    if (!name) return null;
+    const words = String(name).toUpperCase()
+        .replace(/[.,#]/g, ' ')
+        .replace(/\b(I|US|SR)-(\d+)/g, '$1 $2')
+        .replace(/\bINTERSTATE\s+(\d+)/g, 'I $1')
+        .split(/\s+/)
+        .filter(Boolean);
+    if (words.length === 0) return null;
+    
+    // Only the first and last words can be directionals, and never the whole name
+    const out = words.map(w => ORDINALS[w] || w);
+    if (out.length > 1 && DIRECTIONS[out[0]] && !NAMED_DIRECTIONS.has(`${out[0]} ${out[1]}`) && !SUFFIXES[out[1]]) {
+        out[0] = DIRECTIONS[out[0]];
+    }
+    let end = out.length - 1;
+    if (end > 0 && DIRECTIONS[out[end]]) {
+        out[end] = DIRECTIONS[out[end]];
+        end--;
+    }
+    // The suffix is the last word before any trailing directional
+    if (end > 0 && SUFFIXES[out[end]]) out[end] = SUFFIXES[out[end]];
+    return out.join(' ');
+}
+
+// "2600 BLK 8TH AVE S" for house numbers 2600-2699
+function blockKey(number, street) {
+    return number == null || !street ? null : `${Math.floor(number / 100) * 100} BLK ${street}`;
+}
+
+/**
+ * Parse a dispatch location. Returns { street, crossStreet, number, block,
+ * intersection } with streets normalized; intersections ("A / B", "A & B",
+ * "A AND B") keep both streets in the order given and have no block.
+ * Returns null for blank locations.
+ */
+function parseLocation(location) {
+    if (!location) return null;
+    const clean = String(location).toUpperCase().replace(/\s+/g, ' ').trim();
+    if (!clean) return null;
+    
+    const parts = clean.split(/\s*(?:\/|&|\bAND\b)\s*/).filter(Boolean);
+    if (parts.length >= 2) {
+        const streets = parts.map(p => normalizeStreet(p.replace(/^\d+[A-Z]?\s+/, ''))).filter(Boolean);
+        if (streets.length >= 2 && streets[0] !== streets[1]) {
+            return { street: streets[0], crossStreet: streets[1], number: null, block: null, intersection: true };
+        }
+    }
+    
+    const match = clean.match(/^(\d+)[A-Z]?(?:-\d+)?\s+(.+)$/);
+    const number = match ? parseInt(match[1]) : null;
+    const street = normalizeStreet(match ? match[2] : parts[0] || clean);
+    return { street, crossStreet: null, number, block: blockKey(number, street), intersection: false };
+}
+
+// "A ST & B AVE" for an intersection, whichever order its streets came in
+function intersectionKey(street, crossStreet) {
+    if (!street || !crossStreet) return null;
+    return [street, crossStreet].sort().join(' & ');
+}
+
+/**
+ * One key per address, for counting repeat calls: "2600 8TH AVE S", an
+ * intersection key, or the street alone when there's no house number.
+ * Returns null for blank locations.
+ */
+function addressKey(location) {
+    const place = parseLocation(location);
+    if (!place || !place.street) return null;
+    if (place.intersection) return intersectionKey(place.street, place.crossStreet);
+    return place.number != null ? `${place.number} ${place.street}` : place.street;
+}
+
+module.exports = { normalizeStreet, parseLocation, blockKey, intersectionKey, addressKey };
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Anomaly Detection
+ * Flags unusual activity in dispatch.db on each poll:
+ *
+ *   spike     - a (category, city) pair's calls in the last hour against its
+ *               baseline for the same hour of the week over the trailing
+ *               ANOMALY_WEEKS weeks, as a z-score. Baselines read the hourly
+ *               rollups of pruned days too (see retention.js)
+ *   cluster   - CLUSTER_MIN or more calls of one type on one street within
+ *               CLUSTER_WINDOW minutes
+ *   new-type  - an incident type never recorded before, raw or rolled up
+ *
+ * Each anomaly alerts once, then stays quiet for its cooldown.
+ *
+ * Usage: node anomalies.js [--explain] [--all] [--at=<ISO time>] [--json]
+ *   Shows what would be flagged now (or at --at) without touching cooldowns.
+ *   --explain prints the baseline behind each spike; --all explains every
+ *   pair with calls in the hour, flagged or not.
+ */
+
+const db = require('./db');
+const taxonomy = require('./taxonomy');
+const { centralClock, centralMidnight } = require('./periods');
+
+const HOUR = 60 * 60 * 1000;
+const WEEK = 7 * 24 * HOUR;
+
+const Z_THRESHOLD = parseFloat(process.env.ANOMALY_Z) || 3;
+const MIN_COUNT = parseInt(process.env.ANOMALY_MIN_COUNT) || 3;       // calls in the hour before a spike counts
+const BASELINE_WEEKS = parseInt(process.env.ANOMALY_WEEKS) || 8;
+const MIN_BASELINE_WEEKS = 3;                                          // fewer weeks of history and spikes aren't checked
+const CLUSTER_WINDOW = (parseInt(process.env.CLUSTER_WINDOW) || 30) * 60 * 1000;
+const CLUSTER_MIN = parseInt(process.env.CLUSTER_MIN) || 3;
+const NEW_TYPE_HISTORY = 7 * 24 * HOUR;                                // every type looks new in a young database
+
+const COOLDOWNS = { spike: HOUR, cluster: CLUSTER_WINDOW, 'new-type': HOUR };
+
+// --- Spikes ---
+
+const currentCounts = db.db.prepare(`
+    SELECT category, city, COUNT(*) as count
+    FROM incidents
+    WHERE call_received > @since AND call_received <= @now
+      AND category IS NOT NULL AND city IS NOT NULL AND city != ''
+    GROUP BY category, city
+`);
+
+// One Central clock hour: raw calls plus the rollup of its day if it was pruned.
+// A pruned day has no raw rows left, so the two never overlap
+const slotCounts = db.db.prepare(`
+    SELECT category, city, SUM(count) as count FROM (
+        SELECT category, city, 1 AS count
+        FROM incidents
+        WHERE call_received >= @from AND call_received < @to
+        UNION ALL
+        SELECT category, city, count
+        FROM hourly_city_counts
+        WHERE date = @date AND hour = @hour
+    )
+    WHERE category IS NOT NULL AND category != '' AND city IS NOT NULL AND city != ''
+    GROUP BY category, city
+`);
+
+// Start of the history baselines can see: the first raw call, or the first
+// day in the per-city rollups. Days pruned before those existed don't count
+function historyStart() {
+    const firstRaw = db.db.prepare('SELECT MIN(call_received) FROM incidents').pluck().get();
+    const firstRollup = db.db.prepare('SELECT MIN(date) FROM hourly_city_counts').pluck().get();
+    const starts = [firstRaw, firstRollup && centralMidnight(firstRollup)].filter(s => s != null);
+    return starts.length ? Math.min(...starts) : null;
+}
+
+/**
+ * Baselines for every (category, city) pair with calls in the hour before
+ * `now`. The baseline slots are the Central clock hours 1..weeks weeks back
+ * that hold most of that same hour, so they line up on hour of the week and
+ * can be read from the hourly rollups once their days are pruned. Slots
+ * before the start of the history don't count.
+ */
+function rateBaselines(now = Date.now(), weeks = BASELINE_WEEKS) {
+    const first = historyStart();
+    if (first == null) return [];
+    
+    const slots = [];
+    for (let k = 1; k <= weeks; k++) {
+        // Central offsets are whole hours, so UTC hours are Central clock hours
+        const from = Math.floor((now - k * WEEK - HOUR / 2) / HOUR) * HOUR;
+        if (from < first) break;
+        const clock = centralClock(new Date(from));
+        const counts = new Map(slotCounts.all({ from, to: from + HOUR, date: clock.date, hour: Math.floor(clock.minutes / 60) })
+            .map(r => [`${r.category}:${r.city}`, r.count]));
+        slots.push({ weeksAgo: k, from, to: from + HOUR, counts });
+    }
+    
+    return currentCounts.all({ since: now - HOUR, now }).map(pair => {
+        const key = `${pair.category}:${pair.city}`;
+        const counts = slots.map(s => s.counts.get(key) || 0);
+        const mean = counts.length ? counts.reduce((a, b) => a + b, 0) / counts.length : 0;
+        const variance = counts.length > 1 ? counts.reduce((sum, c) => sum + (c - mean) ** 2, 0) / (counts.length - 1) : 0;
+        // Quiet slots have next to no variance; flooring at a Poisson-ish sqrt(mean)
+        // (and at least 1) keeps a couple of calls from reading as a huge z
+        const sd = Math.max(Math.sqrt(variance), Math.sqrt(Math.max(mean, 1)));
+        return {
+            category: pair.category,
+            city: pair.city,
+            count: pair.count,
+            baseline: { slots: slots.map((s, i) => ({ weeksAgo: s.weeksAgo, from: s.from, to: s.to, count: counts[i] })), mean, sd },
+            zScore: counts.length >= MIN_BASELINE_WEEKS ? (pair.count - mean) / sd : null
+        };
+    }).sort((a, b) => (b.zScore ?? -Infinity) - (a.zScore ?? -Infinity));
+}
+
+function isSpike(rate) {
+    return rate.zScore !== null && rate.zScore >= Z_THRESHOLD && rate.count >= MIN_COUNT;
+}
+
+function findSpikes(now) {
+    return rateBaselines(now).filter(isSpike).map(rate => ({
+        type: 'spike',
+        key: `spike:${rate.category}:${rate.city}`,
+        ...rate
+    }));
+}
+
+// --- Clusters and new types ---
+
+function findClusters(now) {
+    const groups = db.db.prepare(`
+        SELECT incident_type, street, city, COUNT(*) as count
+        FROM incidents
+        WHERE call_received > @since AND call_received <= @now AND street IS NOT NULL
+        GROUP BY incident_type, street, city
+        HAVING COUNT(*) >= @min
+    `).all({ since: now - CLUSTER_WINDOW, now, min: CLUSTER_MIN });
+    
+    const members = db.db.prepare(`
+        SELECT * FROM incidents
+        WHERE call_received > @since AND call_received <= @now
+          AND incident_type = @type AND street = @street AND city IS @city
+        ORDER BY call_received
+    `);
+    return groups.map(g => ({
+        type: 'cluster',
+        key: `cluster:${g.incident_type}:${g.street}:${g.city || ''}`,
+        incidentType: g.incident_type,
+        street: g.street,
+        city: g.city,
+        count: g.count,
+        incidents: members.all({ since: now - CLUSTER_WINDOW, now, type: g.incident_type, street: g.street, city: g.city })
+    }));
+}
+
+function findNewTypes(now) {
+    const first = db.db.prepare('SELECT MIN(call_received) as first FROM incidents').get().first;
+    if (first == null || now - first < NEW_TYPE_HISTORY) return [];
+    
+    // A type last seen on a pruned day is in the rollups, not new
+    return db.db.prepare(`
+        SELECT incident_type, MIN(call_received) as first_seen, COUNT(*) as count
+        FROM incidents
+        WHERE call_received <= @now
+          AND incident_type NOT IN (SELECT incident_type FROM daily_type_city_counts)
+        GROUP BY incident_type
+        HAVING first_seen > @since
+    `).all({ now, since: now - HOUR }).map(t => ({
+        type: 'new-type',
+        key: `new-type:${t.incident_type}`,
+        incidentType: t.incident_type,
+        count: t.count,
+        incidents: db.db.prepare('SELECT * FROM incidents WHERE incident_type = ? AND call_received <= ? ORDER BY call_received').all(t.incident_type, now)
+    }));
+}
+
+// --- Detection ---
+
+const upsertCooldown = db.db.prepare(`
+    INSERT INTO anomaly_cooldowns (key, last_fired_at) VALUES (@key, @now)
+    ON CONFLICT(key) DO UPDATE SET last_fired_at = @now
+`);
+
+/**
+ * Everything unusual as of `now`. With `record` (the poller) anomalies
+ * still in their cooldown are dropped and the rest start one; without it
+ * (the CLI) everything is returned and nothing is written.
+ */
+function detect({ now = Date.now(), record = true } = {}) {
+    const found = [...findSpikes(now), ...findClusters(now), ...findNewTypes(now)];
+    if (!record) return found;
+    
+    const cooldowns = new Map(db.db.prepare('SELECT * FROM anomaly_cooldowns').all().map(c => [c.key, c.last_fired_at]));
+    const fresh = found.filter(a => !(cooldowns.has(a.key) && now - cooldowns.get(a.key) < COOLDOWNS[a.type]));
+    for (const anomaly of fresh) upsertCooldown.run({ key: anomaly.key, now });
+    return fresh;
+}
+
+// --- Formatting ---
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        timeZone: 'America/Chicago',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true
+    });
+}
+
+function categoryInfo(category) {
+    return taxonomy.categories().find(c => c.category === category) || taxonomy.classify(null, null);
+}
+
+function formatAnomaly(anomaly) {
+    switch (anomaly.type) {
+        case 'spike': {
+            const { emoji, label } = categoryInfo(anomaly.category);
+            return `📈 **${label} spike in ${anomaly.city}**: ${emoji} ${anomaly.count} calls in the last hour vs ${anomaly.baseline.mean.toFixed(1)} ± ${anomaly.baseline.sd.toFixed(1)} usual (z = ${anomaly.zScore.toFixed(1)})`;
+        }
+        case 'cluster':
+            return `🎯 **${anomaly.count}× ${anomaly.incidentType}** on ${anomaly.street}${anomaly.city ? ` (${anomaly.city})` : ''} within ${CLUSTER_WINDOW / 60000} min: ${anomaly.incidents.map(i => formatTime(i.call_received)).join(', ')}`;
+        default:
+            return `🆕 **New incident type: ${anomaly.incidentType}** at ${anomaly.incidents.map(i => `${i.location || 'Unknown'}${i.city ? ` (${i.city})` : ''}`).join('; ')}`;
+    }
+}
+
+// Sink message (see sinks.js) for one anomaly
+function alertMessage(anomaly) {
+    const info = anomaly.type === 'spike'
+        ? categoryInfo(anomaly.category)
+        : taxonomy.classify(anomaly.incidents[0].incident_code, anomaly.incidentType);
+    const titles = { spike: '📈 Spike', cluster: '🎯 Cluster', 'new-type': '🆕 New incident type' };
+    const { incidents, ...data } = anomaly;
+    return {
+        kind: 'alert',
+        title: titles[anomaly.type],
+        text: formatAnomaly(anomaly),
+        color: info.color,
+        severity: info.severity,
+        data: { ...data, incidentIds: incidents ? incidents.map(i => i.object_id) : undefined }
+    };
+}
+
+// The baseline a spike (or any rate) was compared against, one slot per line
+function explainRate(rate) {
+    const { emoji, label } = categoryInfo(rate.category);
+    const lines = [`### ${emoji} ${label} / ${rate.city}: ${rate.count} in the last hour`];
+    for (const slot of rate.baseline.slots) {
+        const when = new Date(slot.from).toLocaleString('en-US', { timeZone: 'America/Chicago', weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        lines.push(`- ${slot.weeksAgo}w ago (${when} +1h): ${slot.count}`);
+    }
+    lines.push(`- mean ${rate.baseline.mean.toFixed(2)}, sd ${rate.baseline.sd.toFixed(2)} over ${rate.baseline.slots.length} week${rate.baseline.slots.length !== 1 ? 's' : ''}`);
+    lines.push(rate.zScore === null
+        ? `- not scored: needs ${MIN_BASELINE_WEEKS} weeks of history`
+        : `- z = (${rate.count} - ${rate.baseline.mean.toFixed(2)}) / ${rate.baseline.sd.toFixed(2)} = ${rate.zScore.toFixed(2)} (spike at z >= ${Z_THRESHOLD} with >= ${MIN_COUNT} calls)${isSpike(rate) ? ' 📈' : ''}`);
+    return lines.join('\n');
+}
+
+function cli(args) {
+    const atArg = args.find(a => a.startsWith('--at='));
+    const now = atArg ? Date.parse(atArg.slice(5)) : Date.now();
+    if (isNaN(now)) throw new Error('--at must be an ISO date/time');
+    
+    const anomalies = detect({ now, record: false });
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(anomalies, null, 2));
+        return;
+    }
+    
+    console.log(`# 🔎 Anomalies as of ${new Date(now).toLocaleString('en-US', { timeZone: 'America/Chicago' })} CT\n`);
+    console.log(anomalies.length ? anomalies.map(formatAnomaly).join('\n') : '_Nothing unusual_');
+    
+    if (args.includes('--explain') || args.includes('--all')) {
+        const rates = rateBaselines(now).filter(r => args.includes('--all') || isSpike(r));
+        console.log(`\n## Baselines (same hour of the week, last ${BASELINE_WEEKS} weeks)\n`);
+        console.log(rates.length ? rates.map(explainRate).join('\n\n') : '_No spikes to explain (--all shows every pair)_');
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    try {
+        cli(process.argv.slice(2));
+    } catch (err) {
+        console.error('Error:', err.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { detect, rateBaselines, formatAnomaly, alertMessage, explainRate, BASELINE_WEEKS };
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch REST API
+ * Serves the dispatch.db history as JSON over plain Node http
+ * Usage: node api-server.js [--port=3000] [--host=127.0.0.1]
+ *
+ * Endpoints (all GET, all support ?limit=&offset=):
+ *   /incidents/active
+ *   /incidents?since=&until=&type=&city=&street=
+ *   /stats/types?hours=24
+ *   /stats/daily?days=30
+ *   /stats/hourly?days=30
+ *   /hotspots?days=30&by=street|block|intersection
+ *   /reports?period=daily|weekly|monthly
+ *   /reports/:period/:start      (start is the period's first ISO date)
+ *
+ * Live dashboard:
+ *   /                      auto-refreshing Leaflet map
+ *   /dashboard/incidents   feed the dashboard polls
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const db = require('./db');
+const dashboard = require('./dashboard');
+const { PERIODS } = require('./periods');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Thrown by handlers to produce a JSON error response
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function intParam(query, name, fallback, { min = 0, max = Infinity } = {}) {
+    const raw = query.get(name);
+    if (raw === null || raw === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+        throw new HttpError(400, `${name} must be an integer ${range}`);
+    }
+    return value;
+}
+
+// Accepts epoch milliseconds or anything Date.parse understands (e.g. 2026-01-18)
+function timeParam(query, name) {
+    const raw = query.get(name);
+    if (raw === null || raw === '') return undefined;
+    const value = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+    if (Number.isNaN(value)) {
+        throw new HttpError(400, `${name} must be epoch milliseconds or an ISO date`);
+    }
+    return value;
+}
+
+// Path segments like /reports/weekly/2026-01-18; a broken %-escape is the client's mistake
+function decodeParam(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (e) {
+        throw new HttpError(400, `Malformed path segment "${segment}"`);
+    }
+}
+
+function pageParams(query) {
+    return {
+        limit: intParam(query, 'limit', DEFAULT_LIMIT, { min: 1, max: MAX_LIMIT }),
+        offset: intParam(query, 'offset', 0)
+    };
+}
+
+function paginate(rows, query) {
+    const { limit, offset } = pageParams(query);
+    return {
+        data: rows.slice(offset, offset + limit),
+        pagination: { limit, offset, total: rows.length }
+    };
+}
+
+const routes = [
+    {
+        pattern: /^\/$/,
+        contentType: 'text/html; charset=utf-8',
+        handler: () => dashboard.renderDashboard()
+    },
+    {
+        pattern: /^\/dashboard\/incidents$/,
+        handler: () => dashboard.getDashboardData()
+    },
+    {
+        pattern: /^\/incidents\/active$/,
+        handler: (query) => paginate(db.getActive(), query)
+    },
+    {
+        pattern: /^\/incidents$/,
+        handler: (query) => {
+            const { limit, offset } = pageParams(query);
+            const { rows, total } = db.queryIncidents({
+                since: timeParam(query, 'since'),
+                until: timeParam(query, 'until'),
+                type: query.get('type'),
+                city: query.get('city'),
+                street: query.get('street'),
+                limit,
+                offset
+            });
+            return { data: rows, pagination: { limit, offset, total } };
+        }
+    },
+    {
+        pattern: /^\/stats\/types$/,
+        handler: (query) => paginate(db.getTypeStats(intParam(query, 'hours', 24, { min: 1 })), query)
+    },
+    {
+        pattern: /^\/stats\/daily$/,
+        handler: (query) => paginate(db.getDailyStats(intParam(query, 'days', 30, { min: 1 })), query)
+    },
+    {
+        pattern: /^\/stats\/hourly$/,
+        handler: (query) => paginate(db.getHourlyStats(intParam(query, 'days', 30, { min: 1 })), query)
+    },
+    {
+        pattern: /^\/hotspots$/,
+        handler: (query) => {
+            const by = query.get('by') || 'street';
+            if (!db.HOTSPOT_KINDS.includes(by)) throw new HttpError(400, `by must be one of ${db.HOTSPOT_KINDS.join(', ')}`);
+            const days = intParam(query, 'days', 30, { min: 1 });
+            const { limit, offset } = pageParams(query);
+            return {
+                data: db.getViolentStreets(days, limit, by, offset),
+                pagination: { limit, offset, total: db.countViolentStreets(days, by) }
+            };
+        }
+    },
+    {
+        pattern: /^\/reports$/,
+        handler: (query) => {
+            const period = query.get('period');
+            if (period && !PERIODS.includes(period)) throw new HttpError(400, `period must be one of ${PERIODS.join(', ')}`);
+            return paginate(db.listReports(period), query);
+        }
+    },
+    {
+        pattern: /^\/reports\/(daily|weekly|monthly)\/([^/]+)$/,
+        handler: (query, [period, start]) => {
+            const report = db.getReport(period, start);
+            if (!report) throw new HttpError(404, `No ${period} report starting ${start}`);
+            return { data: report };
+        }
+    }
+];
+
+function send(req, res, status, body, contentType) {
+    const etag = `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('ETag', etag);
+    
+    if (status === 200 && req.headers['if-none-match'] === etag) {
+        res.writeHead(304);
+        return res.end();
+    }
+    
+    res.writeHead(status);
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function sendJSON(req, res, status, payload) {
+    send(req, res, status, JSON.stringify(payload), 'application/json; charset=utf-8');
+}
+
+function handleRequest(req, res, routeTable = routes) {
+    const url = new URL(req.url, 'http://localhost');
+    
+    try {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.setHeader('Allow', 'GET, HEAD');
+            throw new HttpError(405, `Method ${req.method} not allowed`);
+        }
+        
+        for (const route of routeTable) {
+            const match = url.pathname.match(route.pattern);
+            if (match) {
+                const params = match.slice(1).map(decodeParam);
+                const result = route.handler(url.searchParams, params);
+                // Routes like /healthz pick their own status from the result
+                const status = route.status ? route.status(result) : 200;
+                if (route.contentType) {
+                    return send(req, res, status, result, route.contentType);
+                }
+                return sendJSON(req, res, status, result);
+            }
+        }
+        throw new HttpError(404, `No route for ${url.pathname}`);
+    } catch (err) {
+        if (!(err instanceof HttpError)) {
+            console.error(`${req.method} ${req.url} failed:`, err.message);
+        }
+        sendJSON(req, res, err.status || 500, { error: err instanceof HttpError ? err.message : 'Internal server error' });
+    }
+}
+
+// `extraRoutes` are matched ahead of the built-in ones (the daemon adds /healthz)
+function createServer(extraRoutes = []) {
+    const routeTable = [...extraRoutes, ...routes];
+    return http.createServer((req, res) => handleRequest(req, res, routeTable));
+}
+
+// Run if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const portArg = args.find(a => a.startsWith('--port='));
+    const hostArg = args.find(a => a.startsWith('--host='));
+    const port = portArg ? parseInt(portArg.split('=')[1]) : (parseInt(process.env.PORT) || 3000);
+    const host = hostArg ? hostArg.split('=')[1] : (process.env.HOST || '127.0.0.1');
+    
+    createServer().listen(port, host, () => {
+        console.log(`Nashville Dispatch API listening on http://${host}:${port}`);
+    });
+}
+
+module.exports = { createServer, routes, HttpError };
@@ -0,0 +1,277 @@
+/**
+ * Nashville Dispatch ArcGIS Client
+ * Fetches the full active dispatch table from the MNPD FeatureServer,
+ * paginating with resultOffset, retrying transient failures with backoff
+ * and validating every feature before handing it to callers.
+ *
+ * With `record` (or ARCGIS_RECORD) set to a directory, every fetch is saved
+ * there as a snapshot: the raw page bodies plus the failure, if any.
+ * replaySnapshot() feeds one back through the same paging and validation,
+ * so a recorded night can be replayed offline (see dispatch-monitor.js
+ * --replay).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const QUERY_URL = process.env.ARCGIS_URL || 'https://services2.arcgis.com/HdTo6HJqh92wn4D8/arcgis/rest/services/Metro_Nashville_Police_Department_Active_Dispatch_Table_view/FeatureServer/0/query';
+
+const DEFAULTS = {
+    pageSize: 100,
+    maxPages: 50,
+    timeout: 15000,      // per request, ms
+    retries: 3,
+    backoff: 1000,       // first retry delay, doubled each attempt
+    record: process.env.ARCGIS_RECORD || null
+};
+
+// Base class so callers can catch any fetch failure in one place
+class DispatchFetchError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = this.constructor.name;
+    }
+}
+
+// Non-2xx HTTP status
+class HttpError extends DispatchFetchError {
+    constructor(statusCode, url) {
+        super(`HTTP ${statusCode} from ArcGIS`);
+        this.statusCode = statusCode;
+        this.url = url;
+        this.retryable = statusCode === 429 || statusCode >= 500;
+    }
+}
+
+class TimeoutError extends DispatchFetchError {
+    constructor(ms) {
+        super(`ArcGIS request timed out after ${ms}ms`);
+        this.retryable = true;
+    }
+}
+
+// ArcGIS reports failures as HTTP 200 with an {error: {...}} body
+class ArcGISError extends DispatchFetchError {
+    constructor(error) {
+        super(`ArcGIS error ${error.code}: ${error.message}${error.details?.length ? ` (${error.details.join('; ')})` : ''}`);
+        this.code = error.code;
+        this.details = error.details || [];
+        this.retryable = !error.code || error.code >= 500;
+    }
+}
+
+// Response body isn't the shape we expect
+class SchemaError extends DispatchFetchError {}
+
+// A later page failed; `incidents` holds everything fetched before it
+class PartialResultError extends DispatchFetchError {
+    constructor(incidents, cause) {
+        super(`Fetched ${incidents.length} incidents before a page failed: ${cause.message}`, { cause });
+        this.incidents = incidents;
+    }
+}
+
+function buildUrl(offset, pageSize) {
+    const params = new URLSearchParams({
+        where: '1=1',
+        outFields: '*',
+        orderByFields: 'ObjectId',
+        resultOffset: String(offset),
+        resultRecordCount: String(pageSize),
+        f: 'json'
+    });
+    return `${QUERY_URL}?${params}`;
+}
+
+function getJSON(url, timeout) {
+    const transport = url.startsWith('http:') ? http : https;
+    
+    return new Promise((resolve, reject) => {
+        const req = transport.get(url, { timeout }, (res) => {
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                res.resume();
+                return reject(new HttpError(res.statusCode, url));
+            }
+            
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                try {
+                    resolve(JSON.parse(data));
+                } catch (e) {
+                    reject(new SchemaError(`Invalid JSON from ArcGIS: ${e.message}`, { cause: e }));
+                }
+            });
+            res.on('error', reject);
+        });
+        req.on('timeout', () => req.destroy(new TimeoutError(timeout)));
+        req.on('error', reject);
+    });
+}
+
+// Network-level errors (ECONNRESET etc.) are worth retrying too
+function isRetryable(err) {
+    if (err instanceof DispatchFetchError) return !!err.retryable;
+    return typeof err.code === 'string';
+}
+
+async function withRetry(fn, { retries, backoff }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= retries || !isRetryable(err)) throw err;
+            const delay = backoff * 2 ** attempt;
+            console.error(`ArcGIS fetch failed (${err.message}), retrying in ${delay}ms`);
+            await new Promise(r => setTimeout(r, delay));
+        }
+    }
+}
+
+function validAttributes(a) {
+    return a
+        && Number.isInteger(a.ObjectId)
+        && typeof a.IncidentTypeName === 'string'
+        && Number.isFinite(a.CallReceivedTime);
+}
+
+function parsePage(body) {
+    if (body && body.error) {
+        throw new ArcGISError(body.error);
+    }
+    if (!body || !Array.isArray(body.features)) {
+        throw new SchemaError('ArcGIS response has no features array');
+    }
+    
+    const incidents = [];
+    let invalid = 0;
+    for (const feature of body.features) {
+        if (validAttributes(feature?.attributes)) {
+            incidents.push(feature.attributes);
+        } else {
+            invalid++;
+        }
+    }
+    if (invalid > 0) {
+        console.error(`Skipped ${invalid} malformed ArcGIS feature${invalid !== 1 ? 's' : ''}`);
+    }
+    
+    return { incidents, more: body.exceededTransferLimit === true };
+}
+
+// Follow pages until ArcGIS stops reporting exceededTransferLimit;
+// `fetchPage(offset)` resolves to a parsed page
+async function collectPages(fetchPage, { pageSize, maxPages }) {
+    const incidents = [];
+    const seen = new Set();
+    
+    for (let page = 0; page < maxPages; page++) {
+        let result;
+        try {
+            result = await fetchPage(page * pageSize);
+        } catch (err) {
+            if (page === 0) throw err;
+            throw new PartialResultError(incidents, err);
+        }
+        
+        // Rows can shift between pages while the table changes; drop repeats
+        for (const incident of result.incidents) {
+            if (!seen.has(incident.ObjectId)) {
+                seen.add(incident.ObjectId);
+                incidents.push(incident);
+            }
+        }
+        
+        if (!result.more) return incidents;
+    }
+    
+    throw new PartialResultError(incidents, new DispatchFetchError(`Gave up after ${maxPages} pages`));
+}
+
+// --- Snapshots ---
+
+// "2026-10-18T02-15-00-000Z.json", so snapshots sort by time
+function snapshotFile(dir, fetchedAt) {
+    return path.join(dir, `${new Date(fetchedAt).toISOString().replace(/[:.]/g, '-')}.json`);
+}
+
+// A snapshot that can't be written shouldn't cost us the poll
+function saveSnapshot(dir, snapshot) {
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(snapshotFile(dir, snapshot.fetchedAt), JSON.stringify(snapshot));
+    } catch (err) {
+        console.error(`Could not record ArcGIS snapshot in ${dir}: ${err.message}`);
+    }
+}
+
+// Snapshot files in a directory, oldest first
+function listSnapshots(dir) {
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+function readSnapshot(file) {
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Number.isFinite(snapshot.fetchedAt) || !Array.isArray(snapshot.pages)) {
+        throw new SchemaError(`${file} is not an ArcGIS snapshot`);
+    }
+    return snapshot;
+}
+
+/**
+ * The incidents a recorded fetch returned, with the same failures:
+ * the recorded error for the first page is thrown as a DispatchFetchError,
+ * and for a later page as PartialResultError.
+ */
+async function replaySnapshot(snapshot, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    return collectPages(async (offset) => {
+        const recorded = snapshot.pages.find(p => p.offset === offset);
+        if (recorded) return parsePage(recorded.body);
+        throw new DispatchFetchError(snapshot.error ? snapshot.error.message : `Snapshot has no page at offset ${offset}`);
+    }, opts);
+}
+
+/**
+ * Fetch every active incident, following pages until ArcGIS stops
+ * reporting exceededTransferLimit. Throws a DispatchFetchError subclass on
+ * failure, or PartialResultError when a page after the first fails.
+ */
+async function fetchActiveIncidents(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const snapshot = opts.record ? { fetchedAt: Date.now(), url: QUERY_URL, pages: [] } : null;
+    
+    const fetchPage = (offset) => withRetry(async () => {
+        const body = await getJSON(buildUrl(offset, opts.pageSize), opts.timeout);
+        const result = parsePage(body);
+        if (snapshot) snapshot.pages.push({ offset, body });
+        return result;
+    }, opts);
+    
+    try {
+        return await collectPages(fetchPage, opts);
+    } catch (err) {
+        if (snapshot) snapshot.error = { message: (err instanceof PartialResultError ? err.cause : err).message };
+        throw err;
+    } finally {
+        if (snapshot) saveSnapshot(opts.record, snapshot);
+    }
+}
+
+module.exports = {
+    fetchActiveIncidents,
+    replaySnapshot,
+    listSnapshots,
+    readSnapshot,
+    DispatchFetchError,
+    HttpError,
+    TimeoutError,
+    ArcGISError,
+    SchemaError,
+    PartialResultError
+};
@@ -0,0 +1,213 @@
+/**
+ * Nashville Dispatch Status Board
+ * Lays every active call out over as many pages as it takes, grouped by
+ * category or by area (city), and keeps one message per page on each sink
+ * that takes status messages. Calls in the same event (see events.js) share
+ * one line, and calls at a chronic address (see chronic.js) are marked
+ * "🔁 repeat location (N calls/30d)".
+ *
+ * Page 1 is keyed "status" (so ids adopted from before still work) and the
+ * rest "status:2", "status:3", ... A page is only re-sent when its content
+ * changed; when the board shrinks, the extra pages are deleted where the
+ * sink can delete. Each page keeps its message id for as long as it exists.
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+const taxonomy = require('./taxonomy');
+const sinks = require('./sinks');
+const events = require('./events');
+const chronic = require('./chronic');
+
+// Discord embeds hold 4096 characters; leave room for "(cont.)" headings
+const PAGE_LIMIT = parseInt(process.env.BOARD_PAGE_LIMIT) || 3800;
+
+// 'category' or 'area'
+const GROUP_BY = process.env.BOARD_GROUP || 'category';
+
+const TITLE = '🚔 Nashville Active Dispatch';
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        timeZone: 'America/Chicago',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true
+    });
+}
+
+// One line per call, as on the board and in change digests
+function formatIncident(inc) {
+    const { emoji } = taxonomy.classifyIncident(inc);
+    return `${emoji} **${inc.IncidentTypeName}** - ${inc.Location || 'Unknown'}${inc.CityName ? ` (${inc.CityName})` : ''} @ ${formatTime(inc.CallReceivedTime)}`;
+}
+
+// Several active calls from one event: "🔫 **SHOTS FIRED → ASSAULT** ×2 - ..."
+// at the most severe call's location, timed from the first
+function formatEvent(item) {
+    const { lead, info, incidents } = item;
+    return `${info.emoji} **${events.typeChain(incidents.map(i => i.IncidentTypeName))}** ×${incidents.length} - ` +
+        `${lead.Location || 'Unknown'}${lead.CityName ? ` (${lead.CityName})` : ''} @ ${formatTime(incidents[0].CallReceivedTime)}`;
+}
+
+// Board lines: one per event or lone call, classified by its most severe call.
+// `repeats` maps calls at chronic addresses to the address's stats
+function boardItems(incidents, repeats = new Map()) {
+    return events.groupActive(incidents).map(members => {
+        const infos = members.map(inc => taxonomy.classifyIncident(inc));
+        const info = infos.reduce((w, i) => i.severity < w.severity ? i : w);
+        const item = { incidents: members, lead: members[infos.indexOf(info)], info, time: members[members.length - 1].CallReceivedTime };
+        const line = members.length > 1 ? formatEvent(item) : formatIncident(members[0]);
+        const repeat = repeats.get(item.lead) || members.map(m => repeats.get(m)).find(Boolean);
+        return { ...item, line: repeat ? `${line} · ${chronic.marker(repeat)}` : line };
+    });
+}
+
+// [{ heading, severity, calls, items }] with the groups in board order and
+// each group's lines newest first
+function groupItems(items, groupBy) {
+    const groups = new Map();
+    for (const item of items) {
+        const { info, lead } = item;
+        const id = groupBy === 'area' ? (lead.CityName || 'Unknown area') : info.category;
+        if (!groups.has(id)) {
+            groups.set(id, {
+                id,
+                heading: groupBy === 'area' ? `📍 ${id}` : `${info.emoji} ${info.label}`,
+                severity: groupBy === 'area' ? 0 : info.severity,
+                calls: 0,
+                items: []
+            });
+        }
+        groups.get(id).calls += item.incidents.length;
+        groups.get(id).items.push(item);
+    }
+    
+    for (const group of groups.values()) {
+        group.items.sort((a, b) => b.time - a.time);
+    }
+    // Categories most severe first, areas alphabetically with unknown last
+    return [...groups.values()].sort((a, b) =>
+        a.severity - b.severity ||
+        (a.id === 'Unknown area') - (b.id === 'Unknown area') ||
+        a.id.localeCompare(b.id));
+}
+
+function pageKey(index) {
+    return index === 0 ? 'status' : `status:${index + 1}`;
+}
+
+/**
+ * Sink messages for the whole board: [{ kind: 'status', key, title, text,
+ * color }]. Nothing is cut; a busy night just takes more pages. Each page
+ * is colored by its most severe call.
+ */
+function renderBoard(incidents, { groupBy = GROUP_BY, limit = PAGE_LIMIT, now = Date.now() } = {}) {
+    const timestamp = new Date(now).toLocaleString('en-US', { timeZone: 'America/Chicago', month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true });
+    const footer = `\n---\n_Last polled: ${timestamp} CT | Data: Nashville Open Data Portal_`;
+    const items = boardItems(incidents, chronic.repeatLocations(incidents, { now }));
+    const grouped = items.filter(item => item.incidents.length > 1);
+    const summary = `**${incidents.length} active incident${incidents.length !== 1 ? 's' : ''}**` +
+        (grouped.length > 0 ? ` · ${grouped.reduce((n, item) => n + item.incidents.length, 0)} in ${grouped.length} multi-call event${grouped.length !== 1 ? 's' : ''}` : '');
+    
+    const pages = [];
+    let lines = [summary];
+    let size = summary.length;
+    let worst = null;
+    
+    const startPage = () => {
+        pages.push({ lines, worst });
+        lines = [];
+        size = 0;
+        worst = null;
+    };
+    const add = (line, info = null) => {
+        lines.push(line);
+        size += line.length + 1;
+        if (info && (!worst || info.severity < worst.severity)) worst = info;
+    };
+    
+    if (incidents.length === 0) {
+        add('\n_No active incidents right now_ ✅');
+    }
+    for (const group of groupItems(items, groupBy)) {
+        const heading = `\n**${group.heading}** (${group.calls})`;
+        group.items.forEach((item, i) => {
+            const needed = item.line.length + 1 + (i === 0 ? heading.length + 1 : 0);
+            // The footer only goes on the last page, but reserving it everywhere keeps packing simple
+            if (size + needed + footer.length > limit && lines.length > 0) {
+                startPage();
+                if (i > 0) add(`**${group.heading}** (cont.)`);
+            }
+            if (i === 0) add(pages.length === 0 || lines.length > 0 ? heading : heading.trimStart());
+            add(item.line, item.info);
+        });
+    }
+    lines.push(footer);
+    startPage();
+    
+    return pages.map((page, i) => ({
+        kind: 'status',
+        key: pageKey(i),
+        title: pages.length > 1 ? `${TITLE} (${i + 1}/${pages.length})` : TITLE,
+        text: page.lines.join('\n'),
+        color: page.worst ? page.worst.color : 'green'
+    }));
+}
+
+// Everything a page shows; an unchanged hash means there's nothing to edit
+function pageHash(page) {
+    return crypto.createHash('sha1').update(JSON.stringify([page.title, page.text, page.color])).digest('hex');
+}
+
+const listPages = db.db.prepare('SELECT key, hash FROM board_pages WHERE sink = ?');
+const savePage = db.db.prepare(`
+    INSERT INTO board_pages (sink, key, hash, updated_at) VALUES (@sink, @key, @hash, @now)
+    ON CONFLICT(sink, key) DO UPDATE SET hash = @hash, updated_at = @now
+`);
+const forgetPage = db.db.prepare('DELETE FROM board_pages WHERE sink = ? AND key = ?');
+
+/**
+ * Bring every status sink's board in line with `pages`: send the pages
+ * that changed (or that the sink doesn't have yet) and retire the ones past
+ * the end. Never throws; resolves to [{ sink, sent, unchanged, queued,
+ * failed, removed }] counts per sink.
+ */
+async function publishBoard(pages, targets = sinks.getSinks()) {
+    const results = [];
+    
+    for (const sink of targets.filter(s => s.kinds.includes('status'))) {
+        const shown = new Map(listPages.all(sink.name).map(r => [r.key, r.hash]));
+        const result = { sink: sink.name, sent: 0, unchanged: 0, queued: 0, failed: 0, removed: 0 };
+        
+        for (const page of pages) {
+            const hash = pageHash(page);
+            if (shown.get(page.key) === hash) {
+                result.unchanged++;
+                continue;
+            }
+            const [{ status }] = await sinks.publish(page, [sink]);
+            result[status]++;
+            // A queued page is still tracked (so it can be retired) but gets re-sent next time
+            savePage.run({ sink: sink.name, key: page.key, hash: status === 'sent' ? hash : '', now: Date.now() });
+        }
+        
+        const current = new Set(pages.map(p => p.key));
+        for (const key of shown.keys()) {
+            if (current.has(key)) continue;
+            try {
+                await sinks.retireMessage(sink, key);
+                forgetPage.run(sink.name, key);
+                result.removed++;
+            } catch (err) {
+                // Still listed, so the next publish tries again
+                console.error(`${sink.name}: could not remove board page ${key} (${err.message})`);
+            }
+        }
+        
+        results.push(result);
+    }
+    return results;
+}
+
+module.exports = { renderBoard, publishBoard, formatIncident };
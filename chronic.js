@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Chronic Locations
+ * Addresses that keep generating calls: the same apartment complex with 15
+ * disturbance calls a month. For each address (a house number or an
+ * intersection, keyed by address.addressKey, in its city) it counts the
+ * calls over a rolling window, their type mix and the first and last of
+ * them, alongside the count for the window before. An address is chronic
+ * when it reaches THRESHOLD calls, or when it's trending: at least
+ * TREND_MIN calls and TREND_RATIO times the window before.
+ *
+ * Usage: node chronic.js [--days=30] [--threshold=10] [--json]
+ *
+ * Counts come from raw incidents, so with retention (see retention.js) they
+ * need twice the window kept raw to be complete.
+ */
+
+const db = require('./db');
+const address = require('./address');
+
+const WINDOW_DAYS = 30;
+const THRESHOLD = 10;
+const TREND_MIN = 5;
+const TREND_RATIO = 2;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Per location, city and type over [priorSince, until), split at since
+const countsSql = (where) => `
+    SELECT location, city, incident_type,
+        SUM(call_received >= @since) as count,
+        SUM(call_received < @since) as prior,
+        MIN(CASE WHEN call_received >= @since THEN call_received END) as first,
+        MAX(CASE WHEN call_received >= @since THEN call_received END) as last,
+        MAX(CASE WHEN call_received >= @since THEN location_desc END) as name
+    FROM incidents
+    WHERE call_received >= @priorSince AND call_received < @until
+      AND location IS NOT NULL
+      ${where}
+    GROUP BY location, city, incident_type
+`;
+const allCounts = db.db.prepare(countsSql(''));
+// Only the given streets, for a handful of active calls
+const streetCounts = db.db.prepare(countsSql(`
+      AND (street IN (SELECT value FROM json_each(@streets)) OR cross_street IN (SELECT value FROM json_each(@streets)))
+`));
+
+// The address key for a specific place; a bare street name isn't one
+function placeKey(location, city) {
+    const place = address.parseLocation(location);
+    if (!place || (place.number == null && !place.intersection)) return null;
+    return `${address.addressKey(location)}|${city || ''}`;
+}
+
+/**
+ * Stats for every address with calls in the `days` before `now`: [{ address,
+ * city, name, count, prior, first, last, types: [{ type, count }],
+ * threshold, trending, chronic }], busiest first. `prior` counts the window
+ * before; `name` is a location description seen there (a business or
+ * complex). `streets` limits it to addresses on those streets.
+ */
+function addressStats({ days = WINDOW_DAYS, now = Date.now(), streets = null,
+    threshold = THRESHOLD, trendMin = TREND_MIN, trendRatio = TREND_RATIO } = {}) {
+    const params = { since: now - days * DAY, priorSince: now - 2 * days * DAY, until: now };
+    const rows = streets ? streetCounts.all({ ...params, streets: JSON.stringify(streets) }) : allCounts.all(params);
+    
+    const keys = new Map();
+    const places = new Map();
+    for (const row of rows) {
+        const cacheKey = `${row.location}|${row.city || ''}`;
+        if (!keys.has(cacheKey)) keys.set(cacheKey, placeKey(row.location, row.city));
+        const key = keys.get(cacheKey);
+        if (!key) continue;
+        
+        if (!places.has(key)) {
+            places.set(key, { address: key.slice(0, key.lastIndexOf('|')), city: row.city, name: null, count: 0, prior: 0, first: null, last: null, types: new Map() });
+        }
+        const place = places.get(key);
+        place.count += row.count;
+        place.prior += row.prior;
+        if (row.count > 0) {
+            place.types.set(row.incident_type, (place.types.get(row.incident_type) || 0) + row.count);
+            if (place.first == null || row.first < place.first) place.first = row.first;
+            if (place.last == null || row.last > place.last) {
+                place.last = row.last;
+                place.name = row.name || place.name;
+            }
+        }
+    }
+    
+    return [...places.values()]
+        .filter(p => p.count > 0)
+        .map(p => {
+            const flags = {
+                threshold: p.count >= threshold,
+                trending: p.count >= trendMin && p.count >= p.prior * trendRatio
+            };
+            const types = [...p.types].map(([type, count]) => ({ type, count })).sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+            return { ...p, types, ...flags, chronic: flags.threshold || flags.trending };
+        })
+        .sort((a, b) => b.count - a.count || a.address.localeCompare(b.address));
+}
+
+// The chronic addresses as of `now`, busiest first
+function chronicLocations({ limit = null, ...options } = {}) {
+    const chronic = addressStats(options).filter(p => p.chronic);
+    return limit ? chronic.slice(0, limit) : chronic;
+}
+
+/**
+ * For the board: Map of each active call (ArcGIS attributes) at a chronic
+ * address to that address's stats. Only reads the calls' streets.
+ */
+function repeatLocations(incidents, options = {}) {
+    const streets = new Set();
+    for (const inc of incidents) {
+        const place = address.parseLocation(inc.Location);
+        if (place && place.street) streets.add(place.street);
+        if (place && place.crossStreet) streets.add(place.crossStreet);
+    }
+    const repeats = new Map();
+    if (streets.size === 0) return repeats;
+    
+    const chronic = new Map(addressStats({ ...options, streets: [...streets] })
+        .filter(p => p.chronic)
+        .map(p => [`${p.address}|${p.city || ''}`, p]));
+    for (const inc of incidents) {
+        const key = placeKey(inc.Location, inc.CityName);
+        if (key && chronic.has(key)) repeats.set(inc, chronic.get(key));
+    }
+    return repeats;
+}
+
+// "🔁 repeat location (15 calls/30d)"
+function marker(place, days = WINDOW_DAYS) {
+    return `🔁 repeat location (${place.count} calls/${days}d)`;
+}
+
+function cli(args) {
+    const option = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : null;
+    };
+    const days = option('days') ? parseInt(option('days')) : WINDOW_DAYS;
+    const threshold = option('threshold') ? parseInt(option('threshold')) : THRESHOLD;
+    if (!(days > 0)) throw new Error('--days must be a positive number');
+    if (!(threshold > 0)) throw new Error('--threshold must be a positive number');
+    
+    const chronic = chronicLocations({ days, threshold });
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(chronic, null, 2));
+        return;
+    }
+    console.log(`# 🔁 Chronic Locations (last ${days} days)\n`);
+    if (chronic.length === 0) console.log('_None_');
+    for (const p of chronic) {
+        const mix = p.types.slice(0, 3).map(t => `${t.type} ×${t.count}`).join(', ');
+        console.log(`- **${p.address}** (${[p.city || 'Unknown', p.name].filter(Boolean).join(', ')}): ${p.count} calls, ${p.prior} the ${days} days before${p.trending ? ' 📈' : ''} · ${mix}`);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    try {
+        cli(process.argv.slice(2));
+    } catch (err) {
+        console.error('Error:', err.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { addressStats, chronicLocations, repeatLocations, marker, WINDOW_DAYS, THRESHOLD };
@@ -0,0 +1,285 @@
+/**
+ * Nashville Dispatch Slash Commands
+ * Query dispatch.db from Discord. connectBot (index.js) registers these in
+ * the channel's guild and routes interactions to handleInteraction. List
+ * replies are embeds paged with ◀ ▶ buttons for PAGE_TIMEOUT.
+ *
+ *   /active [type] [area]      - calls on the board (area is a city or watch zone)
+ *   /near <address> [radius]   - calls within radius meters in the last 24h
+ *   /stats [hours]             - counts and average time on board by type
+ *   /hotspots [days] [by]      - streets, blocks or intersections with the most violent calls
+ *   /incident <id>             - lifecycle timeline for an ObjectId
+ *   /subscribe <rule>          - alert subscription that mentions you (see subscriptions.js)
+ */
+
+const db = require('./db');
+const geocoder = require('./geocoder');
+const taxonomy = require('./taxonomy');
+const zones = require('./zones');
+const subscriptions = require('./subscriptions');
+const sinks = require('./sinks');
+const { distanceMeters } = require('./geo');
+const { formatTimeline } = require('./history');
+
+const PER_PAGE = 10;
+const PAGE_TIMEOUT = 5 * 60 * 1000;
+const EMBED_LIMIT = 4096;
+
+// Discord application command option types
+const STRING = 3;
+const INTEGER = 4;
+
+// Raw command definitions, as passed to guild.commands.set()
+const definitions = [
+    {
+        name: 'active',
+        description: 'Active dispatch calls',
+        options: [
+            { type: STRING, name: 'type', description: 'Incident type contains, e.g. "shots"' },
+            { type: STRING, name: 'area', description: 'City or watch zone name' }
+        ]
+    },
+    {
+        name: 'near',
+        description: 'Calls near an address in the last 24 hours',
+        options: [
+            { type: STRING, name: 'address', description: 'Street address or intersection', required: true },
+            { type: INTEGER, name: 'radius', description: 'Meters (default 500)', min_value: 50, max_value: 5000 }
+        ]
+    },
+    {
+        name: 'stats',
+        description: 'Incident counts by type',
+        options: [
+            { type: INTEGER, name: 'hours', description: 'Look back this many hours (default 24)', min_value: 1, max_value: 720 }
+        ]
+    },
+    {
+        name: 'hotspots',
+        description: 'Streets with the most violent calls',
+        options: [
+            { type: INTEGER, name: 'days', description: 'Look back this many days (default 30)', min_value: 1, max_value: 365 },
+            {
+                type: STRING,
+                name: 'by',
+                description: 'Rank streets (default), hundred blocks or intersections',
+                choices: db.HOTSPOT_KINDS.map(kind => ({ name: kind, value: kind }))
+            }
+        ]
+    },
+    {
+        name: 'incident',
+        description: 'Timeline for an incident',
+        options: [
+            { type: INTEGER, name: 'id', description: 'ObjectId from the dispatch feed', required: true }
+        ]
+    },
+    {
+        name: 'subscribe',
+        description: 'Get mentioned when new calls match a rule',
+        options: [
+            { type: STRING, name: 'rule', description: 'e.g. category = violent and city = nashville', required: true }
+        ]
+    }
+];
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        timeZone: 'America/Chicago',
+        month: 'short', day: 'numeric',
+        hour: '2-digit', minute: '2-digit',
+        hour12: true
+    });
+}
+
+function formatRow(row, suffix = '') {
+    const { emoji } = taxonomy.classify(row.incident_code, row.incident_type);
+    return `${emoji} **${row.incident_type}** \`#${row.object_id}\`\n` +
+        `   📍 ${row.location || 'Unknown'}${row.city ? ` (${row.city})` : ''} · 🕐 ${formatTime(row.call_received)}${suffix}`;
+}
+
+// Embeds of `perPage` lines each; page numbers are added when replying
+function paginate(title, lines, { perPage = PER_PAGE, color = 'blue', header = '' } = {}) {
+    const pages = [];
+    for (let i = 0; i === 0 || i < lines.length; i += perPage) {
+        const text = (header ? [header] : []).concat(lines.slice(i, i + perPage)).join('\n');
+        pages.push(sinks.discordEmbed({ title, text: text.trim() ? text : '_Nothing to show_', color }, EMBED_LIMIT));
+    }
+    return pages;
+}
+
+// --- Commands ---
+// Each resolves to { pages } or { content }
+
+function active(options) {
+    const type = options.getString('type');
+    const area = options.getString('area');
+    let rows = db.getActive();
+    
+    if (type) {
+        rows = rows.filter(r => r.incident_type.toLowerCase().includes(type.toLowerCase()));
+    }
+    if (area) {
+        const zone = zones.listZones().find(z => z.name.toLowerCase() === area.toLowerCase());
+        rows = zone
+            ? rows.filter(r => zones.matchIncident(r, [zone]).length > 0)
+            : rows.filter(r => (r.city || '').toLowerCase().includes(area.toLowerCase()));
+    }
+    
+    const filters = [type, area].filter(Boolean).join(', ');
+    return {
+        pages: paginate(`🚔 Active Dispatch${filters ? ` (${filters})` : ''}`, rows.map(r => formatRow(r)), {
+            header: `**${rows.length} active call${rows.length !== 1 ? 's' : ''}**\n`
+        })
+    };
+}
+
+async function near(options) {
+    const address = options.getString('address');
+    const radius = options.getInteger('radius') || 500;
+    const center = await geocoder.geocode(address);
+    if (!center) {
+        return { content: `❌ Couldn't find "${address}"` };
+    }
+    
+    const rows = db.getRecent(24, 1000)
+        .map(row => {
+            const coords = geocoder.incidentCoords(row);
+            return { row, distance: coords ? distanceMeters(center, coords) : Infinity };
+        })
+        .filter(r => r.distance <= radius)
+        .sort((a, b) => a.distance - b.distance);
+    
+    return {
+        pages: paginate(`📍 Near ${address}`, rows.map(({ row, distance }) => formatRow(row, ` · ${Math.round(distance)}m`)), {
+            header: `**${rows.length} call${rows.length !== 1 ? 's' : ''} within ${radius}m in the last 24h**\n`
+        })
+    };
+}
+
+function stats(options) {
+    const hours = options.getInteger('hours') || 24;
+    const rows = db.getTypeStats(hours);
+    const lines = rows.map(r => {
+        const { emoji } = taxonomy.classify(null, r.incident_type);
+        const duration = r.avg_duration_min != null ? ` · avg ${Math.round(r.avg_duration_min)} min` : '';
+        return `${emoji} **${r.incident_type}** - ${r.count}${duration}`;
+    });
+    return { pages: paginate(`📊 Last ${hours}h by type`, lines, { color: 'purple' }) };
+}
+
+function hotspots(options) {
+    const days = options.getInteger('days') || 30;
+    const by = options.getString('by') || 'street';
+    const rows = db.getViolentStreets(days, 50, by);
+    const lines = rows.map((r, i) => `${i + 1}. **${r[by]}**${r.city ? ` (${r.city})` : ''} - ${r.count}`);
+    const title = by === 'street' ? `🔥 Violent hotspots, last ${days} days` : `🔥 Violent hotspots by ${by}, last ${days} days`;
+    return { pages: paginate(title, lines, { color: 'red' }) };
+}
+
+function incident(options) {
+    const objectId = options.getInteger('id');
+    const rows = db.getIncidentsByObjectId(objectId);
+    if (rows.length === 0) {
+        return { content: `No incident recorded with ObjectId ${objectId}` };
+    }
+    
+    // ObjectIds can repeat across days; each stored incident gets its own pages
+    const pages = rows.flatMap(row => {
+        const [heading, ...lines] = formatTimeline(row);
+        const { color } = taxonomy.classify(row.incident_code, row.incident_type);
+        return paginate(heading.replace(/^#\s*/, ''), lines, { perPage: 20, color });
+    });
+    return { pages };
+}
+
+function subscribe(options, interaction) {
+    const rule = options.getString('rule');
+    const name = `${interaction.user.username}: ${rule}`;
+    try {
+        subscriptions.addSubscription({ name, rule, notify: `<@${interaction.user.id}>` });
+    } catch (err) {
+        if (err instanceof subscriptions.RuleSyntaxError) return { content: `❌ ${err.message}` };
+        if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') return { content: 'You already have that subscription' };
+        throw err;
+    }
+    return { content: `🔔 Subscribed as **${name}**. Remove it with \`node subscriptions.js remove "${name}"\`` };
+}
+
+const handlers = { active, near, stats, hotspots, incident, subscribe };
+
+// Subscriptions are personal, so only the subscriber sees the reply
+const EPHEMERAL = new Set(['subscribe']);
+
+// --- Replies ---
+
+function pageButtons(index, count) {
+    return [{
+        type: 1,
+        components: [
+            { type: 2, style: 2, custom_id: 'page:prev', label: '◀', disabled: index === 0 },
+            { type: 2, style: 2, custom_id: 'page:next', label: '▶', disabled: index === count - 1 }
+        ]
+    }];
+}
+
+async function sendPages(interaction, pages) {
+    pages.forEach((page, i) => {
+        page.footer = { text: `Page ${i + 1}/${pages.length}` };
+    });
+    if (pages.length === 1) {
+        await interaction.editReply({ embeds: pages, components: [] });
+        return;
+    }
+    
+    let index = 0;
+    const message = await interaction.editReply({ embeds: [pages[0]], components: pageButtons(0, pages.length) });
+    const collector = message.createMessageComponentCollector({ time: PAGE_TIMEOUT });
+    
+    collector.on('collect', async (button) => {
+        if (button.user.id !== interaction.user.id) {
+            await button.reply({ content: 'Only whoever ran the command can turn its pages', ephemeral: true }).catch(() => {});
+            return;
+        }
+        index = Math.max(0, Math.min(pages.length - 1, index + (button.customId === 'page:next' ? 1 : -1)));
+        await button.update({ embeds: [pages[index]], components: pageButtons(index, pages.length) }).catch(() => {});
+    });
+    
+    // Drop the buttons once they stop working
+    collector.on('end', () => {
+        interaction.editReply({ components: [] }).catch(() => {});
+    });
+}
+
+/**
+ * interactionCreate listener. Replies are deferred first since /near may
+ * wait on the geocoder; failures are reported in the reply, never thrown.
+ */
+async function handleInteraction(interaction) {
+    if (!interaction.isChatInputCommand()) return;
+    const handler = handlers[interaction.commandName];
+    if (!handler) return;
+    
+    try {
+        await interaction.deferReply({ ephemeral: EPHEMERAL.has(interaction.commandName) });
+        const result = await handler(interaction.options, interaction);
+        if (result.pages) {
+            await sendPages(interaction, result.pages);
+        } else {
+            await interaction.editReply({ content: result.content });
+        }
+    } catch (err) {
+        console.error(`/${interaction.commandName} failed: ${err.message}`);
+        const reply = { content: `❌ Something went wrong: ${err.message}` };
+        const send = interaction.deferred || interaction.replied ? interaction.editReply(reply) : interaction.reply(reply);
+        await send.catch(() => {});
+    }
+}
+
+// Register the commands in a guild (replaces any previously registered set)
+async function registerCommands(guild) {
+    await guild.commands.set(definitions);
+    console.log(`Registered ${definitions.length} slash commands in ${guild.name}`);
+}
+
+module.exports = { definitions, handleInteraction, registerCommands, paginate };
@@ -0,0 +1,130 @@
+/**
+ * Nashville Dispatch Daemon Config
+ * Loads nashville-dispatch.json (or --config=<file> / DISPATCH_CONFIG) over
+ * the defaults below. Times are seconds; report schedules are Central time
+ * ("HH:MM", "Sun HH:MM" or "1 HH:MM") and null turns a task off. Relative
+ * paths are relative to the config file. See nashville-dispatch.example.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'nashville-dispatch.json');
+
+const DEFAULTS = {
+    pollInterval: 120,
+    outputMode: 'always',       // 'always' keeps a status board, 'changes' posts digests
+    statusRefresh: 600,         // re-publish an unchanged board at least this often
+    board: {
+        groupBy: 'category'     // or 'area' (city)
+    },
+    geocodeInterval: 5,         // between geocode queue drains
+    snapshotDir: null,          // record every ArcGIS response here for replays (see arcgis.js)
+    api: {
+        enabled: true,
+        host: '127.0.0.1',
+        port: 3000
+    },
+    map: {
+        interval: 900,          // 0 turns map regeneration off
+        output: path.join(__dirname, 'map.html')
+    },
+    reports: {
+        daily: '07:00',
+        weekly: 'Sun 08:00',
+        monthly: '1 08:00',     // day of month (1-28)
+        hotspotsBy: 'street'    // or 'block' (hundred blocks) or 'intersection'
+    },
+    retention: {
+        rawDays: null,          // keep raw incidents this many days, then roll up; null keeps everything.
+                                // Chronic locations need 60 days of raw rows (retention.MIN_RAW_DAYS)
+        archiveDir: path.join(__dirname, 'archive'),    // gzipped NDJSON of pruned incidents; null skips archiving
+        at: '03:30'
+    },
+    discord: {
+        botToken: null,
+        channelId: null,
+        thread: '🚨 Active Dispatch',  // null posts straight into the channel
+        slashCommands: true,    // /active, /near, /stats, ... (see commands.js)
+        messages: {}            // existing message ids to adopt, e.g. { "status": "1467..." }
+    },
+    sinks: []                   // [{ type: 'discord', url }, ...]; env-configured sinks are added too
+};
+
+function isObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return merged;
+}
+
+function validate(config) {
+    const errors = [];
+    for (const key of ['pollInterval', 'statusRefresh', 'geocodeInterval']) {
+        if (!(config[key] > 0)) errors.push(`${key} must be a positive number of seconds`);
+    }
+    if (!['always', 'changes'].includes(config.outputMode)) errors.push('outputMode must be "always" or "changes"');
+    if (!['category', 'area'].includes(config.board.groupBy)) errors.push('board.groupBy must be "category" or "area"');
+    if (!['street', 'block', 'intersection'].includes(config.reports.hotspotsBy)) errors.push('reports.hotspotsBy must be "street", "block" or "intersection"');
+    if (config.retention.rawDays != null) {
+        // Only loaded when needed: retention.js opens the database
+        const { MIN_RAW_DAYS } = require('./retention');
+        if (!(Number.isInteger(config.retention.rawDays) && config.retention.rawDays >= MIN_RAW_DAYS)) {
+            errors.push(`retention.rawDays must be null or a whole number of days, ${MIN_RAW_DAYS} or more`);
+        }
+    }
+    if (!(config.map.interval >= 0)) errors.push('map.interval must be 0 or more seconds');
+    if (config.snapshotDir != null && typeof config.snapshotDir !== 'string') errors.push('snapshotDir must be a directory path or null');
+    if (!Array.isArray(config.sinks)) errors.push('sinks must be an array');
+    if (config.discord.botToken && !config.discord.channelId) errors.push('discord.channelId is required with discord.botToken');
+    if (errors.length > 0) throw new Error(`Invalid config:\n  ${errors.join('\n  ')}`);
+    return config;
+}
+
+// The daemon may run from anywhere, so "archive" means beside the config file
+function resolvePaths(config, dir) {
+    const resolve = (p) => typeof p === 'string' ? path.resolve(dir, p) : p;
+    config.map.output = resolve(config.map.output);
+    config.retention.archiveDir = resolve(config.retention.archiveDir);
+    config.snapshotDir = resolve(config.snapshotDir);
+    if (Array.isArray(config.sinks)) {
+        config.sinks = config.sinks.map(s => s && s.type === 'file' ? { ...s, file: resolve(s.file) } : s);
+    }
+}
+
+/**
+ * Load and validate the config. A missing file is fine when it's the
+ * default one (everything falls back to defaults and env); an explicitly
+ * named file has to exist.
+ */
+function loadConfig(file) {
+    const explicit = file || process.env.DISPATCH_CONFIG;
+    const configFile = explicit || DEFAULT_FILE;
+    
+    let overrides = {};
+    if (fs.existsSync(configFile)) {
+        try {
+            overrides = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (e) {
+            throw new Error(`Could not parse ${configFile}: ${e.message}`);
+        }
+    } else if (explicit) {
+        throw new Error(`Config file ${configFile} not found`);
+    }
+    
+    // Bot credentials can stay in the environment, as index.js has them
+    const config = merge(DEFAULTS, overrides);
+    config.discord.botToken = config.discord.botToken || process.env.BOT_TOKEN || null;
+    config.discord.channelId = config.discord.channelId || process.env.CHANNEL_ID || null;
+    config.file = fs.existsSync(configFile) ? path.resolve(configFile) : null;
+    resolvePaths(config, path.dirname(path.resolve(configFile)));
+    
+    return validate(config);
+}
+
+module.exports = { loadConfig, DEFAULTS };
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Daemon
+ * One long-running process in place of the cron/launchd shell scripts:
+ * polls the feed once per cycle (reconcile, zone and subscription alerts,
+ * status board), regenerates map.html, posts daily, weekly and monthly reports,
+ * prunes history past the retention window, retries queued notifications
+ * and serves the REST API and dashboard with a /healthz endpoint.
+ *
+ * Usage: nashville-dispatch [--config=nashville-dispatch.json]
+ *
+ * SIGINT/SIGTERM stop the schedule, let in-flight tasks finish and close
+ * the database; a second signal exits immediately. Reports and retention
+ * that came due while the daemon was down are not caught up.
+ */
+
+const fs = require('fs');
+const db = require('./db');
+const geocoder = require('./geocoder');
+const sinks = require('./sinks');
+const monitor = require('./dispatch-monitor');
+const board = require('./board');
+const map = require('./map');
+const reports = require('./weekly-report');
+const retention = require('./retention');
+const { createServer } = require('./api-server');
+const { connectBot } = require('./index');
+const { loadConfig } = require('./config');
+const { Scheduler } = require('./scheduler');
+
+// How often queued notifications get another try
+const RETRY_INTERVAL = 60 * 1000;
+
+// How long shutdown waits for in-flight tasks
+const STOP_TIMEOUT = 10 * 1000;
+
+let lastPoll = null;          // { at, incidents, complete }
+let lastBoard = { hash: null, at: 0 };
+
+// Board identity: an unchanged set of calls doesn't need a fresh edit every poll
+function boardHash(incidents) {
+    return JSON.stringify(incidents.map(i => [i.ObjectId, i.IncidentTypeName, i.Location]));
+}
+
+async function pollTask(config) {
+    const result = await monitor.poll({ record: config.snapshotDir });
+    lastPoll = { at: Date.now(), incidents: result.incidents, complete: result.complete };
+    
+    const { message, pages } = monitor.formatStatus(result, config.outputMode, { groupBy: config.board.groupBy });
+    if (message) await sinks.publish(message);
+    if (!pages) return;
+    
+    const hash = boardHash(result.incidents);
+    const fresh = Date.now() - lastBoard.at < config.statusRefresh * 1000;
+    if (hash === lastBoard.hash && fresh) return;
+    lastBoard = { hash, at: Date.now() };
+    await board.publishBoard(pages);
+}
+
+// Snapshot map from the last poll, using only coordinates we already have
+function mapTask(config) {
+    if (!lastPoll) return;
+    const incidents = lastPoll.incidents.map(i => {
+        const row = db.findIncident(i.ObjectId, i.CallReceivedTime);
+        return { ...i, coords: row ? geocoder.incidentCoords(row) : null };
+    });
+    
+    // Write then rename so nobody reads a half-written page
+    const tmp = `${config.map.output}.tmp`;
+    fs.writeFileSync(tmp, map.generateHTML(incidents));
+    fs.renameSync(tmp, config.map.output);
+}
+
+async function retentionTask(config) {
+    const { rawDays, archiveDir } = config.retention;
+    const { days, incidents, cutoff } = await retention.prune({ rawDays, archiveDir });
+    if (incidents > 0) {
+        console.log(`Retention: rolled up ${incidents} incidents from ${days.length} days before ${cutoff}${archiveDir ? ` (archived to ${archiveDir})` : ''}`);
+    }
+}
+
+async function retryTask() {
+    for (const sink of sinks.getSinks()) {
+        await sinks.flushQueue(sink);
+    }
+}
+
+function health(config, scheduler) {
+    const now = Date.now();
+    const age = lastPoll ? Math.round((now - lastPoll.at) / 1000) : null;
+    const limit = config.pollInterval * 3;
+    // Before the first poll lands we're starting, not stale, for the same grace period
+    const status = age === null
+        ? (process.uptime() <= limit ? 'starting' : 'stale')
+        : (age <= limit ? 'ok' : 'stale');
+    
+    return {
+        status,
+        lastPollAt: lastPoll ? lastPoll.at : null,
+        lastPollAgeSeconds: age,
+        lastPollComplete: lastPoll ? lastPoll.complete : null,
+        activeIncidents: lastPoll ? lastPoll.incidents.length : null,
+        uptimeSeconds: Math.round(process.uptime()),
+        tasks: scheduler.status()
+    };
+}
+
+async function main() {
+    const configArg = process.argv.slice(2).find(a => a.startsWith('--config='));
+    const config = loadConfig(configArg ? configArg.split('=')[1] : undefined);
+    
+    console.log('Nashville Dispatch Daemon');
+    console.log(`Config: ${config.file || 'defaults + environment'}`);
+    
+    const targets = [...config.sinks.map(sinks.createSink), ...sinks.sinksFromEnv()];
+    let bot = null;
+    if (config.discord.botToken) {
+        bot = await connectBot(config.discord.botToken, config.discord.channelId, {
+            thread: config.discord.thread,
+            slashCommands: config.discord.slashCommands
+        });
+        targets.push(bot.sink);
+        for (const [key, messageId] of Object.entries(config.discord.messages)) {
+            sinks.adoptMessage(bot.sink.name, key, messageId);
+        }
+    }
+    sinks.setSinks(targets);
+    console.log(`Sinks: ${targets.map(s => s.name).join(', ') || 'none (alerts and reports are only logged)'}`);
+    
+    const scheduler = new Scheduler();
+    scheduler.every('poll', config.pollInterval * 1000, () => pollTask(config));
+    scheduler.every('retry', RETRY_INTERVAL, retryTask, { immediate: false });
+    if (config.map.interval > 0) {
+        scheduler.every('map', config.map.interval * 1000, () => mapTask(config), { immediate: false });
+    }
+    if (config.reports.daily) {
+        scheduler.at('daily-report', config.reports.daily, () => reports.publishReport('daily', { hotspotsBy: config.reports.hotspotsBy }));
+    }
+    if (config.reports.weekly) {
+        scheduler.at('weekly-report', config.reports.weekly, () => reports.publishReport('weekly', { hotspotsBy: config.reports.hotspotsBy }));
+    }
+    if (config.reports.monthly) {
+        scheduler.at('monthly-report', config.reports.monthly, () => reports.publishReport('monthly', { hotspotsBy: config.reports.hotspotsBy }));
+    }
+    if (config.retention.rawDays) {
+        scheduler.at('retention', config.retention.at, () => retentionTask(config));
+    }
+    geocoder.startQueue(config.geocodeInterval * 1000);
+    
+    let server = null;
+    if (config.api.enabled) {
+        server = createServer([{
+            pattern: /^\/healthz$/,
+            handler: () => health(config, scheduler),
+            status: (result) => result.status === 'stale' ? 503 : 200
+        }]);
+        server.listen(config.api.port, config.api.host, () => {
+            console.log(`API and dashboard on http://${config.api.host}:${config.api.port} (health: /healthz)`);
+        });
+    }
+    
+    let stopping = false;
+    const shutdown = async (signal) => {
+        if (stopping) {
+            console.log(`${signal} again, exiting now`);
+            process.exit(1);
+        }
+        stopping = true;
+        console.log(`${signal} received, shutting down...`);
+        
+        if (server) {
+            server.close();
+            server.closeIdleConnections();
+        }
+        const [settled] = await Promise.all([scheduler.stop(STOP_TIMEOUT), geocoder.stopQueue()]);
+        if (bot) bot.client.destroy();
+        // A task still running may be mid-query; exiting without closing is
+        // safe for SQLite, pulling the database out from under it is not
+        if (settled) {
+            db.close();
+        } else {
+            console.error(`Tasks still running after ${STOP_TIMEOUT / 1000}s; exiting without closing the database`);
+        }
+        console.log('Stopped');
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,207 @@
+/**
+ * Nashville Dispatch Live Dashboard
+ * Auto-refreshing Leaflet map served by api-server.js. The page polls
+ * /dashboard/incidents, updates markers in place, fades out cleared calls
+ * and lists recent calls in a filterable sidebar.
+ */
+
+const db = require('./db');
+const taxonomy = require('./taxonomy');
+const geocoder = require('./geocoder');
+const { renderMapPage } = require('./map');
+
+const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL) || 60000;
+
+// Cleared calls stay in the feed this long so the page can fade them out
+const RECENT_WINDOW = 60 * 60 * 1000;
+
+// Active incidents plus anything cleared within RECENT_WINDOW
+function getDashboardData(now = Date.now()) {
+    const rows = db.getActive().concat(db.getRecentlyCleared(now - RECENT_WINDOW));
+    
+    const incidents = rows.map(row => {
+        const { category, label, emoji, color } = taxonomy.classify(row.incident_code, row.incident_type);
+        return {
+            id: row.id,
+            objectId: row.object_id,
+            type: row.incident_type,
+            location: row.location,
+            city: row.city,
+            callReceived: row.call_received,
+            cleared: !!row.cleared,
+            clearedAt: row.cleared_at,
+            category,
+            label,
+            emoji,
+            color,
+            coords: geocoder.incidentCoords(row)
+        };
+    });
+    
+    // Reads never geocode: rows without coordinates show up on a later
+    // request, once the poll loop's geocode queue has reached them
+    return { updated: now, pollInterval: POLL_INTERVAL, incidents };
+}
+
+const DASHBOARD_STYLES = `
+        #map { right: 340px; top: 48px; }
+        #controls { position: absolute; top: 0; left: 0; right: 340px; height: 48px; display: flex; align-items: center; gap: 12px; padding: 0 12px; background: #222; color: #eee; font: 13px sans-serif; overflow-x: auto; }
+        #controls label { white-space: nowrap; }
+        #sidebar { position: absolute; top: 0; right: 0; bottom: 0; width: 340px; overflow-y: auto; background: #fafafa; border-left: 1px solid #ccc; font: 13px sans-serif; }
+        #sidebar h3 { margin: 0; padding: 12px; background: #222; color: #eee; }
+        .call { padding: 8px 12px; border-bottom: 1px solid #e4e4e4; cursor: pointer; transition: opacity 2s; }
+        .call:hover { background: #eef; }
+        .call.cleared { opacity: 0.45; text-decoration: line-through; }
+        .call small { color: #666; }`;
+
+const DASHBOARD_BODY = `
+    <div id="controls"><strong>🚔 Live Dispatch</strong><span id="category-filters"></span><select id="city-filter"><option value="">All areas</option></select></div>
+    <div id="sidebar"><h3>Recent Calls <small id="call-count"></small></h3><div id="calls"></div></div>`;
+
+// Runs in the browser; kept free of template literals so it can be embedded as-is
+const DASHBOARD_SCRIPT = `
+        var FADE_MS = 10000;
+        var markers = {};
+        var latest = [];
+        var categories = CATEGORIES;
+        var hidden = {};
+        
+        function escapeHTML(s) {
+            return String(s == null ? '' : s).replace(/[&<>"']/g, function(c) {
+                return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+            });
+        }
+        
+        function formatTime(ms) {
+            return new Date(ms).toLocaleTimeString('en-US', { timeZone: 'America/Chicago', hour: '2-digit', minute: '2-digit' });
+        }
+        
+        function visible(inc) {
+            var city = document.getElementById('city-filter').value;
+            return !hidden[inc.category] && (!city || inc.city === city);
+        }
+        
+        function popup(inc) {
+            return '<b>' + inc.emoji + ' ' + escapeHTML(inc.type) + '</b><br>' + escapeHTML(inc.location || 'Unknown') +
+                (inc.city ? ' (' + escapeHTML(inc.city) + ')' : '') + '<br><small>' + formatTime(inc.callReceived) +
+                (inc.cleared ? ' · cleared ' + formatTime(inc.clearedAt) : '') + '</small>';
+        }
+        
+        // Fade a marker out over FADE_MS, then drop it
+        function fadeOut(id) {
+            var m = markers[id];
+            if (!m || m.fading) return;
+            m.fading = true;
+            var start = Date.now();
+            var timer = setInterval(function() {
+                var t = Math.min(1, (Date.now() - start) / FADE_MS);
+                m.setStyle({ opacity: 1 - t, fillOpacity: 0.8 * (1 - t) });
+                if (t >= 1) {
+                    clearInterval(timer);
+                    map.removeLayer(m);
+                    delete markers[id];
+                }
+            }, 250);
+        }
+        
+        function renderMarkers() {
+            var keep = {};
+            var present = {};
+            latest.forEach(function(inc) {
+                present[inc.id] = true;
+                if (!inc.coords || !visible(inc)) return;
+                // Calls already cleared before we saw them stay sidebar-only
+                if (inc.cleared && !markers[inc.id]) return;
+                keep[inc.id] = true;
+                var m = markers[inc.id];
+                if (!m) {
+                    m = markers[inc.id] = L.circleMarker([inc.coords.lat, inc.coords.lng], {
+                        radius: 10, color: '#000', weight: 1, opacity: 1, fillOpacity: 0.8
+                    }).addTo(map);
+                }
+                m.setLatLng([inc.coords.lat, inc.coords.lng]);
+                if (m.getPopup()) m.setPopupContent(popup(inc)); else m.bindPopup(popup(inc));
+                if (!m.fading) m.setStyle({ fillColor: inc.color });
+                if (inc.cleared) fadeOut(inc.id);
+            });
+            // Filtered-out markers go immediately; ones that left the feed fade
+            Object.keys(markers).forEach(function(id) {
+                if (keep[id]) return;
+                if (present[id]) {
+                    map.removeLayer(markers[id]);
+                    delete markers[id];
+                } else {
+                    fadeOut(id);
+                }
+            });
+        }
+        
+        function renderSidebar() {
+            var calls = latest.filter(visible).sort(function(a, b) { return b.callReceived - a.callReceived; });
+            var active = calls.filter(function(c) { return !c.cleared; }).length;
+            document.getElementById('call-count').textContent = '(' + active + ' active)';
+            document.getElementById('calls').innerHTML = calls.map(function(inc) {
+                return '<div class="call' + (inc.cleared ? ' cleared' : '') + '" data-id="' + inc.id + '">' +
+                    inc.emoji + ' <b>' + escapeHTML(inc.type) + '</b><br>' + escapeHTML(inc.location || 'Unknown') +
+                    (inc.city ? ' (' + escapeHTML(inc.city) + ')' : '') + '<br><small>' + formatTime(inc.callReceived) + '</small></div>';
+            }).join('');
+        }
+        
+        function renderCityFilter() {
+            var select = document.getElementById('city-filter');
+            var current = select.value;
+            var cities = {};
+            latest.forEach(function(inc) { if (inc.city) cities[inc.city] = true; });
+            select.innerHTML = '<option value="">All areas</option>' + Object.keys(cities).sort().map(function(c) {
+                return '<option' + (c === current ? ' selected' : '') + '>' + escapeHTML(c) + '</option>';
+            }).join('');
+        }
+        
+        function render() {
+            renderMarkers();
+            renderSidebar();
+        }
+        
+        function poll() {
+            fetch('/dashboard/incidents').then(function(res) { return res.json(); }).then(function(data) {
+                latest = data.incidents;
+                renderCityFilter();
+                render();
+                document.getElementById('legend-updated').textContent = 'Updated: ' + new Date(data.updated).toLocaleTimeString('en-US', { timeZone: 'America/Chicago' });
+                setTimeout(poll, data.pollInterval);
+            }).catch(function() {
+                setTimeout(poll, 30000);
+            });
+        }
+        
+        document.getElementById('category-filters').innerHTML = categories.map(function(c) {
+            return '<label><input type="checkbox" checked data-category="' + c.category + '"> ' + c.emoji + ' ' + c.label + '</label>';
+        }).join(' ');
+        document.getElementById('category-filters').addEventListener('change', function(e) {
+            hidden[e.target.dataset.category] = !e.target.checked;
+            render();
+        });
+        document.getElementById('city-filter').addEventListener('change', render);
+        document.getElementById('calls').addEventListener('click', function(e) {
+            var el = e.target.closest('.call');
+            var m = el && markers[el.dataset.id];
+            if (m) {
+                map.setView(m.getLatLng(), 15);
+                m.openPopup();
+            }
+        });
+        
+        poll();`;
+
+function renderDashboard() {
+    return renderMapPage({
+        title: 'Nashville Live Dispatch',
+        legendTitle: '🚔 Live Dispatch',
+        subtitle: 'Loading…',
+        styles: DASHBOARD_STYLES,
+        body: DASHBOARD_BODY,
+        script: DASHBOARD_SCRIPT.replace('CATEGORIES', JSON.stringify(taxonomy.categories()))
+    });
+}
+
+module.exports = { renderDashboard, getDashboardData };
@@ -1,100 +1,100 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const taxonomy = require('./taxonomy');
+const address = require('./address');
+const schema = require('./schema');
+const { centralClock } = require('./periods');
 
-const DB_PATH = path.join(__dirname, 'dispatch.db');
+// DISPATCH_DB points scripts at another database: a scratch file for replays, or :memory: in tests
+const DB_PATH = process.env.DISPATCH_DB || path.join(__dirname, 'dispatch.db');
 const db = new Database(DB_PATH);
 
-// Helper to extract street name from location
+// Helper to extract the normalized street name from a location (the first street of an intersection)
 function extractStreet(location) {
-    if (!location) return null;
-    // Handle intersection format: "STREET1 / STREET2"
-    if (location.includes(' / ')) {
-        return location.split(' / ')[0].replace(/^\d+\s*/, '').trim();
-    }
-    // Remove house number and return street
-    return location.replace(/^\d+\s*/, '').trim();
+    const parsed = address.parseLocation(location);
+    return parsed ? parsed.street : null;
 }
 
 // Helper to get hour (0-23) from timestamp in Central time
 function getHour(timestamp) {
     const date = new Date(timestamp);
-    // Convert to Central time and get hour
-    return parseInt(date.toLocaleString('en-US', { timeZone: 'America/Chicago', hour: 'numeric', hour12: false }));
+    // Convert to Central time and get hour (h23, since hour12: false gives "24" at midnight)
+    return parseInt(date.toLocaleString('en-US', { timeZone: 'America/Chicago', hour: 'numeric', hourCycle: 'h23' }));
 }
 
-// Initialize schema
-db.exec(`
-    CREATE TABLE IF NOT EXISTS incidents (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        object_id INTEGER NOT NULL,
-        incident_code TEXT,
-        incident_type TEXT NOT NULL,
-        location TEXT,
-        location_desc TEXT,
-        city TEXT,
-        call_received INTEGER NOT NULL,
-        first_seen INTEGER NOT NULL,
-        last_seen INTEGER NOT NULL,
-        cleared INTEGER DEFAULT 0,
-        cleared_at INTEGER,
-        street TEXT,
-        hour INTEGER,
-        UNIQUE(object_id, call_received)
-    );
-    
-    CREATE INDEX IF NOT EXISTS idx_call_received ON incidents(call_received);
-    CREATE INDEX IF NOT EXISTS idx_incident_type ON incidents(incident_type);
-    CREATE INDEX IF NOT EXISTS idx_city ON incidents(city);
-    CREATE INDEX IF NOT EXISTS idx_cleared ON incidents(cleared);
-    CREATE INDEX IF NOT EXISTS idx_street ON incidents(street);
-    CREATE INDEX IF NOT EXISTS idx_hour ON incidents(hour);
-`);
+// node db.js status|migrate
+function cli([command]) {
+    const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-US', { timeZone: 'America/Chicago' });
+    if (command === 'status') {
+        const { version, applied, pending } = schema.status(db);
+        console.log(`${DB_PATH}: schema version ${version}`);
+        for (const row of applied) console.log(`  ✓ ${row.name}  (applied ${formatTime(row.applied_at)})`);
+        for (const migration of pending) console.log(`  · ${migration.name}  ${migration.description || ''}`);
+        console.log(pending.length ? `${pending.length} pending; run node db.js migrate` : 'Up to date');
+    } else if (command === 'migrate') {
+        const { applied, backup } = schema.migrate(db, { file: DB_PATH });
+        if (backup) console.log(`Backed up to ${backup}`);
+        for (const name of applied) console.log(`Applied ${name}`);
+        console.log(`${DB_PATH} is at schema version ${schema.status(db).version}`);
+    } else {
+        console.log('Usage: node db.js status|migrate');
+        process.exitCode = 1;
+    }
+}
 
-// Migration: add street and hour columns if they don't exist
-try {
-    db.exec(`ALTER TABLE incidents ADD COLUMN street TEXT`);
-} catch (e) { /* column exists */ }
-try {
-    db.exec(`ALTER TABLE incidents ADD COLUMN hour INTEGER`);
-} catch (e) { /* column exists */ }
-
-// Backfill existing data
-db.exec(`
-    UPDATE incidents 
-    SET street = TRIM(REPLACE(
-        CASE 
-            WHEN location LIKE '%/%' THEN SUBSTR(location, 1, INSTR(location, '/') - 2)
-            ELSE location 
-        END,
-        SUBSTR(location, 1, INSTR(location || ' ', ' ')), ''
-    ))
-    WHERE street IS NULL AND location IS NOT NULL;
-    
-    UPDATE incidents 
-    SET hour = CAST(strftime('%H', call_received / 1000, 'unixepoch', 'localtime') AS INTEGER)
-    WHERE hour IS NULL;
-`);
+// Run if called directly. This comes before the migration below and the
+// statements prepared against the schema, so status sees a stale database as it is
+if (require.main === module) {
+    try {
+        cli(process.argv.slice(2));
+    } catch (err) {
+        console.error('Error:', err.message);
+        process.exitCode = 1;
+    }
+    db.close();
+    return;
+}
 
-// Reports table for archiving weekly reports
-db.exec(`
-    CREATE TABLE IF NOT EXISTS reports (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        week_start TEXT NOT NULL,
-        week_end TEXT NOT NULL,
-        report_text TEXT NOT NULL,
-        total_incidents INTEGER,
-        violent_incidents INTEGER,
-        top_streets TEXT,
-        peak_hours TEXT,
-        created_at INTEGER NOT NULL,
-        UNIQUE(week_start)
-    );
-`);
+// Every other script brings the schema up to date when it opens the
+// database (see schema.js and migrations/); one that had data is backed up first
+const migrated = schema.migrate(db, { file: DB_PATH });
+if (migrated.backup) {
+    console.error(`Migrated ${DB_PATH} (${migrated.applied.join(', ')}); backup at ${migrated.backup}`);
+}
+
+// API attribute -> incidents column for fields dispatch can re-code mid-call
+const TRACKED_FIELDS = {
+    IncidentTypeCode: 'incident_code',
+    IncidentTypeName: 'incident_type',
+    Location: 'location',
+    LocationDescription: 'location_desc',
+    CityName: 'city'
+};
+
+// Field-level diff of an API record against its stored row, keyed by column
+function diffIncident(row, incident) {
+    const changes = {};
+    for (const [attr, column] of Object.entries(TRACKED_FIELDS)) {
+        const next = incident[attr] ?? null;
+        if (next !== row[column]) {
+            changes[column] = { from: row[column], to: next };
+        }
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Durations are only trusted when the clear was observed within this many ms
+// of the incident last being seen (i.e. the poller wasn't down in between)
+const MAX_CLEAR_GAP = parseInt(process.env.MAX_CLEAR_GAP) || 15 * 60 * 1000;
 
 // Prepared statements
+const findIncident = db.prepare(`
+    SELECT * FROM incidents WHERE object_id = @objectId AND call_received = @callReceived
+`);
+
 const insertIncident = db.prepare(`
-    INSERT OR IGNORE INTO incidents (object_id, incident_code, incident_type, location, location_desc, city, call_received, first_seen, last_seen, street, hour)
-    VALUES (@objectId, @code, @type, @location, @locationDesc, @city, @callReceived, @now, @now, @street, @hour)
+    INSERT OR IGNORE INTO incidents (object_id, incident_code, incident_type, location, location_desc, city, call_received, first_seen, last_seen, street, block, cross_street, hour, category)
+    VALUES (@objectId, @code, @type, @location, @locationDesc, @city, @callReceived, @now, @now, @street, @block, @crossStreet, @hour, @category)
 `);
 
 const updateLastSeen = db.prepare(`
@@ -102,9 +102,30 @@ const updateLastSeen = db.prepare(`
 `);
 
 const markCleared = db.prepare(`
-    UPDATE incidents SET cleared = 1, cleared_at = @now WHERE object_id = @objectId AND call_received = @callReceived AND cleared = 0
+    UPDATE incidents SET cleared = 1, cleared_at = @now WHERE id = @id AND cleared = 0
+`);
+
+const markReappeared = db.prepare(`
+    UPDATE incidents
+    SET cleared = 0, cleared_at = NULL, last_seen = @now, reappearances = reappearances + 1
+    WHERE id = @id AND cleared = 1
+`);
+
+const updateAttributes = db.prepare(`
+    UPDATE incidents
+    SET incident_code = @code, incident_type = @type, location = @location, location_desc = @locationDesc,
+        city = @city, street = @street, block = @block, cross_street = @crossStreet, category = @category
+    WHERE id = @id
 `);
 
+const insertEvent = db.prepare(`
+    INSERT INTO incident_events (incident_id, event, changes, at) VALUES (@incidentId, @event, @changes, @now)
+`);
+
+function logEvent(incidentId, event, changes, now) {
+    insertEvent.run({ incidentId, event, changes: changes ? JSON.stringify(changes) : null, now });
+}
+
 const getActiveIncidents = db.prepare(`
     SELECT * FROM incidents WHERE cleared = 0 ORDER BY call_received DESC
 `);
@@ -116,8 +137,9 @@ const getRecentIncidents = db.prepare(`
 const getStats = db.prepare(`
     SELECT 
         incident_type,
+        category,
         COUNT(*) as count,
-        AVG(CASE WHEN cleared = 1 THEN (cleared_at - call_received) / 60000.0 END) as avg_duration_min
+        AVG(CASE WHEN cleared = 1 AND cleared_at - last_seen <= @maxGap THEN (cleared_at - call_received) / 60000.0 END) as avg_duration_min
     FROM incidents
     WHERE call_received > @since
     GROUP BY incident_type
@@ -125,24 +147,138 @@ const getStats = db.prepare(`
     LIMIT 20
 `);
 
-const getDailyStats = db.prepare(`
+// Stats that reach back past the retention window (see retention.js) count
+// raw incidents plus the rollups of the days that were pruned. A pruned day
+// has no raw rows left, so the two never overlap. Each source takes the
+// params from countParams and yields rows with a `count`.
+const COUNT_SOURCES = {
+    // { incident_type, city, category, count }
+    types: `(
+        SELECT incident_type, city, category, 1 AS count
+        FROM incidents
+        WHERE call_received >= @since AND call_received < @until
+        UNION ALL
+        SELECT incident_type, NULLIF(city, ''), category, count
+        FROM daily_type_city_counts
+        WHERE date BETWEEN @sinceDate AND @untilDate
+    )`,
+    // { hour, category, count }
+    hours: `(
+        SELECT hour, category, 1 AS count
+        FROM incidents
+        WHERE call_received >= @since AND call_received < @until AND hour IS NOT NULL
+        UNION ALL
+        SELECT hour, category, count
+        FROM hourly_counts
+        WHERE date BETWEEN @sinceDate AND @untilDate
+    )`
+};
+
+function countSource(kind) {
+    if (!COUNT_SOURCES[kind]) throw new Error(`No count source "${kind}"`);
+    return COUNT_SOURCES[kind];
+}
+
+// Params for a count source over [since, until) in ms; rollup days count
+// when their Central date falls in the range. until defaults to open-ended
+function countParams(since, until = null) {
+    return {
+        since,
+        until: until ?? Number.MAX_SAFE_INTEGER,
+        sinceDate: centralClock(new Date(since)).date,
+        untilDate: until == null ? '9999-12-31' : centralClock(new Date(until - 1)).date
+    };
+}
+
+// Raw calls per UTC hour; Central offsets are whole hours, so each hour falls
+// on one Central date
+const HOUR = 60 * 60 * 1000;
+const getHourBuckets = db.prepare(`
     SELECT 
-        date(call_received / 1000, 'unixepoch', 'localtime') as date,
+        CAST(call_received / ${HOUR} AS INTEGER) as bucket,
         COUNT(*) as total,
-        SUM(CASE WHEN incident_type LIKE '%ASSAULT%' OR incident_type LIKE '%SHOOT%' THEN 1 ELSE 0 END) as violent
+        SUM(CASE WHEN ${taxonomy.violentSql()} THEN 1 ELSE 0 END) as violent
     FROM incidents
     WHERE call_received > @since
+    GROUP BY bucket
+`);
+
+const getRollupDays = db.prepare(`
+    SELECT 
+        date,
+        SUM(count) as total,
+        SUM(CASE WHEN ${taxonomy.violentSql()} THEN count ELSE 0 END) as violent
+    FROM daily_type_city_counts
+    WHERE date >= @sinceDate
     GROUP BY date
-    ORDER BY date DESC
-    LIMIT 30
 `);
 
+// What hotspots can be ranked by. Each source is the incident rows with a
+// `spot` label: the street (an intersection counts toward both of its
+// streets), the hundred block, or the intersection whichever way round
+// dispatch named it (matching address.intersectionKey)
+const HOTSPOT_SOURCES = {
+    street: `(
+        SELECT *, street AS spot FROM incidents
+        UNION ALL
+        SELECT *, cross_street AS spot FROM incidents WHERE cross_street IS NOT NULL
+    )`,
+    block: `(SELECT *, block AS spot FROM incidents)`,
+    intersection: `(
+        SELECT *, CASE WHEN street < cross_street THEN street || ' & ' || cross_street
+                       ELSE cross_street || ' & ' || street END AS spot
+        FROM incidents WHERE cross_street IS NOT NULL
+    )`
+};
+const HOTSPOT_KINDS = Object.keys(HOTSPOT_SOURCES);
+
+// FROM clause for ranking hotspots by street, block or intersection
+function hotspotSource(by = 'street') {
+    if (!HOTSPOT_SOURCES[by]) throw new Error(`Hotspots rank by ${HOTSPOT_KINDS.join(', ')}, not "${by}"`);
+    return HOTSPOT_SOURCES[by];
+}
+
+// Violent calls since @since, grouped by spot and city
+function violentSpots(by) {
+    return `
+        SELECT spot, city, COUNT(*) AS count
+        FROM ${hotspotSource(by)}
+        WHERE call_received > @since
+          AND spot IS NOT NULL
+          AND ${taxonomy.violentSql()}
+        GROUP BY spot, city
+    `;
+}
+
+// Checkpoint and close the connection; the daemon calls this on shutdown
+function close() {
+    if (!db.open) return;
+    if (db.pragma('journal_mode', { simple: true }) === 'wal') {
+        db.pragma('wal_checkpoint(TRUNCATE)');
+    }
+    db.close();
+}
+
 module.exports = {
     db,
+    close,
+    
+    MAX_CLEAR_GAP,
+    HOTSPOT_KINDS,
+    extractStreet,
+    getHour,
+    hotspotSource,
+    countSource,
+    countParams,
     
-    // Record an incident (insert or update last_seen)
-    recordIncident(incident) {
-        const now = Date.now();
+    /**
+     * Record an incident seen in a poll and log its lifecycle event.
+     * Returns { status, changes } where status is 'new', 'updated',
+     * 'reappeared' or 'seen', and changes is the field-level diff (or null).
+     */
+    recordIncident(incident, now = Date.now()) {
+        const existing = findIncident.get({ objectId: incident.ObjectId, callReceived: incident.CallReceivedTime });
+        const place = address.parseLocation(incident.Location);
         const params = {
             objectId: incident.ObjectId,
             code: incident.IncidentTypeCode,
@@ -151,44 +287,163 @@ module.exports = {
             locationDesc: incident.LocationDescription,
             city: incident.CityName,
             callReceived: incident.CallReceivedTime,
-            street: extractStreet(incident.Location),
+            street: place ? place.street : null,
+            block: place ? place.block : null,
+            crossStreet: place ? place.crossStreet : null,
             hour: getHour(incident.CallReceivedTime),
+            category: taxonomy.classifyIncident(incident).category,
             now
         };
         
-        insertIncident.run(params);
+        if (!existing) {
+            const { lastInsertRowid } = insertIncident.run(params);
+            logEvent(lastInsertRowid, 'appeared', null, now);
+            return { status: 'new', changes: null };
+        }
+        
+        const changes = diffIncident(existing, incident);
+        if (changes) {
+            updateAttributes.run({ ...params, id: existing.id });
+        }
+        
+        if (existing.cleared) {
+            markReappeared.run({ id: existing.id, now });
+            logEvent(existing.id, 'reappeared', changes, now);
+            return { status: 'reappeared', changes };
+        }
+        
         updateLastSeen.run({ objectId: incident.ObjectId, callReceived: incident.CallReceivedTime, now });
+        if (changes) {
+            logEvent(existing.id, 'updated', changes, now);
+            return { status: 'updated', changes };
+        }
+        return { status: 'seen', changes: null };
     },
     
-    // Mark incidents as cleared
-    markCleared(objectIds) {
-        const now = Date.now();
-        for (const id of objectIds) {
-            markCleared.run({ objectId: id, now });
+    // Mark incident rows (as returned by getActive) as cleared
+    markCleared(rows, now = Date.now()) {
+        for (const row of rows) {
+            if (markCleared.run({ id: row.id, now }).changes > 0) {
+                logEvent(row.id, 'cleared', null, now);
+            }
         }
     },
     
+    /**
+     * Reconcile one poll's incidents against the active set stored in the DB.
+     * Active rows missing from a complete poll are cleared; pass
+     * complete: false after a partial fetch to only record what was seen.
+     * Returns { newIncidents, updated, reappeared, cleared, isFirstRun } where
+     * newIncidents and reappeared hold API attributes, updated holds
+     * { incident, changes } pairs and cleared holds DB rows.
+     */
+    reconcile(incidents, { complete = true, now = Date.now() } = {}) {
+        return db.transaction(() => {
+            const isFirstRun = db.prepare('SELECT 1 FROM incidents LIMIT 1').get() === undefined;
+            const active = getActiveIncidents.all();
+            const result = { newIncidents: [], updated: [], reappeared: [], cleared: [], isFirstRun };
+            
+            const seen = new Set();
+            for (const incident of incidents) {
+                seen.add(`${incident.ObjectId}:${incident.CallReceivedTime}`);
+                const { status, changes } = this.recordIncident(incident, now);
+                if (status === 'new') result.newIncidents.push(incident);
+                if (status === 'updated') result.updated.push({ incident, changes });
+                if (status === 'reappeared') result.reappeared.push(incident);
+            }
+            
+            if (complete) {
+                result.cleared = active.filter(row => !seen.has(`${row.object_id}:${row.call_received}`));
+                this.markCleared(result.cleared, now);
+            }
+            
+            return result;
+        })();
+    },
+    
+    // Stored row for one API incident
+    findIncident(objectId, callReceived) {
+        return findIncident.get({ objectId, callReceived });
+    },
+    
+    // All incident rows for an API ObjectId (ids can repeat across days)
+    getIncidentsByObjectId(objectId) {
+        return db.prepare('SELECT * FROM incidents WHERE object_id = ? ORDER BY call_received').all(objectId);
+    },
+    
+    // Lifecycle events for an incident row, oldest first
+    getIncidentEvents(incidentId) {
+        return db.prepare('SELECT * FROM incident_events WHERE incident_id = ? ORDER BY at, id').all(incidentId)
+            .map(e => ({ ...e, changes: e.changes ? JSON.parse(e.changes) : null }));
+    },
+    
     // Get all active (uncleared) incidents
     getActive() {
         return getActiveIncidents.all();
     },
     
+    // Every incident received after the given timestamp, oldest first
+    getIncidentsSince(since) {
+        return db.prepare(`
+            SELECT id, incident_code, incident_type, location, city, call_received, hour, category, lat, lng
+            FROM incidents WHERE call_received > ? ORDER BY call_received
+        `).all(since);
+    },
+    
+    // Incidents cleared after the given timestamp, most recent first
+    getRecentlyCleared(since) {
+        return db.prepare('SELECT * FROM incidents WHERE cleared = 1 AND cleared_at > ? ORDER BY cleared_at DESC').all(since);
+    },
+    
     // Get recent incidents
     getRecent(hours = 24, limit = 100) {
         const since = Date.now() - (hours * 60 * 60 * 1000);
         return getRecentIncidents.all({ since, limit });
     },
     
+    /**
+     * Filtered, paginated incident search. All filters are optional:
+     * since/until are ms timestamps, type/city/street match exactly
+     * (case-insensitive). Returns { rows, total }.
+     */
+    queryIncidents({ since, until, type, city, street, limit = 100, offset = 0 } = {}) {
+        const where = [];
+        const params = { limit, offset };
+        if (since != null) { where.push('call_received > @since'); params.since = since; }
+        if (until != null) { where.push('call_received <= @until'); params.until = until; }
+        if (type) { where.push('incident_type = @type COLLATE NOCASE'); params.type = type; }
+        if (city) { where.push('city = @city COLLATE NOCASE'); params.city = city; }
+        if (street) { where.push('street = @street COLLATE NOCASE'); params.street = street; }
+        const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        
+        const total = db.prepare(`SELECT COUNT(*) as count FROM incidents ${clause}`).get(params).count;
+        const rows = db.prepare(`
+            SELECT * FROM incidents ${clause}
+            ORDER BY call_received DESC
+            LIMIT @limit OFFSET @offset
+        `).all(params);
+        return { rows, total };
+    },
+    
     // Get incident type stats
     getTypeStats(hours = 24) {
         const since = Date.now() - (hours * 60 * 60 * 1000);
-        return getStats.all({ since });
+        return getStats.all({ since, maxGap: MAX_CLEAR_GAP });
     },
     
-    // Get daily totals
+    // Get daily totals per Central date, newest first, rollups included
     getDailyStats(days = 30) {
         const since = Date.now() - (days * 24 * 60 * 60 * 1000);
-        return getDailyStats.all({ since });
+        const dates = new Map();
+        const add = (date, total, violent) => {
+            const day = dates.get(date) || { date, total: 0, violent: 0 };
+            day.total += total;
+            day.violent += violent;
+            dates.set(date, day);
+        };
+        for (const row of getHourBuckets.all({ since })) add(centralClock(new Date(row.bucket * HOUR)).date, row.total, row.violent);
+        for (const row of getRollupDays.all(countParams(since))) add(row.date, row.total, row.violent);
+        return [...dates.values()].sort((a, b) => b.date.localeCompare(a.date)).slice(0, 30);
     },
     
     // Total incident count
@@ -196,39 +451,68 @@ module.exports = {
         return db.prepare('SELECT COUNT(*) as count FROM incidents').get().count;
     },
     
-    // Get hotspot streets for violent crimes
-    getViolentStreets(days = 30, limit = 20) {
+    /**
+     * Violent crime hotspots, ranked by 'street', 'block' or 'intersection'.
+     * Rows are { [by], city, count }, e.g. { block: '2600 BLK 8TH AVE S', ... }.
+     * Ties are ordered by name, so pages with `offset` don't overlap.
+     */
+    getViolentStreets(days = 30, limit = 20, by = 'street', offset = 0) {
         const since = Date.now() - (days * 24 * 60 * 60 * 1000);
         return db.prepare(`
-            SELECT street, city, COUNT(*) as count
-            FROM incidents
-            WHERE call_received > @since
-              AND street IS NOT NULL
-              AND (incident_type LIKE '%SHOOT%' 
-                   OR incident_type LIKE '%ASSAULT%' 
-                   OR incident_type LIKE '%FIGHT%'
-                   OR incident_type LIKE '%ROBBERY%'
-                   OR incident_type LIKE '%STAB%'
-                   OR incident_type LIKE '%HOMICIDE%')
-            GROUP BY street, city
-            ORDER BY count DESC
-            LIMIT @limit
-        `).all({ since, limit });
-    },
-    
-    // Get incidents by hour
+            SELECT spot AS ${by}, city, count FROM (${violentSpots(by)})
+            ORDER BY count DESC, spot, city
+            LIMIT @limit OFFSET @offset
+        `).all({ since, limit, offset });
+    },
+    
+    // How many spots getViolentStreets has to page through
+    countViolentStreets(days = 30, by = 'street') {
+        const since = Date.now() - (days * 24 * 60 * 60 * 1000);
+        return db.prepare(`SELECT COUNT(*) FROM (${violentSpots(by)})`).pluck().get({ since });
+    },
+    
+    // Get incidents by hour, rollups included
     getHourlyStats(days = 30) {
         const since = Date.now() - (days * 24 * 60 * 60 * 1000);
         return db.prepare(`
             SELECT 
                 hour,
-                COUNT(*) as total,
-                SUM(CASE WHEN incident_type LIKE '%SHOOT%' OR incident_type LIKE '%ASSAULT%' OR incident_type LIKE '%FIGHT%' OR incident_type LIKE '%ROBBERY%' THEN 1 ELSE 0 END) as violent
-            FROM incidents
-            WHERE call_received > @since AND hour IS NOT NULL
+                SUM(count) as total,
+                SUM(CASE WHEN ${taxonomy.violentSql()} THEN count ELSE 0 END) as violent
+            FROM ${COUNT_SOURCES.hours}
             GROUP BY hour
             ORDER BY hour
-        `).all({ since });
+        `).all(countParams(since));
+    },
+    
+    // Archived reports, newest first (without the report text), optionally of one period
+    listReports(period = null) {
+        return db.prepare(`
+            SELECT period, period_start, period_end, total_incidents, violent_incidents, created_at
+            FROM reports WHERE @period IS NULL OR period = @period
+            ORDER BY period_start DESC, period
+        `).all({ period });
+    },
+    
+    // Single archived report by period and ISO start date
+    getReport(period, start) {
+        const report = db.prepare('SELECT * FROM reports WHERE period = ? AND period_start = ?').get(period, start);
+        if (report) {
+            report.top_streets = JSON.parse(report.top_streets || '[]');
+            report.peak_hours = JSON.parse(report.peak_hours || '[]');
+        }
+        return report;
+    },
+    
+    // Archive a report, replacing an earlier run for the same period
+    saveReport({ period, start, end, text, total, violent, topStreets, peakHours }) {
+        db.prepare(`
+            INSERT INTO reports (period, period_start, period_end, report_text, total_incidents, violent_incidents, top_streets, peak_hours, created_at)
+            VALUES (@period, @start, @end, @text, @total, @violent, @topStreets, @peakHours, @now)
+            ON CONFLICT(period, period_start) DO UPDATE SET
+                period_end = @end, report_text = @text, total_incidents = @total, violent_incidents = @violent,
+                top_streets = @topStreets, peak_hours = @peakHours, created_at = @now
+        `).run({ period, start, end, text, total, violent, topStreets: JSON.stringify(topStreets), peakHours: JSON.stringify(peakHours), now: Date.now() });
     },
     
     // Get violent crimes by hour
@@ -242,10 +526,7 @@ module.exports = {
             FROM incidents
             WHERE call_received > @since 
               AND hour IS NOT NULL
-              AND (incident_type LIKE '%SHOOT%' 
-                   OR incident_type LIKE '%ASSAULT%' 
-                   OR incident_type LIKE '%FIGHT%'
-                   OR incident_type LIKE '%ROBBERY%')
+              AND ${taxonomy.violentSql()}
             GROUP BY hour, incident_type
             ORDER BY hour, count DESC
         `).all({ since });
@@ -3,213 +3,281 @@
  * Nashville Police Dispatch Monitor
  * 
  * This script polls the Nashville PD Active Dispatch API and outputs
- * formatted updates. Designed to be called periodically by Clawdbot cron.
+ * formatted updates. Designed to be called periodically by cron; the
+ * nashville-dispatch daemon (daemon.js) calls poll() itself instead.
  * 
- * Usage: node dispatch-monitor.js [--json] [--diff previous.json]
+ * Usage: node dispatch-monitor.js [--json] [--record=<dir>]
+ *        node dispatch-monitor.js --replay=<dir> [--speed=60] [--json] [--live-sinks]
+ *
+ * --record saves the raw ArcGIS responses as snapshots in <dir> (see
+ * arcgis.js). --replay runs each snapshot in <dir> through the whole poll
+ * (diff, DB writes, formatting) as if it were being fetched at the time it
+ * was recorded, with the gaps between them shrunk --speed times (0 runs
+ * them back to back). Point DISPATCH_DB at a scratch database so a replay
+ * doesn't mix with the real history. A replay stays offline: it doesn't
+ * geocode, and it leaves out the configured sinks (with a warning) unless
+ * --live-sinks says to post to them.
  */
 
-const https = require('https');
-const fs = require('fs');
 const path = require('path');
-
-const API_URL = 'https://services2.arcgis.com/HdTo6HJqh92wn4D8/arcgis/rest/services/Metro_Nashville_Police_Department_Active_Dispatch_Table_view/FeatureServer/0/query?where=1%3D1&outFields=*&f=json&resultRecordCount=100';
-const STATE_FILE = path.join(__dirname, '.dispatch-state.json');
-
-// Database for historical tracking
-let db;
-try {
-    db = require('./db');
-} catch (e) {
-    // DB not available, continue without persistence
-}
+const db = require('./db');
+const geocoder = require('./geocoder');
+const zones = require('./zones');
+const subscriptions = require('./subscriptions');
+const anomalies = require('./anomalies');
+const events = require('./events');
+const sinks = require('./sinks');
+const board = require('./board');
+const arcgis = require('./arcgis');
 
 // Output mode: 'changes' (only when incidents change) or 'always' (every poll)
 const OUTPUT_MODE = process.env.OUTPUT_MODE || 'always';
 
-function fetchDispatch() {
-    return new Promise((resolve, reject) => {
-        https.get(API_URL, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    resolve(JSON.parse(data));
-                } catch (e) {
-                    reject(e);
-                }
-            });
-        }).on('error', reject);
-    });
-}
+// How long each run may spend geocoding new incidents after printing its output
+const GEOCODE_BUDGET = parseInt(process.env.GEOCODE_BUDGET) || 20000;
 
-function loadState() {
-    try {
-        if (fs.existsSync(STATE_FILE)) {
-            return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-        }
-    } catch (e) {}
-    return { incidents: {}, lastUpdate: null };
-}
+// How long to spend geocoding new incidents before checking them against watch zones
+const ZONE_GEOCODE_BUDGET = parseInt(process.env.ZONE_GEOCODE_BUDGET) || 10000;
 
-function saveState(state) {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-}
+// How many times faster than recorded a replay runs
+const REPLAY_SPEED = 60;
 
-function getEmoji(code, name) {
-    const c = (code + ' ' + name).toUpperCase();
-    if (c.includes('SHOOT') || c.includes('STAB') || c.includes('HOMICIDE')) return '🔴';
-    if (c.includes('ASSAULT') || c.includes('FIGHT') || c.includes('DOMESTIC')) return '🔴';
-    if (c.includes('ROBBERY') || c.includes('CARJACK')) return '🟠';
-    if (c.includes('BURGLARY') || c.includes('THEFT') || c.includes('STEALING')) return '🟡';
-    if (c.includes('ALARM')) return '🔔';
-    if (c.includes('ACCIDENT') || c.includes('CRASH') || c.includes('HIT AND RUN')) return '🚗';
-    if (c.includes('FIRE')) return '🔥';
-    if (c.includes('MEDICAL') || c.includes('OVERDOSE') || c.includes('UNCONSCIOUS')) return '🚑';
-    if (c.includes('SUSPICIOUS')) return '👀';
-    if (c.includes('MISSING') || c.includes('WELFARE')) return '🔍';
-    return '📋';
+/**
+ * One shared poll: fetch, reconcile against the DB, group new incidents
+ * into events, check them against zones and subscriptions, look for
+ * anomalies and publish the resulting alerts. `fetch` stands in for the
+ * ArcGIS fetch (replays pass a recorded one), `record` is a snapshot
+ * directory for it, and `now` is when the poll happens. With `geocode`
+ * false, zones are checked with cached coordinates only.
+ * Returns the incidents plus everything that changed.
+ */
+async function poll({ fetch = arcgis.fetchActiveIncidents, record = null, now = Date.now(), geocode = true } = {}) {
+    // A partial fetch still gives us new incidents, but missing rows
+    // can't be told apart from cleared ones, so clear detection is skipped
+    let incidents;
+    let complete = true;
+    try {
+        incidents = await fetch(record ? { record } : {});
+    } catch (err) {
+        if (!(err instanceof arcgis.PartialResultError)) throw err;
+        console.error(`Warning: ${err.message} - skipping clear detection`);
+        incidents = err.incidents;
+        complete = false;
+    }
+    
+    // The DB's uncleared rows are the previous active set
+    const { newIncidents, updated, reappeared, cleared, isFirstRun } = db.reconcile(incidents, { complete, now });
+    geocoder.applyCached();
+    
+    // DB rows for the new incidents (with category, street, hour and coordinates)
+    const newRows = () => newIncidents.map(i => db.findIncident(i.ObjectId, i.CallReceivedTime)).filter(Boolean);
+    
+    // Check new incidents against watch zones, geocoding the newest first
+    let zoneAlerts = [];
+    if (newIncidents.length > 0 && zones.listZones().length > 0) {
+        if (geocode) await geocoder.drainQueue({ maxMs: ZONE_GEOCODE_BUDGET });
+        zoneAlerts = zones.checkIncidents(newRows());
+    }
+    
+    // Group new calls with related ones; re-coded calls get their event's summary redone
+    const updatedRows = updated.map(({ incident: i }) => db.findIncident(i.ObjectId, i.CallReceivedTime)).filter(Boolean);
+    const eventUpdates = events.clusterIncidents([...newRows(), ...updatedRows], now);
+    
+    // Subscriptions skip the first run, where every active call looks new
+    const notifications = isFirstRun ? [] : subscriptions.evaluateIncidents(newRows(), now);
+    
+    // Spikes, clusters and new types, against everything recorded so far
+    const anomalyAlerts = isFirstRun ? [] : anomalies.detect({ now });
+    
+    // Alerts go out to the sinks on their own, whatever the output mode
+    for (const alert of zoneAlerts) {
+        await sinks.publish(zones.alertMessage(alert));
+    }
+    for (const notification of notifications) {
+        await sinks.publish(subscriptions.notificationMessage(notification));
+    }
+    for (const anomaly of anomalyAlerts) {
+        await sinks.publish(anomalies.alertMessage(anomaly));
+    }
+    
+    // Sort by time, newest first
+    incidents.sort((a, b) => b.CallReceivedTime - a.CallReceivedTime);
+    
+    return { incidents, complete, newIncidents, updated, reappeared, cleared, isFirstRun, zoneAlerts, notifications, anomalyAlerts, eventUpdates };
 }
 
-function formatTime(timestamp) {
-    return new Date(timestamp).toLocaleString('en-US', {
-        timeZone: 'America/Chicago',
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
-    });
+/**
+ * Human readable output for a poll. `text` is what gets printed (the full
+ * board in 'always' mode or on a first run, otherwise a digest of changes or
+ * NO_CHANGES). The sink copy leaves out the alerts, since sinks already got
+ * those on their own: `pages` is the status board (see board.js) and
+ * `message` the digest. Whichever doesn't apply is null, and both are null
+ * when nothing changed.
+ */
+function formatStatus(result, mode = OUTPUT_MODE, { groupBy, now = Date.now() } = {}) {
+    const { incidents, newIncidents, updated, reappeared, cleared, isFirstRun, zoneAlerts, notifications, anomalyAlerts } = result;
+    const noChanges = newIncidents.length === 0 && updated.length === 0 && reappeared.length === 0 && cleared.length === 0;
+    const timestamp = new Date(now).toLocaleString('en-US', { timeZone: 'America/Chicago', month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true });
+    
+    let alertBlock = zoneAlerts.length > 0
+        ? `**📍 ${zoneAlerts.length} Zone alert${zoneAlerts.length !== 1 ? 's' : ''}:**\n${zoneAlerts.map(zones.formatAlert).join('\n')}\n\n`
+        : '';
+    if (notifications.length > 0) {
+        alertBlock += `${notifications.map(subscriptions.formatNotification).join('\n')}\n\n`;
+    }
+    if (anomalyAlerts.length > 0) {
+        alertBlock += `${anomalyAlerts.map(anomalies.formatAnomaly).join('\n')}\n\n`;
+    }
+    
+    if (mode === 'always' || isFirstRun) {
+        // Every call, over as many pages as it takes
+        const pages = board.renderBoard(incidents, { groupBy, now });
+        const text = `# 🚔 Nashville Active Dispatch\n\n${alertBlock}${pages.map(p => p.text).join('\n')}`;
+        return { text, message: null, pages };
+    }
+    
+    // Changes-only mode
+    if (noChanges) {
+        return { text: 'NO_CHANGES', message: null, pages: null };
+    }
+    
+    let output = [];
+    
+    if (newIncidents.length > 0) {
+        if (output.length > 0) output.push('');
+        output.push(`**🆕 ${newIncidents.length} New:**`);
+        for (const inc of newIncidents) {
+            output.push(board.formatIncident(inc));
+        }
+    }
+    
+    if (updated.length > 0) {
+        if (output.length > 0) output.push('');
+        output.push(`**✏️ ${updated.length} Updated:**`);
+        for (const { incident, changes } of updated) {
+            const was = Object.values(changes).map(c => c.from || 'blank').join(', ');
+            output.push(`${board.formatIncident(incident)} _(was ${was})_`);
+        }
+    }
+    
+    if (reappeared.length > 0) {
+        if (output.length > 0) output.push('');
+        output.push(`**🔄 ${reappeared.length} Back on board:**`);
+        for (const inc of reappeared) {
+            output.push(board.formatIncident(inc));
+        }
+    }
+    
+    if (cleared.length > 0) {
+        if (output.length > 0) output.push('');
+        output.push(`**✅ ${cleared.length} Cleared:**`);
+        for (const row of cleared) {
+            output.push(`~~${row.incident_type} - ${row.location || 'Unknown'}~~`);
+        }
+    }
+    
+    output.push(`\n_Active: ${incidents.length} | Last polled: ${timestamp} CT_`);
+    return { text: alertBlock + output.join('\n'), message: sinks.fromMarkdown('changes', `# 🚔 Dispatch Update\n${output.join('\n')}`), pages: null };
 }
 
-function formatIncidentShort(inc) {
-    const emoji = getEmoji(inc.IncidentTypeCode, inc.IncidentTypeName);
-    const time = formatTime(inc.CallReceivedTime);
-    return `${emoji} **${inc.IncidentTypeName}** - ${inc.Location || 'Unknown'}${inc.CityName ? ` (${inc.CityName})` : ''} @ ${time}`;
+// Print a poll's result (as JSON or the formatted status) and publish the status
+async function report(result, { json = false, now = Date.now() } = {}) {
+    if (json) {
+        const { incidents, newIncidents, zoneAlerts, notifications, anomalyAlerts, eventUpdates, updated, reappeared, cleared } = result;
+        console.log(JSON.stringify({
+            total: incidents.length,
+            new: newIncidents,
+            zoneAlerts: zoneAlerts.map(a => ({ zone: a.zone.name, distance: a.distance, method: a.method, incident: a.incident })),
+            notifications: notifications.map(n => ({ subscription: n.subscription.name, notify: n.subscription.notify, incidents: n.incidents })),
+            anomalies: anomalyAlerts,
+            events: eventUpdates,
+            updated,
+            reappeared,
+            cleared,
+            all: incidents
+        }, null, 2));
+        return;
+    }
+    
+    const { text, message, pages } = formatStatus(result, OUTPUT_MODE, { now });
+    console.log(text);
+    if (pages) await board.publishBoard(pages);
+    if (message) await sinks.publish(message);
 }
 
-async function main() {
-    const args = process.argv.slice(2);
-    const jsonOutput = args.includes('--json');
+/**
+ * Poll once per recorded snapshot in `dir`, each at the time it was
+ * recorded, without geocoding. A snapshot whose fetch failed is reported
+ * and skipped, as a failed poll would be. Old calls replayed into a live
+ * channel look like new ones, so the configured sinks only get the replay
+ * with `liveSinks`.
+ */
+async function replay(dir, { speed = REPLAY_SPEED, json = false, liveSinks = false } = {}) {
+    const files = arcgis.listSnapshots(dir);
+    if (files.length === 0) throw new Error(`No snapshots in ${dir}`);
+    
+    const configured = sinks.getSinks();
+    if (configured.length > 0 && !liveSinks) {
+        console.error(`Warning: not posting the replay to ${configured.map(s => s.name).join(', ')}; pass --live-sinks to post to them`);
+        sinks.setSinks([]);
+    }
     
     try {
-        const data = await fetchDispatch();
-        const incidents = data.features?.map(f => f.attributes) || [];
-        const state = loadState();
-        
-        // Build current incident map
-        const currentIds = new Set(incidents.map(i => i.ObjectId));
-        const previousIds = new Set(Object.keys(state.incidents).map(Number));
-        
-        // Find new and cleared incidents
-        const newIncidents = incidents.filter(i => !previousIds.has(i.ObjectId));
-        const clearedIds = [...previousIds].filter(id => !currentIds.has(id));
-        const clearedIncidents = clearedIds.map(id => state.incidents[id]).filter(Boolean);
-        
-        // Update state
-        const newState = {
-            incidents: {},
-            lastUpdate: Date.now()
-        };
-        incidents.forEach(i => { newState.incidents[i.ObjectId] = i; });
-        saveState(newState);
-        
-        // Store in database for historical tracking
-        if (db) {
+        let previous = null;
+        for (const file of files) {
+            const snapshot = arcgis.readSnapshot(file);
+            if (previous != null && speed > 0) {
+                await new Promise(r => setTimeout(r, Math.max(0, snapshot.fetchedAt - previous) / speed));
+            }
+            previous = snapshot.fetchedAt;
+            
+            const now = snapshot.fetchedAt;
+            let result;
             try {
-                // Record all current incidents
-                for (const incident of incidents) {
-                    db.recordIncident(incident);
-                }
-                // Mark cleared incidents
-                if (clearedIds.length > 0) {
-                    db.markCleared(clearedIds);
-                }
-            } catch (e) {
-                console.error('DB error:', e.message);
+                result = await poll({ fetch: () => arcgis.replaySnapshot(snapshot), now, geocode: false });
+            } catch (err) {
+                console.error(`${path.basename(file)}: ${err.message}`);
+                continue;
             }
+            await report(result, { json, now });
         }
-        
-        if (jsonOutput) {
-            console.log(JSON.stringify({
-                total: incidents.length,
-                new: newIncidents,
-                cleared: clearedIncidents,
-                all: incidents
-            }, null, 2));
+    } finally {
+        sinks.setSinks(configured);
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : null;
+    };
+    const json = args.includes('--json');
+    
+    try {
+        if (option('replay')) {
+            const speed = option('speed') != null ? Number(option('speed')) : REPLAY_SPEED;
+            if (!(speed >= 0)) throw new Error('--speed must be 0 or more');
+            await replay(option('replay'), { speed, json, liveSinks: args.includes('--live-sinks') });
             return;
         }
-        
-        // Human readable output
-        const isFirstRun = state.lastUpdate === null;
-        const noChanges = newIncidents.length === 0 && clearedIncidents.length === 0;
-        const timestamp = new Date().toLocaleString('en-US', { timeZone: 'America/Chicago', month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true });
-        
-        // Sort by time, newest first
-        incidents.sort((a, b) => b.CallReceivedTime - a.CallReceivedTime);
-        
-        if (OUTPUT_MODE === 'always' || isFirstRun) {
-            // Full status output (for editing a pinned message)
-            // Discord has 2000 char limit - fit as many incidents as possible
-            const DISCORD_LIMIT = 2000;
-            const header = `# 🚔 Nashville Active Dispatch\n**${incidents.length} active incident${incidents.length !== 1 ? 's' : ''}**\n\n`;
-            const footer = `\n---\n_Last polled: ${timestamp} CT_\n_Updates every 2 minutes | Data: Nashville Open Data Portal_`;
-            
-            let output = [];
-            let charCount = header.length + footer.length;
-            let shown = 0;
-            
-            if (incidents.length === 0) {
-                output.push('_No active incidents right now_ ✅');
-            } else {
-                for (const inc of incidents) {
-                    const line = formatIncidentShort(inc);
-                    const lineWithNewline = line + '\n';
-                    // Reserve space for "...and X more" line (~30 chars)
-                    if (charCount + lineWithNewline.length + 30 < DISCORD_LIMIT) {
-                        output.push(line);
-                        charCount += lineWithNewline.length;
-                        shown++;
-                    } else {
-                        break;
-                    }
-                }
-                
-                if (shown < incidents.length) {
-                    output.push(`\n_...and ${incidents.length - shown} more_`);
-                }
-            }
-            
-            console.log(header + output.join('\n') + footer);
-        } else {
-            // Changes-only mode
-            if (noChanges) {
-                console.log('NO_CHANGES');
-                return;
-            }
-            
-            let output = [];
-            
-            if (newIncidents.length > 0) {
-                output.push(`**🆕 ${newIncidents.length} New:**`);
-                for (const inc of newIncidents) {
-                    output.push(formatIncidentShort(inc));
-                }
-            }
-            
-            if (clearedIncidents.length > 0) {
-                if (output.length > 0) output.push('');
-                output.push(`**✅ ${clearedIncidents.length} Cleared:**`);
-                for (const inc of clearedIncidents) {
-                    output.push(`~~${inc.IncidentTypeName} - ${inc.Location || 'Unknown'}~~`);
-                }
-            }
-            
-            output.push(`\n_Active: ${incidents.length} | Last polled: ${timestamp} CT_`);
-            console.log(output.join('\n'));
-        }
-        
+        await report(await poll({ record: option('record') }), { json });
     } catch (err) {
         console.error('Error:', err.message);
         process.exit(1);
     }
 }
 
-main();
+// Run if called directly
+if (require.main === module) {
+    // Replays stay offline, so only a live poll geocodes afterwards
+    const replaying = process.argv.some(a => a.startsWith('--replay='));
+    main()
+        .then(() => replaying || geocoder.drainQueue({ maxMs: GEOCODE_BUDGET }))
+        .catch(err => {
+            console.error('Error:', err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { poll, formatStatus, replay };
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Events
+ * One shooting can come in as SHOTS FIRED, then ASSAULT, then MEDICAL at
+ * addresses down the street. Those calls are grouped into one event, so the
+ * board and reports can show it once instead of three times.
+ *
+ * Two calls are related when they were received within EVENT_WINDOW minutes
+ * of each other and
+ *   - both have coordinates within EVENT_RADIUS meters of each other, or
+ *   - otherwise, they share a street in the same city, either at an
+ *     intersection or within a block of each other.
+ * A call related to an existing event joins it (merging events it bridges);
+ * otherwise it starts one with the unassigned calls it's related to. Lone
+ * calls don't get an event. incidents.event_id points at the event.
+ *
+ * Usage:
+ *   node events.js [--hours=24] [--json]    recent events
+ *   node events.js show <id>                an event and its calls
+ *   node events.js rebuild [--days=30]      regroup history (e.g. after changing the window)
+ */
+
+const db = require('./db');
+const address = require('./address');
+const geocoder = require('./geocoder');
+const taxonomy = require('./taxonomy');
+const { distanceMeters } = require('./geo');
+
+const MINUTE = 60 * 1000;
+const WINDOW = (parseInt(process.env.EVENT_WINDOW) || 20) * MINUTE;
+const RADIUS = parseInt(process.env.EVENT_RADIUS) || 250;
+const BLOCK_SPAN = 100;        // house numbers this close are on the same or the next block
+const MAX_TYPES = 4;           // type chain length before "+N more"
+
+// --- Matching ---
+
+// Coordinates and parsed address per row, looked up once per pass
+function describer() {
+    const cache = new Map();
+    return (row) => {
+        if (!cache.has(row.id)) {
+            cache.set(row.id, { coords: geocoder.incidentCoords(row), place: address.parseLocation(row.location) });
+        }
+        return cache.get(row.id);
+    };
+}
+
+function related(a, b, describe) {
+    if (Math.abs(a.call_received - b.call_received) > WINDOW) return false;
+    const left = describe(a);
+    const right = describe(b);
+    if (left.coords && right.coords) return distanceMeters(left.coords, right.coords) <= RADIUS;
+    
+    if (!left.place || !right.place || (a.city || '') !== (b.city || '')) return false;
+    const streets = (place) => [place.street, place.crossStreet].filter(Boolean);
+    if (!streets(left.place).some(s => streets(right.place).includes(s))) return false;
+    if (left.place.intersection || right.place.intersection) return true;
+    return left.place.number == null || right.place.number == null ||
+        Math.abs(left.place.number - right.place.number) <= BLOCK_SPAN;
+}
+
+// --- Events ---
+
+const nearbyIncidents = db.db.prepare(`
+    SELECT * FROM incidents
+    WHERE call_received BETWEEN @from AND @to AND id != @id
+    ORDER BY call_received, id
+`);
+const eventOf = db.db.prepare('SELECT event_id FROM incidents WHERE id = ?');
+const eventMembers = db.db.prepare('SELECT * FROM incidents WHERE event_id = ? ORDER BY call_received, id');
+const setEvent = db.db.prepare('UPDATE incidents SET event_id = @eventId WHERE id = @id');
+const moveMembers = db.db.prepare('UPDATE incidents SET event_id = @to WHERE event_id = @from');
+const insertEvent = db.db.prepare(`
+    INSERT INTO events (started_at, last_at, incident_count, summary, created_at, updated_at)
+    VALUES (@now, @now, 0, '', @now, @now)
+`);
+const updateEvent = db.db.prepare(`
+    UPDATE events SET started_at = @startedAt, last_at = @lastAt, incident_count = @count, category = @category,
+        location = @location, city = @city, lat = @lat, lng = @lng, summary = @summary, updated_at = @now
+    WHERE id = @id
+`);
+const deleteEvent = db.db.prepare('DELETE FROM events WHERE id = ?');
+const getEventRow = db.db.prepare('SELECT * FROM events WHERE id = ?');
+
+function formatTime(timestamp, withDate = true) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        timeZone: 'America/Chicago',
+        ...(withDate ? { month: 'short', day: 'numeric' } : {}),
+        hour: '2-digit', minute: '2-digit',
+        hour12: true
+    });
+}
+
+// "SHOTS FIRED → ASSAULT → MEDICAL": each type once, in the order they came in
+function typeChain(types) {
+    const distinct = [...new Set(types)];
+    const shown = distinct.slice(0, MAX_TYPES).join(' → ');
+    return distinct.length > MAX_TYPES ? `${shown} → +${distinct.length - MAX_TYPES} more` : shown;
+}
+
+// The member that speaks for the event: the most severe, earliest first
+function leadMember(members) {
+    const infos = members.map(m => taxonomy.classify(m.incident_code, m.incident_type));
+    const worst = infos.reduce((w, info) => info.severity < w.severity ? info : w);
+    return { lead: members[infos.indexOf(worst)], info: worst };
+}
+
+// "🔫 SHOTS FIRED → ASSAULT → MEDICAL · 3 calls · 100 MAIN ST (NASHVILLE) · Oct 17, 09:12 PM–09:31 PM"
+function summarize(members) {
+    const { lead, info } = leadMember(members);
+    const first = members[0].call_received;
+    const last = members[members.length - 1].call_received;
+    const when = last - first >= MINUTE ? `${formatTime(first)}–${formatTime(last, false)}` : formatTime(first);
+    return `${info.emoji} ${typeChain(members.map(m => m.incident_type))} · ${members.length} calls · ` +
+        `${lead.location || 'Unknown'}${lead.city ? ` (${lead.city})` : ''} · ${when}`;
+}
+
+/**
+ * Recompute an event from its members. An event left with fewer than two
+ * calls is dissolved. Returns the event row, or null when dissolved.
+ */
+function refreshEvent(id, now = Date.now()) {
+    const members = eventMembers.all(id);
+    if (members.length < 2) {
+        moveMembers.run({ from: id, to: null });
+        deleteEvent.run(id);
+        return null;
+    }
+    
+    const { lead, info } = leadMember(members);
+    const points = members.map(m => geocoder.incidentCoords(m)).filter(Boolean);
+    updateEvent.run({
+        id,
+        startedAt: members[0].call_received,
+        lastAt: members[members.length - 1].call_received,
+        count: members.length,
+        category: info.category,
+        location: lead.location,
+        city: lead.city,
+        lat: points.length ? points.reduce((sum, p) => sum + p.lat, 0) / points.length : null,
+        lng: points.length ? points.reduce((sum, p) => sum + p.lng, 0) / points.length : null,
+        summary: summarize(members),
+        now
+    });
+    return getEventRow.get(id);
+}
+
+/**
+ * Group incident rows (as stored, e.g. the ones a poll just recorded) with
+ * their related calls. Rows already in an event just get it recomputed, in
+ * case their type or location changed. Returns the events created or
+ * changed.
+ */
+function clusterIncidents(rows, now = Date.now()) {
+    const describe = describer();
+    const touched = new Set();
+    
+    db.db.transaction(() => {
+        for (const row of [...rows].sort((a, b) => a.call_received - b.call_received || a.id - b.id)) {
+            // Earlier rows in this batch may have pulled this one into an event already
+            const current = eventOf.get(row.id);
+            if (!current) continue;
+            if (current.event_id) {
+                touched.add(current.event_id);
+                continue;
+            }
+            
+            const matches = nearbyIncidents.all({ from: row.call_received - WINDOW, to: row.call_received + WINDOW, id: row.id })
+                .filter(other => related(row, other, describe));
+            if (matches.length === 0) continue;
+            
+            // Join the oldest related event, folding in any others this call bridges
+            const eventIds = [...new Set(matches.map(m => m.event_id).filter(Boolean))].sort((a, b) => a - b);
+            const eventId = eventIds.length > 0 ? eventIds[0] : insertEvent.run({ now }).lastInsertRowid;
+            for (const other of eventIds.slice(1)) {
+                moveMembers.run({ from: other, to: eventId });
+                deleteEvent.run(other);
+                touched.delete(other);
+            }
+            for (const incident of [row, ...matches.filter(m => !m.event_id)]) {
+                setEvent.run({ eventId, id: incident.id });
+            }
+            touched.add(eventId);
+        }
+    })();
+    
+    return [...touched].map(id => refreshEvent(id, now)).filter(Boolean);
+}
+
+/**
+ * Group raw API incidents (e.g. the active board) by event: an array of
+ * groups, each an array of incidents oldest first. Calls without an event
+ * come back as groups of one.
+ */
+function groupActive(incidents) {
+    const groups = new Map();
+    for (const inc of incidents) {
+        const row = db.findIncident(inc.ObjectId, inc.CallReceivedTime);
+        const key = row && row.event_id ? `event:${row.event_id}` : `call:${inc.ObjectId}:${inc.CallReceivedTime}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(inc);
+    }
+    return [...groups.values()].map(group => group.sort((a, b) => a.CallReceivedTime - b.CallReceivedTime));
+}
+
+// Events that started in [since, until), newest first
+function listEvents(since, until = Date.now()) {
+    return db.db.prepare(`
+        SELECT * FROM events WHERE started_at >= ? AND started_at < ? ORDER BY started_at DESC
+    `).all(since, until);
+}
+
+// An event row with its member incidents, or null
+function getEvent(id) {
+    const event = getEventRow.get(id);
+    return event ? { ...event, incidents: eventMembers.all(id) } : null;
+}
+
+/**
+ * Regroup every incident received in the last `days` days from scratch.
+ * Events reaching into the range are dissolved first so their earlier
+ * calls can be regrouped too. Returns the number of events.
+ */
+function rebuild({ days = 30, now = Date.now() } = {}) {
+    const since = now - days * 24 * 60 * MINUTE;
+    db.db.transaction(() => {
+        const stale = db.db.prepare('SELECT id FROM events WHERE last_at >= ?').all(since);
+        for (const { id } of stale) {
+            moveMembers.run({ from: id, to: null });
+            deleteEvent.run(id);
+        }
+        db.db.prepare('UPDATE incidents SET event_id = NULL WHERE call_received >= ?').run(since);
+    })();
+    
+    const rows = db.db.prepare('SELECT * FROM incidents WHERE call_received >= ? ORDER BY call_received, id').all(since);
+    return clusterIncidents(rows, now).length;
+}
+
+function cli(args) {
+    const option = (name, fallback) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        const value = arg ? parseInt(arg.slice(name.length + 3)) : fallback;
+        if (!(value > 0)) throw new Error(`--${name} must be a positive number`);
+        return value;
+    };
+    
+    if (args[0] === 'show') {
+        const event = getEvent(parseInt(args[1]));
+        if (!event) throw new Error(`No event with id ${args[1]}`);
+        console.log(`# Event ${event.id}\n\n${event.summary}\n`);
+        for (const row of event.incidents) {
+            const cleared = row.cleared ? ` · cleared ${formatTime(row.cleared_at, false)}` : '';
+            console.log(`- ${formatTime(row.call_received)} **${row.incident_type}** - ${row.location || 'Unknown'} \`#${row.object_id}\`${cleared}`);
+        }
+        return;
+    }
+    
+    if (args[0] === 'rebuild') {
+        const days = option('days', 30);
+        console.log(`Regrouped the last ${days} days into ${rebuild({ days })} events`);
+        return;
+    }
+    
+    const hours = option('hours', 24);
+    const events = listEvents(Date.now() - hours * 60 * MINUTE);
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(events, null, 2));
+        return;
+    }
+    console.log(`# 🧩 Multi-call events, last ${hours}h\n`);
+    console.log(events.length ? events.map(e => `- \`${e.id}\` ${e.summary}`).join('\n') : '_None_');
+}
+
+// Run if called directly
+if (require.main === module) {
+    try {
+        cli(process.argv.slice(2));
+    } catch (err) {
+        console.error('Error:', err.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    clusterIncidents,
+    refreshEvent,
+    groupActive,
+    listEvents,
+    getEvent,
+    rebuild,
+    typeChain
+};
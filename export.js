@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Export
+ * Streams incidents out of dispatch.db for analysis elsewhere, with the call
+ * time decoded to Central time, the taxonomy category and coordinates when
+ * they're known (geocoded, or a cached geocode for the address).
+ *
+ * Usage:
+ *   node export.js [--format=csv|geojson|ndjson] [--since=<date>] [--until=<date>]
+ *                  [--type=<text>] [--city=<name>] [--category=<name>] [--out=<file>]
+ *
+ * Dates are YYYY-MM-DD (Central; --until includes that whole day), a number
+ * of days ago (90d) or full ISO times. --type matches part of the incident type, --city and
+ * --category the whole value, all ignoring case. Output goes to stdout
+ * unless --out.
+ *
+ * Rows are read BATCH_SIZE at a time, so a range of any size streams in
+ * constant memory. GeoJSON is a FeatureCollection of points ([lng, lat],
+ * WGS84) that QGIS opens directly; calls without coordinates are left out of
+ * it and counted on stderr.
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+const db = require('./db');
+const geocoder = require('./geocoder');
+const periods = require('./periods');
+
+const BATCH_SIZE = 1000;
+const FORMATS = ['csv', 'geojson', 'ndjson'];
+
+const COLUMNS = [
+    'id', 'object_id', 'event_id', 'incident_code', 'incident_type', 'category',
+    'location', 'location_desc', 'city', 'street', 'cross_street', 'block',
+    'call_received', 'call_received_local', 'first_seen', 'last_seen', 'cleared', 'cleared_at',
+    'lat', 'lng'
+];
+
+// "2026-10-17 21:12:05" in Central time
+function localTime(timestamp) {
+    return new Date(timestamp).toLocaleString('sv-SE', { timeZone: 'America/Chicago' });
+}
+
+function isoTime(timestamp) {
+    return timestamp == null ? null : new Date(timestamp).toISOString();
+}
+
+// A stored row as exported: every column in COLUMNS, times decoded
+function exportRow(row) {
+    const coords = geocoder.incidentCoords(row);
+    return {
+        id: row.id,
+        object_id: row.object_id,
+        event_id: row.event_id,
+        incident_code: row.incident_code,
+        incident_type: row.incident_type,
+        category: row.category,
+        location: row.location,
+        location_desc: row.location_desc,
+        city: row.city,
+        street: row.street,
+        cross_street: row.cross_street,
+        block: row.block,
+        call_received: isoTime(row.call_received),
+        call_received_local: localTime(row.call_received),
+        first_seen: isoTime(row.first_seen),
+        last_seen: isoTime(row.last_seen),
+        cleared: !!row.cleared,
+        cleared_at: isoTime(row.cleared_at),
+        lat: coords ? Number(coords.lat.toFixed(6)) : null,
+        lng: coords ? Number(coords.lng.toFixed(6)) : null
+    };
+}
+
+// --- Formats ---
+// Each writes a header, one chunk per row (or null to skip it) and a footer
+
+function csvField(value) {
+    if (value == null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const writers = {
+    csv: {
+        header: () => `${COLUMNS.join(',')}\n`,
+        row: (record) => `${COLUMNS.map(c => csvField(record[c])).join(',')}\n`,
+        footer: () => ''
+    },
+    ndjson: {
+        header: () => '',
+        row: (record) => `${JSON.stringify(record)}\n`,
+        footer: () => ''
+    },
+    geojson: {
+        header: () => '{"type":"FeatureCollection","features":[\n',
+        row: (record, first) => {
+            if (record.lat == null) return null;
+            const { lat, lng, ...properties } = record;
+            const feature = { type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties };
+            return `${first ? '' : ',\n'}${JSON.stringify(feature)}`;
+        },
+        footer: () => '\n]}\n'
+    }
+};
+
+// --- Query ---
+
+function buildFilter({ since, until, type, city, category }) {
+    const clauses = [];
+    const params = {};
+    if (since != null) {
+        clauses.push('call_received >= @since');
+        params.since = since;
+    }
+    if (until != null) {
+        clauses.push('call_received < @until');
+        params.until = until;
+    }
+    if (type) {
+        clauses.push(`incident_type LIKE @type ESCAPE '\\'`);
+        params.type = `%${type.replace(/[\\%_]/g, c => `\\${c}`)}%`;
+    }
+    if (city) {
+        clauses.push('city = @city COLLATE NOCASE');
+        params.city = city;
+    }
+    if (category) {
+        clauses.push('category = @category COLLATE NOCASE');
+        params.category = category;
+    }
+    return { where: clauses.length ? clauses.join(' AND ') : '1', params };
+}
+
+// Matching rows oldest first, a batch at a time (keyset paging on call_received, id)
+function* matchingRows(filter) {
+    const { where, params } = buildFilter(filter);
+    const page = db.db.prepare(`
+        SELECT * FROM incidents
+        WHERE ${where}
+          AND (call_received > @afterTime OR (call_received = @afterTime AND id > @afterId))
+        ORDER BY call_received, id
+        LIMIT ${BATCH_SIZE}
+    `);
+    let after = { afterTime: -1, afterId: 0 };
+    for (;;) {
+        const rows = page.all({ ...params, ...after });
+        yield* rows;
+        if (rows.length < BATCH_SIZE) return;
+        const last = rows[rows.length - 1];
+        after = { afterTime: last.call_received, afterId: last.id };
+    }
+}
+
+/**
+ * Write the matching incidents to `out` in the given format, waiting on
+ * the stream whenever it's full. Resolves to { written, skipped } where
+ * skipped counts rows the format can't show (GeoJSON without coordinates).
+ */
+async function exportIncidents(out, { format = 'csv', ...filter } = {}) {
+    const writer = writers[format];
+    if (!writer) throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+    
+    const write = async (chunk) => {
+        if (chunk && !out.write(chunk)) await once(out, 'drain');
+    };
+    
+    let written = 0;
+    let skipped = 0;
+    await write(writer.header());
+    for (const row of matchingRows(filter)) {
+        const chunk = writer.row(exportRow(row), written === 0);
+        if (chunk == null) {
+            skipped++;
+            continue;
+        }
+        await write(chunk);
+        written++;
+    }
+    await write(writer.footer());
+    return { written, skipped };
+}
+
+// A date is a whole Central day, "90d" is 90 days before now; anything else must parse as a time
+function parseTime(value, name, endOfDay = false, now = Date.now()) {
+    if (value == null) return null;
+    if (periods.isIsoDate(value)) return periods.centralMidnight(endOfDay ? periods.addDays(value, 1) : value);
+    const ago = value.match(/^(\d+)d$/);
+    if (ago) return now - parseInt(ago[1]) * 24 * 60 * 60 * 1000;
+    const time = Date.parse(value);
+    if (isNaN(time)) throw new Error(`--${name} must be YYYY-MM-DD, a number of days ago like 90d, or an ISO time`);
+    return time;
+}
+
+async function cli(args) {
+    const option = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : null;
+    };
+    
+    const options = {
+        format: option('format') || 'csv',
+        since: parseTime(option('since'), 'since'),
+        until: parseTime(option('until'), 'until', true),
+        type: option('type'),
+        city: option('city'),
+        category: option('category')
+    };
+    if (!FORMATS.includes(options.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+    
+    const file = option('out');
+    const out = file ? fs.createWriteStream(file) : process.stdout;
+    // Piping into head and the like closes stdout early, which is fine
+    out.on('error', err => {
+        if (err.code !== 'EPIPE') throw err;
+        process.exit(0);
+    });
+    const { written, skipped } = await exportIncidents(out, options);
+    if (file) {
+        out.end();
+        await once(out, 'finish');
+    }
+    
+    const note = skipped ? ` (${skipped} without coordinates left out)` : '';
+    console.error(`Exported ${written} incident${written !== 1 ? 's' : ''}${note}${file ? ` to ${file}` : ''}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+    cli(process.argv.slice(2)).catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { exportIncidents, exportRow, parseTime, csvField, COLUMNS };
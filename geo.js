@@ -0,0 +1,53 @@
+/**
+ * Nashville Dispatch Geometry Helpers
+ * Small spherical-earth helpers shared by zones, search and clustering.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRadians(deg) {
+    return deg * Math.PI / 180;
+}
+
+// Great-circle distance in meters between two { lat, lng } points
+function distanceMeters(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+// Ray-casting test against one GeoJSON linear ring ([[lng, lat], ...])
+function inRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point.lat) !== (yj > point.lat) &&
+            point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Point-in-polygon for GeoJSON Polygon or MultiPolygon geometry (holes respected)
+function pointInGeometry(point, geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.some(([outer, ...holes]) => inRing(point, outer) && !holes.some(h => inRing(point, h)));
+}
+
+// Bounding box around a point, for cheap SQL prefiltering before distanceMeters
+function boundingBox(center, radiusMeters) {
+    const dLat = radiusMeters / EARTH_RADIUS_M * 180 / Math.PI;
+    const dLng = dLat / Math.cos(toRadians(center.lat));
+    return {
+        minLat: center.lat - dLat,
+        maxLat: center.lat + dLat,
+        minLng: center.lng - dLng,
+        maxLng: center.lng + dLng
+    };
+}
+
+module.exports = { distanceMeters, pointInGeometry, boundingBox };
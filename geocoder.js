@@ -0,0 +1,381 @@
+/**
+ * Nashville Dispatch Geocoder
+ * Turns dispatch locations into coordinates through a pluggable provider,
+ * caching hits and misses (with TTLs) in the dispatch.db `geocodes` table,
+ * and works through un-geocoded incident rows as a rate-limited queue.
+ *
+ * Providers implement { name, minInterval, lookup(address) -> {lat, lng} | null }
+ * where `address` comes from normalizeAddress(). Pick one with GEOCODER:
+ *   nominatim (default)   OpenStreetMap Nominatim, 1 request/second
+ *   file                  local address points, GEOCODER_FILE=points.csv|.geojson
+ *   mock                  in-memory table, for tests
+ */
+
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const { parseLocation, addressKey, intersectionKey } = require('./address');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HIT_TTL = (parseInt(process.env.GEOCODE_HIT_TTL_DAYS) || 180) * DAY;
+const MISS_TTL = (parseInt(process.env.GEOCODE_MISS_TTL_DAYS) || 7) * DAY;
+
+const LEGACY_CACHE_FILE = path.join(__dirname, '.geocode-cache.json');
+
+/**
+ * Normalize a dispatch location into a cache key and provider query, with
+ * the streets spelled the way address.js stores them: "2650 EIGHTH AVENUE
+ * SOUTH" and "2650 8TH AV S" share the key "2650 8TH AVE S", and
+ * "B AVE / A ST" and "A ST / B AVE" share "A ST & B AVE".
+ * Returns null for blank locations.
+ */
+function normalizeAddress(location) {
+    const place = parseLocation(location);
+    if (!place || !place.street) return null;
+    
+    if (place.intersection) {
+        const streets = [place.street, place.crossStreet].sort();
+        return {
+            key: intersectionKey(place.street, place.crossStreet),
+            query: `${streets[0]} and ${streets[1]}`,
+            streets,
+            intersection: true
+        };
+    }
+    
+    const key = addressKey(location);
+    return {
+        key,
+        query: key,
+        streets: [place.street],
+        number: place.number,
+        intersection: false
+    };
+}
+
+// --- Providers ---
+
+function nominatimProvider({ userAgent = 'NashvilleDispatchMonitor/1.0', timeout = 10000 } = {}) {
+    return {
+        name: 'nominatim',
+        minInterval: 1100,
+        lookup(address) {
+            const query = encodeURIComponent(`${address.query}, Nashville, TN`);
+            const url = `https://nominatim.openstreetmap.org/search?format=json&q=${query}&limit=1`;
+            
+            return new Promise((resolve, reject) => {
+                const req = https.get(url, { headers: { 'User-Agent': userAgent }, timeout }, (res) => {
+                    if (res.statusCode !== 200) {
+                        res.resume();
+                        return reject(new Error(`Nominatim HTTP ${res.statusCode}`));
+                    }
+                    let data = '';
+                    res.on('data', chunk => data += chunk);
+                    res.on('end', () => {
+                        try {
+                            const results = JSON.parse(data);
+                            resolve(results.length > 0 ? { lat: parseFloat(results[0].lat), lng: parseFloat(results[0].lon) } : null);
+                        } catch (e) {
+                            reject(e);
+                        }
+                    });
+                });
+                req.on('timeout', () => req.destroy(new Error('Nominatim request timed out')));
+                req.on('error', reject);
+            });
+        }
+    };
+}
+
+function parseAddressPoints(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const points = [];
+    
+    if (/\.(geo)?json$/i.test(file)) {
+        for (const f of JSON.parse(text).features || []) {
+            if (f.geometry?.type !== 'Point') continue;
+            const props = f.properties || {};
+            const address = props.address || props.ADDRESS || props.full_address || props.FullAddress;
+            if (address) points.push({ address, lng: f.geometry.coordinates[0], lat: f.geometry.coordinates[1] });
+        }
+        return points;
+    }
+    
+    // CSV with a header row naming address, lat/latitude and lng/lon/longitude columns
+    const [header, ...lines] = text.split(/\r?\n/).filter(l => l.trim());
+    const columns = header.split(',').map(c => c.trim().toLowerCase());
+    const col = names => columns.findIndex(c => names.includes(c));
+    const iAddress = col(['address', 'full_address', 'fulladdress']);
+    const iLat = col(['lat', 'latitude', 'y']);
+    const iLng = col(['lng', 'lon', 'long', 'longitude', 'x']);
+    if (iAddress < 0 || iLat < 0 || iLng < 0) {
+        throw new Error(`${file}: expected address, lat and lng columns`);
+    }
+    for (const line of lines) {
+        const cells = line.split(',');
+        points.push({ address: cells[iAddress], lat: parseFloat(cells[iLat]), lng: parseFloat(cells[iLng]) });
+    }
+    return points;
+}
+
+/**
+ * Offline provider backed by an address-point CSV or GeoJSON file. Exact
+ * matches win; otherwise the nearest house number on the same street is used.
+ */
+function addressFileProvider(file) {
+    const exact = new Map();
+    const byStreet = new Map();
+    
+    for (const point of parseAddressPoints(file)) {
+        const address = normalizeAddress(point.address);
+        if (!address || !Number.isFinite(point.lat) || !Number.isFinite(point.lng)) continue;
+        const coords = { lat: point.lat, lng: point.lng };
+        exact.set(address.key, coords);
+        if (address.number != null) {
+            if (!byStreet.has(address.streets[0])) byStreet.set(address.streets[0], []);
+            byStreet.get(address.streets[0]).push({ number: address.number, coords });
+        }
+    }
+    
+    return {
+        name: 'file',
+        minInterval: 0,
+        async lookup(address) {
+            if (exact.has(address.key)) return exact.get(address.key);
+            const candidates = address.number != null && byStreet.get(address.streets[0]);
+            if (!candidates) return null;
+            let best = null;
+            for (const c of candidates) {
+                if (!best || Math.abs(c.number - address.number) < Math.abs(best.number - address.number)) best = c;
+            }
+            return best.coords;
+        }
+    };
+}
+
+// In-memory provider keyed on normalized address keys; records every lookup
+function mockProvider(table = {}) {
+    const calls = [];
+    return {
+        name: 'mock',
+        minInterval: 0,
+        calls,
+        async lookup(address) {
+            calls.push(address.key);
+            return table[address.key] || null;
+        }
+    };
+}
+
+function providerFromEnv() {
+    switch (process.env.GEOCODER || 'nominatim') {
+        case 'file':
+            if (!process.env.GEOCODER_FILE) throw new Error('GEOCODER=file requires GEOCODER_FILE');
+            return addressFileProvider(process.env.GEOCODER_FILE);
+        case 'mock':
+            return mockProvider();
+        case 'nominatim':
+            return nominatimProvider();
+        default:
+            throw new Error(`Unknown GEOCODER "${process.env.GEOCODER}"`);
+    }
+}
+
+let provider = null;
+let lastRequestAt = 0;
+
+function getProvider() {
+    if (!provider) provider = providerFromEnv();
+    return provider;
+}
+
+function setProvider(p) {
+    provider = p;
+    lastRequestAt = 0;
+}
+
+// --- Cache ---
+
+const getCached = db.db.prepare('SELECT * FROM geocodes WHERE address_key = ?');
+const putCached = db.db.prepare(`
+    INSERT OR REPLACE INTO geocodes (address_key, lat, lng, provider, created_at, expires_at)
+    VALUES (@key, @lat, @lng, @provider, @now, @expires)
+`);
+
+// One-time import of the JSON cache map.js used to keep
+if (fs.existsSync(LEGACY_CACHE_FILE)) {
+    try {
+        const legacy = JSON.parse(fs.readFileSync(LEGACY_CACHE_FILE, 'utf8'));
+        const now = Date.now();
+        db.db.transaction(() => {
+            for (const [address, coords] of Object.entries(legacy)) {
+                const normalized = normalizeAddress(address);
+                if (!normalized || getCached.get(normalized.key)) continue;
+                putCached.run({ key: normalized.key, lat: coords.lat, lng: coords.lng, provider: 'nominatim', now, expires: now + HIT_TTL });
+            }
+        })();
+        fs.renameSync(LEGACY_CACHE_FILE, `${LEGACY_CACHE_FILE}.imported`);
+    } catch (e) {
+        console.error('Could not import .geocode-cache.json:', e.message);
+    }
+}
+
+/**
+ * Cached result for a location without touching the network:
+ * { coords } for a hit, { coords: null } for a fresh miss, or
+ * undefined when the address has never been tried or has expired.
+ */
+function lookupCached(location, now = Date.now()) {
+    const address = normalizeAddress(location);
+    if (!address) return { coords: null };
+    const row = getCached.get(address.key);
+    if (!row || row.expires_at <= now) return undefined;
+    return { coords: row.lat == null ? null : { lat: row.lat, lng: row.lng } };
+}
+
+// Cache-first lookup; provider errors propagate and are not cached
+async function resolve(location) {
+    const cached = lookupCached(location);
+    if (cached) return cached.coords;
+    
+    const address = normalizeAddress(location);
+    const p = getProvider();
+    const wait = lastRequestAt + p.minInterval - Date.now();
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+    lastRequestAt = Date.now();
+    
+    const coords = await p.lookup(address);
+    const now = Date.now();
+    putCached.run({
+        key: address.key,
+        lat: coords ? coords.lat : null,
+        lng: coords ? coords.lng : null,
+        provider: p.name,
+        now,
+        expires: now + (coords ? HIT_TTL : MISS_TTL)
+    });
+    return coords;
+}
+
+// Coordinates for a location, or null. Never throws.
+async function geocode(location) {
+    try {
+        return await resolve(location);
+    } catch (e) {
+        console.error(`Geocode failed for "${location}": ${e.message}`);
+        return null;
+    }
+}
+
+// --- Incident queue ---
+
+// Stored coordinates for an incident row, falling back to the geocode cache
+function incidentCoords(row) {
+    if (row.lat != null) return { lat: row.lat, lng: row.lng };
+    const cached = lookupCached(row.location);
+    return cached ? cached.coords : null;
+}
+
+const pendingIncidents = db.db.prepare(`
+    SELECT id, location FROM incidents
+    WHERE geocoded_at IS NULL
+    ORDER BY call_received DESC
+    LIMIT @limit
+`);
+const setIncidentCoords = db.db.prepare(`
+    UPDATE incidents SET lat = @lat, lng = @lng, geocoded_at = @now WHERE id = @id
+`);
+
+function storeCoords(id, coords, now = Date.now()) {
+    setIncidentCoords.run({ id, lat: coords ? coords.lat : null, lng: coords ? coords.lng : null, now });
+}
+
+/**
+ * Fill coordinates for incident rows straight from the cache; rows whose
+ * address isn't cached yet are left for drainQueue(). Returns how many
+ * rows were resolved.
+ */
+function applyCached(limit = 1000) {
+    let resolved = 0;
+    db.db.transaction(() => {
+        for (const row of pendingIncidents.all({ limit })) {
+            const cached = lookupCached(row.location);
+            if (cached) {
+                storeCoords(row.id, cached.coords);
+                resolved++;
+            }
+        }
+    })();
+    return resolved;
+}
+
+let draining = null;
+let stopRequested = false;
+
+/**
+ * Geocode pending incident rows, newest first, until the queue is empty or
+ * `maxMs` has elapsed. A provider error ends the run and leaves the row
+ * pending for next time. Concurrent calls share the same run.
+ */
+function drainQueue({ maxMs = Infinity } = {}) {
+    if (draining) return draining;
+    
+    draining = (async () => {
+        const deadline = Date.now() + maxMs;
+        let processed = 0;
+        applyCached();
+        while (Date.now() < deadline && !stopRequested) {
+            const batch = pendingIncidents.all({ limit: 25 });
+            if (batch.length === 0) break;
+            for (const row of batch) {
+                if (Date.now() >= deadline || stopRequested) break;
+                try {
+                    storeCoords(row.id, await resolve(row.location));
+                } catch (e) {
+                    console.error(`Geocode failed for "${row.location}": ${e.message}`);
+                    return processed;
+                }
+                processed++;
+            }
+        }
+        return processed;
+    })().finally(() => { draining = null; });
+    
+    return draining;
+}
+
+let queueTimer = null;
+
+// Keep draining in the background (for long-running processes)
+function startQueue(interval = 5000) {
+    if (queueTimer) return;
+    queueTimer = setInterval(() => {
+        drainQueue().catch(err => console.error('Geocode queue error:', err.message));
+    }, interval);
+    queueTimer.unref();
+}
+
+// Resolves once an in-flight drain has stopped too, so the DB can be closed after it
+function stopQueue() {
+    clearInterval(queueTimer);
+    queueTimer = null;
+    if (!draining) return Promise.resolve();
+    stopRequested = true;
+    return draining.finally(() => { stopRequested = false; });
+}
+
+module.exports = {
+    normalizeAddress,
+    nominatimProvider,
+    addressFileProvider,
+    mockProvider,
+    setProvider,
+    lookupCached,
+    geocode,
+    incidentCoords,
+    applyCached,
+    drainQueue,
+    startQueue,
+    stopQueue
+};
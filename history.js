@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Incident History
+ * Prints the lifecycle timeline (appeared / updated / cleared / reappeared) for an incident
+ * Usage: node history.js <objectId> [--json]
+ */
+
+const db = require('./db');
+const taxonomy = require('./taxonomy');
+
+function formatTimestamp(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        timeZone: 'America/Chicago',
+        month: 'short', day: 'numeric',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+        hour12: true
+    });
+}
+
+function formatEvent(event) {
+    const time = formatTimestamp(event.at);
+    const changes = event.changes
+        ? Object.entries(event.changes).map(([field, c]) => `${field}: ${c.from || '(blank)'} → ${c.to || '(blank)'}`).join('; ')
+        : '';
+    
+    switch (event.event) {
+        case 'appeared':   return `- ${time} 🆕 Appeared on board`;
+        case 'updated':    return `- ${time} ✏️ Updated: ${changes}`;
+        case 'cleared':    return `- ${time} ✅ Cleared`;
+        case 'reappeared': return `- ${time} 🔄 Reappeared${changes ? ` (${changes})` : ''}`;
+        default:           return `- ${time} ${event.event}`;
+    }
+}
+
+// Summary lines plus the event timeline for one incident row
+function formatTimeline(incident) {
+    const { emoji } = taxonomy.classify(incident.incident_code, incident.incident_type);
+    const lines = [
+        `# ${emoji} ${incident.incident_type} (ObjectId ${incident.object_id})`,
+        `📍 ${incident.location || 'Unknown'}${incident.city ? ` (${incident.city})` : ''}`,
+        `🕐 Call received ${formatTimestamp(incident.call_received)}`
+    ];
+    if (incident.cleared) {
+        const minutes = Math.round((incident.cleared_at - incident.call_received) / 60000);
+        lines.push(`⏱️ On board ${minutes} min${incident.reappearances ? `, reappeared ${incident.reappearances}x` : ''}`);
+    } else {
+        lines.push('🚨 Still active');
+    }
+    
+    lines.push('', '## Timeline', '');
+    const events = db.getIncidentEvents(incident.id);
+    if (events.length === 0) {
+        lines.push(`_No events logged (first seen ${formatTimestamp(incident.first_seen)})_`);
+    }
+    for (const event of events) {
+        lines.push(formatEvent(event));
+    }
+    return lines;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const jsonOutput = args.includes('--json');
+    const objectId = parseInt(args.find(a => !a.startsWith('--')));
+    
+    if (!Number.isInteger(objectId)) {
+        console.error('Usage: node history.js <objectId> [--json]');
+        process.exit(1);
+    }
+    
+    const incidents = db.getIncidentsByObjectId(objectId);
+    
+    if (incidents.length === 0) {
+        console.error(`No incident recorded with ObjectId ${objectId}`);
+        process.exit(1);
+    }
+    
+    if (jsonOutput) {
+        console.log(JSON.stringify(incidents.map(i => ({ ...i, events: db.getIncidentEvents(i.id) })), null, 2));
+        return;
+    }
+    for (const incident of incidents) {
+        console.log(formatTimeline(incident).join('\n'));
+        console.log('');
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { formatTimeline, formatEvent, formatTimestamp };
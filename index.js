@@ -1,86 +1,19 @@
-const https = require('https');
-const { Client, GatewayIntentBits } = require('discord.js');
-
-// Nashville Police Active Dispatch API
-const API_URL = 'https://services2.arcgis.com/HdTo6HJqh92wn4D8/arcgis/rest/services/Metro_Nashville_Police_Department_Active_Dispatch_Table_view/FeatureServer/0/query?where=1%3D1&outFields=*&f=json&resultRecordCount=100';
+const sinks = require('./sinks');
+const board = require('./board');
+const commands = require('./commands');
+const { fetchActiveIncidents } = require('./arcgis');
 
 // Config
 const BOT_TOKEN = process.env.BOT_TOKEN || 'YOUR_BOT_TOKEN';
-const CHANNEL_ID = process.env.CHANNEL_ID || '1464857422605713525'; // Channel to create thread in
+const CHANNEL_ID = process.env.CHANNEL_ID; // Channel to create thread in
 const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL) || 60000; // 1 minute
 
-let client;
-let dispatchThread = null;
-let statusMessageId = null;
 let lastIncidentHash = '';
 
-function fetchDispatch() {
-    return new Promise((resolve, reject) => {
-        https.get(API_URL, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    resolve(JSON.parse(data));
-                } catch (e) {
-                    reject(e);
-                }
-            });
-        }).on('error', reject);
-    });
-}
-
-function formatIncident(incident) {
-    const time = new Date(incident.CallReceivedTime).toLocaleString('en-US', {
-        timeZone: 'America/Chicago',
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
-    });
-    
-    const emoji = getEmojiForIncident(incident.IncidentTypeCode);
-    return `${emoji} **${incident.IncidentTypeName}**\n   📍 ${incident.Location || 'Unknown'}${incident.CityName ? ` (${incident.CityName})` : ''}\n   🕐 ${time}`;
-}
-
-function getEmojiForIncident(code) {
-    if (code.startsWith('57') || code.includes('ASSAULT') || code.includes('FIGHT')) return '🔴';
-    if (code.startsWith('59') || code.includes('SHOOT') || code.includes('STAB')) return '🔴';
-    if (code.includes('ROBBERY') || code.includes('THEFT')) return '🟠';
-    if (code.startsWith('71') || code.includes('ALARM')) return '🟡';
-    if (code.startsWith('52') || code.includes('ACCIDENT') || code.includes('CRASH')) return '🚗';
-    if (code.includes('FIRE')) return '🔥';
-    if (code.includes('MEDICAL') || code.includes('EMS')) return '🚑';
-    if (code.includes('SUSPICIOUS')) return '👀';
-    return '📋';
-}
-
-function buildStatusMessage(incidents) {
-    if (!incidents || incidents.length === 0) {
-        return '✅ **No active incidents**\n\n_Last updated: ' + new Date().toLocaleString('en-US', { timeZone: 'America/Chicago' }) + '_';
-    }
-    
-    // Sort by time (newest first)
-    incidents.sort((a, b) => b.CallReceivedTime - a.CallReceivedTime);
-    
-    let message = `# 🚔 Nashville Active Dispatch\n**${incidents.length} active incident${incidents.length !== 1 ? 's' : ''}**\n\n`;
-    
-    for (const incident of incidents.slice(0, 20)) { // Limit to 20 to fit in message
-        message += formatIncident(incident) + '\n\n';
-    }
-    
-    if (incidents.length > 20) {
-        message += `_...and ${incidents.length - 20} more_\n\n`;
-    }
-    
-    message += `---\n_Last updated: ${new Date().toLocaleString('en-US', { timeZone: 'America/Chicago' })}_\n_Data from: Nashville Open Data Portal_`;
-    
-    return message;
-}
-
-async function findOrCreateThread(channel) {
+async function findOrCreateThread(channel, name) {
     // Look for existing thread
     const threads = await channel.threads.fetchActive();
-    const existing = threads.threads.find(t => t.name === '🚨 Active Dispatch');
+    const existing = threads.threads.find(t => t.name === name);
     
     if (existing) {
         console.log('Found existing dispatch thread');
@@ -90,7 +23,7 @@ async function findOrCreateThread(channel) {
     // Create new thread
     console.log('Creating new dispatch thread...');
     const thread = await channel.threads.create({
-        name: '🚨 Active Dispatch',
+        name,
         autoArchiveDuration: 1440, // 24 hours
         reason: 'Nashville Police Active Dispatch Monitor'
     });
@@ -98,12 +31,53 @@ async function findOrCreateThread(channel) {
     return thread;
 }
 
+/**
+ * Log the bot in and resolve to { client, sink } where the sink posts into
+ * the `thread` under `channelId` (found or created on first use), or into
+ * the channel itself when `thread` is null. Unless `slashCommands` is false
+ * the commands in commands.js are registered in the channel's guild.
+ */
+async function connectBot(token, channelId, { thread = '🚨 Active Dispatch', slashCommands = true } = {}) {
+    // Only bot mode needs discord.js
+    const { Client, GatewayIntentBits } = require('discord.js');
+    const client = new Client({
+        intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages]
+    });
+    
+    await new Promise((resolve, reject) => {
+        client.once('ready', resolve);
+        client.login(token).catch(reject);
+    });
+    console.log(`Logged in as ${client.user.tag}`);
+    
+    if (slashCommands) {
+        client.on('interactionCreate', commands.handleInteraction);
+        // Registering needs the applications.commands scope; posting works without it
+        try {
+            const channel = await client.channels.fetch(channelId);
+            await commands.registerCommands(channel.guild);
+        } catch (err) {
+            console.error(`Could not register slash commands: ${err.message}`);
+        }
+    }
+    
+    let target = null;
+    const getTarget = async () => {
+        if (!target) {
+            const channel = await client.channels.fetch(channelId);
+            target = thread ? await findOrCreateThread(channel, thread) : channel;
+        }
+        return target;
+    };
+    
+    return { client, sink: sinks.discordBotSink(getTarget) };
+}
+
 async function updateDispatch() {
     try {
         console.log(`[${new Date().toLocaleTimeString()}] Polling...`);
-        const data = await fetchDispatch();
-        
-        const incidents = data.features?.map(f => f.attributes) || [];
+        // Any fetch failure (including a partial page set) leaves the last status in place
+        const incidents = await fetchActiveIncidents();
         const currentHash = JSON.stringify(incidents.map(i => i.ObjectId).sort());
         
         // Skip if no changes
@@ -112,32 +86,18 @@ async function updateDispatch() {
             return;
         }
         
-        lastIncidentHash = currentHash;
-        const message = buildStatusMessage(incidents);
-        
-        if (!dispatchThread) {
-            const channel = await client.channels.fetch(CHANNEL_ID);
-            dispatchThread = await findOrCreateThread(channel);
-        }
-        
-        // Update or create status message
-        if (statusMessageId) {
-            try {
-                const msg = await dispatchThread.messages.fetch(statusMessageId);
-                await msg.edit(message);
-                console.log(`Updated: ${incidents.length} incidents`);
-            } catch (e) {
-                // Message was deleted, create new one
-                statusMessageId = null;
-            }
+        // Each board page is its own message, edited only when it changes (ids are kept in the DB)
+        const pages = board.renderBoard(incidents);
+        const results = await board.publishBoard(pages);
+        for (const r of results) {
+            console.log(`${r.sink}: ${r.sent} sent, ${r.unchanged} unchanged, ${r.queued} queued, ${r.removed} removed (${incidents.length} incidents, ${pages.length} page${pages.length !== 1 ? 's' : ''})`);
         }
         
-        if (!statusMessageId) {
-            const msg = await dispatchThread.send(message);
-            statusMessageId = msg.id;
-            console.log(`Created status message: ${incidents.length} incidents`);
+        // A queued update is retried on the next poll even if nothing changed
+        if (results.every(r => r.queued === 0 && r.failed === 0)) {
+            lastIncidentHash = currentHash;
         }
-        
+    
     } catch (err) {
         console.error('Update error:', err.message);
     }
@@ -145,32 +105,46 @@ async function updateDispatch() {
 
 // Main
 async function main() {
+    const targets = sinks.sinksFromEnv();
+    const useBot = BOT_TOKEN !== 'YOUR_BOT_TOKEN';
+    
     console.log('Nashville Police Dispatch Monitor v2');
-    console.log(`Channel: ${CHANNEL_ID}`);
+    if (useBot) console.log(`Channel: ${CHANNEL_ID}`);
+    console.log(`Sinks: ${targets.map(s => s.name).concat(useBot ? ['discord-bot'] : []).join(', ') || 'none'}`);
     console.log(`Poll interval: ${POLL_INTERVAL / 1000}s`);
     console.log('---');
     
-    if (BOT_TOKEN === 'YOUR_BOT_TOKEN') {
-        console.log('\n⚠️  Bot token not configured!');
-        console.log('Run with: BOT_TOKEN="your_token" node index.js\n');
+    if (useBot && !CHANNEL_ID) {
+        console.log('\n⚠️  CHANNEL_ID is required with BOT_TOKEN\n');
         process.exit(1);
     }
     
-    client = new Client({
-        intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages]
-    });
+    if (!useBot && targets.length === 0) {
+        console.log('\n⚠️  Nowhere to post!');
+        console.log('Run with: DISCORD_WEBHOOK="https://discord.com/api/webhooks/..." node index.js');
+        console.log('      or: BOT_TOKEN="your_token" node index.js (see sinks.js for other sinks)\n');
+        process.exit(1);
+    }
     
-    client.once('ready', async () => {
-        console.log(`Logged in as ${client.user.tag}`);
-        
-        // Initial update
-        await updateDispatch();
-        
-        // Poll periodically
-        setInterval(updateDispatch, POLL_INTERVAL);
-    });
+    if (useBot) {
+        const bot = await connectBot(BOT_TOKEN, CHANNEL_ID);
+        targets.push(bot.sink);
+    }
+    sinks.setSinks(targets);
+    
+    // Initial update
+    await updateDispatch();
     
-    client.login(BOT_TOKEN);
+    // Poll periodically
+    setInterval(updateDispatch, POLL_INTERVAL);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
 }
 
-main();
+module.exports = { connectBot };
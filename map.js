@@ -2,116 +2,53 @@
 /**
  * Nashville Dispatch Map Generator
  * Creates an HTML map of current incidents using Leaflet
- * Usage: node map.js [--output map.html]
+ * Usage: node map.js [--output=map.html] [--history=7d] [--geocode-limit=50]
+ *
+ * --history=Nd plots the last N days from dispatch.db as a heat layer with a
+ * time slider instead of the live feed.
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
-
-const API_URL = 'https://services2.arcgis.com/HdTo6HJqh92wn4D8/arcgis/rest/services/Metro_Nashville_Police_Department_Active_Dispatch_Table_view/FeatureServer/0/query?where=1%3D1&outFields=*&f=json&resultRecordCount=100';
+const taxonomy = require('./taxonomy');
+const db = require('./db');
+const geocoder = require('./geocoder');
+const { fetchActiveIncidents, PartialResultError } = require('./arcgis');
 
 // Nashville center coords
 const NASHVILLE_LAT = 36.1627;
 const NASHVILLE_LNG = -86.7816;
 
-// Simple geocoding via Nominatim (rate limited, so we cache)
-const GEOCODE_CACHE_FILE = path.join(__dirname, '.geocode-cache.json');
-let geocodeCache = {};
-
-try {
-    if (fs.existsSync(GEOCODE_CACHE_FILE)) {
-        geocodeCache = JSON.parse(fs.readFileSync(GEOCODE_CACHE_FILE, 'utf8'));
-    }
-} catch (e) {}
-
-function saveCache() {
-    fs.writeFileSync(GEOCODE_CACHE_FILE, JSON.stringify(geocodeCache, null, 2));
-}
-
-function geocode(address) {
-    return new Promise((resolve) => {
-        if (!address) return resolve(null);
-        
-        const cacheKey = address.toLowerCase().trim();
-        if (geocodeCache[cacheKey]) {
-            return resolve(geocodeCache[cacheKey]);
-        }
-        
-        const query = encodeURIComponent(`${address}, Nashville, TN`);
-        const url = `https://nominatim.openstreetmap.org/search?format=json&q=${query}&limit=1`;
-        
-        https.get(url, { headers: { 'User-Agent': 'NashvilleDispatchMonitor/1.0' } }, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    const results = JSON.parse(data);
-                    if (results.length > 0) {
-                        const coords = { lat: parseFloat(results[0].lat), lng: parseFloat(results[0].lon) };
-                        geocodeCache[cacheKey] = coords;
-                        saveCache();
-                        resolve(coords);
-                    } else {
-                        resolve(null);
-                    }
-                } catch (e) {
-                    resolve(null);
-                }
-            });
-        }).on('error', () => resolve(null));
-    });
-}
-
-function fetchDispatch() {
-    return new Promise((resolve, reject) => {
-        https.get(API_URL, (res) => {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-                try {
-                    resolve(JSON.parse(data));
-                } catch (e) {
-                    reject(e);
-                }
-            });
-        }).on('error', reject);
-    });
-}
-
-function getMarkerColor(code, name) {
-    const c = (code + ' ' + name).toUpperCase();
-    if (c.includes('SHOOT') || c.includes('STAB') || c.includes('HOMICIDE')) return 'red';
-    if (c.includes('ASSAULT') || c.includes('FIGHT') || c.includes('DOMESTIC')) return 'red';
-    if (c.includes('ROBBERY') || c.includes('CARJACK')) return 'orange';
-    if (c.includes('BURGLARY') || c.includes('THEFT')) return 'yellow';
-    if (c.includes('ACCIDENT') || c.includes('CRASH')) return 'blue';
-    if (c.includes('FIRE')) return 'red';
-    if (c.includes('MEDICAL') || c.includes('OVERDOSE')) return 'green';
-    return 'gray';
+// Legend control listing every taxonomy category, shared by all map pages
+function legendScript(title, subtitle) {
+    const legendItems = taxonomy.categories()
+        .map(c => `'<div class="legend-item"><div class="legend-color" style="background:${c.color}"></div>${c.emoji} ${c.label}</div>' +`)
+        .join('\n                ');
+    
+    return `
+        // Legend
+        var legend = L.control({position: 'bottomright'});
+        legend.onAdd = function(map) {
+            var div = L.DomUtil.create('div', 'legend');
+            div.innerHTML = '<h4>${title}</h4>' +
+                ${legendItems}
+                '<br><small id="legend-updated">${subtitle}</small>';
+            return div;
+        };
+        legend.addTo(map);`;
 }
 
-function generateHTML(incidents) {
-    const markers = incidents
-        .filter(i => i.coords)
-        .map(i => {
-            const time = new Date(i.CallReceivedTime).toLocaleTimeString('en-US', { timeZone: 'America/Chicago', hour: '2-digit', minute: '2-digit' });
-            const color = getMarkerColor(i.IncidentTypeCode, i.IncidentTypeName);
-            return `
-        L.circleMarker([${i.coords.lat}, ${i.coords.lng}], {
-            radius: 10,
-            fillColor: '${color}',
-            color: '#000',
-            weight: 1,
-            opacity: 1,
-            fillOpacity: 0.8
-        }).addTo(map).bindPopup('<b>${i.IncidentTypeName}</b><br>${i.Location || 'Unknown'}<br><small>${time}</small>');`;
-        }).join('\n');
-
+/**
+ * Leaflet page shell: tiles centered on Nashville plus the category legend.
+ * `script` runs after `map` exists; `styles` and `body` are spliced in
+ * around the #map element and `plugins` are extra script URLs loaded
+ * after Leaflet.
+ */
+function renderMapPage({ title, legendTitle, subtitle, styles = '', body = '', script = '', plugins = [] }) {
     return `<!DOCTYPE html>
 <html>
 <head>
-    <title>Nashville Active Dispatch Map</title>
+    <title>${title}</title>
     <meta charset="utf-8" />
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css" />
@@ -122,60 +59,222 @@ function generateHTML(incidents) {
         .legend h4 { margin: 0 0 10px 0; }
         .legend-item { display: flex; align-items: center; margin: 5px 0; }
         .legend-color { width: 20px; height: 20px; border-radius: 50%; margin-right: 8px; border: 1px solid #000; }
+${styles}
     </style>
 </head>
 <body>
     <div id="map"></div>
+${body}
     <script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"></script>
+${plugins.map(src => `    <script src="${src}"></script>`).join('\n')}
     <script>
         var map = L.map('map').setView([${NASHVILLE_LAT}, ${NASHVILLE_LNG}], 11);
         L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
             attribution: '© OpenStreetMap contributors'
         }).addTo(map);
         
-        ${markers}
-        
-        // Legend
-        var legend = L.control({position: 'bottomright'});
-        legend.onAdd = function(map) {
-            var div = L.DomUtil.create('div', 'legend');
-            div.innerHTML = '<h4>🚔 Active Dispatch</h4>' +
-                '<div class="legend-item"><div class="legend-color" style="background:red"></div>Violent</div>' +
-                '<div class="legend-item"><div class="legend-color" style="background:orange"></div>Robbery</div>' +
-                '<div class="legend-item"><div class="legend-color" style="background:yellow"></div>Property</div>' +
-                '<div class="legend-item"><div class="legend-color" style="background:blue"></div>Traffic</div>' +
-                '<div class="legend-item"><div class="legend-color" style="background:green"></div>Medical</div>' +
-                '<div class="legend-item"><div class="legend-color" style="background:gray"></div>Other</div>' +
-                '<br><small>Updated: ${new Date().toLocaleString('en-US', { timeZone: 'America/Chicago' })}</small>';
-            return div;
-        };
-        legend.addTo(map);
+        ${script}
+        ${legendScript(legendTitle, subtitle)}
     </script>
 </body>
 </html>`;
 }
 
+function escapeHTML(value) {
+    return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function generateHTML(incidents) {
+    const markers = incidents
+        .filter(i => i.coords)
+        .map(i => {
+            const time = new Date(i.CallReceivedTime).toLocaleTimeString('en-US', { timeZone: 'America/Chicago', hour: '2-digit', minute: '2-digit' });
+            const { color } = taxonomy.classifyIncident(i);
+            return `
+        L.circleMarker([${i.coords.lat}, ${i.coords.lng}], {
+            radius: 10,
+            fillColor: '${color}',
+            color: '#000',
+            weight: 1,
+            opacity: 1,
+            fillOpacity: 0.8
+        }).addTo(map).bindPopup(${JSON.stringify(`<b>${escapeHTML(i.IncidentTypeName)}</b><br>${escapeHTML(i.Location || 'Unknown')}<br><small>${time}</small>`)});`;
+        }).join('\n');
+    
+    return renderMapPage({
+        title: 'Nashville Active Dispatch Map',
+        legendTitle: '🚔 Active Dispatch',
+        subtitle: `Updated: ${new Date().toLocaleString('en-US', { timeZone: 'America/Chicago' })}`,
+        script: markers
+    });
+}
+
+// Runs in the browser: heat layer plus circle markers for the trailing
+// TRAIL_HOURS before the slider position, with play/pause and a violent-only toggle
+const HISTORY_SCRIPT = `
+        var timeline = HISTORY_DATA;
+        var TRAIL_HOURS = 3;
+        var STEP_MS = 60 * 60 * 1000;
+        var heat = L.heatLayer([], { radius: 18, blur: 15, maxZoom: 15 }).addTo(map);
+        var trail = L.layerGroup().addTo(map);
+        var slider = document.getElementById('slider');
+        var label = document.getElementById('slider-time');
+        var violentOnly = document.getElementById('violent-only');
+        var playing = null;
+        
+        slider.min = timeline.since;
+        slider.max = timeline.until;
+        slider.step = STEP_MS;
+        slider.value = timeline.until;
+        
+        function escapeHTML(s) {
+            return String(s == null ? '' : s).replace(/[&<>"']/g, function(c) {
+                return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+            });
+        }
+        
+        function formatTime(ms) {
+            return new Date(ms).toLocaleString('en-US', { timeZone: 'America/Chicago', weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        }
+        
+        function render() {
+            var until = Number(slider.value);
+            var trailStart = until - TRAIL_HOURS * STEP_MS;
+            var points = timeline.points.filter(function(p) {
+                return p.t <= until && (!violentOnly.checked || p.violent);
+            });
+            heat.setLatLngs(points.map(function(p) { return [p.lat, p.lng, p.violent ? 1 : 0.5]; }));
+            trail.clearLayers();
+            points.forEach(function(p) {
+                if (p.t < trailStart) return;
+                L.circleMarker([p.lat, p.lng], { radius: 7, fillColor: p.color, color: '#000', weight: 1, fillOpacity: 0.9 })
+                    .bindPopup('<b>' + escapeHTML(p.type) + '</b><br>' + escapeHTML(p.location) + '<br><small>' + formatTime(p.t) + '</small>')
+                    .addTo(trail);
+            });
+            label.textContent = formatTime(until) + ' · ' + points.length + ' calls';
+        }
+        
+        document.getElementById('play').addEventListener('click', function(e) {
+            if (playing) {
+                clearInterval(playing);
+                playing = null;
+                e.target.textContent = '▶ Play';
+                return;
+            }
+            if (Number(slider.value) >= timeline.until) slider.value = timeline.since;
+            e.target.textContent = '⏸ Pause';
+            playing = setInterval(function() {
+                slider.value = Math.min(timeline.until, Number(slider.value) + STEP_MS);
+                render();
+                if (Number(slider.value) >= timeline.until) e.target.click();
+            }, 200);
+        });
+        slider.addEventListener('input', render);
+        violentOnly.addEventListener('change', render);
+        render();`;
+
+function generateHistoryHTML(points, { days, since, until }) {
+    return renderMapPage({
+        title: `Nashville Dispatch - Last ${days} Days`,
+        legendTitle: `🔥 Last ${days} Days`,
+        subtitle: `${points.length} geocoded calls`,
+        plugins: ['https://unpkg.com/leaflet.heat@0.2.0/dist/leaflet-heat.js'],
+        styles: `
+        #map { bottom: 56px; }
+        #timeline { position: absolute; left: 0; right: 0; bottom: 0; height: 56px; display: flex; align-items: center; gap: 12px; padding: 0 12px; background: #222; color: #eee; font: 13px sans-serif; }
+        #slider { flex: 1; }
+        #slider-time { min-width: 220px; }`,
+        body: `
+    <div id="timeline">
+        <button id="play">▶ Play</button>
+        <input type="range" id="slider">
+        <span id="slider-time"></span>
+        <label><input type="checkbox" id="violent-only"> Violent only</label>
+    </div>`,
+        script: HISTORY_SCRIPT.replace('HISTORY_DATA', () => JSON.stringify({ since, until, points }))
+    });
+}
+
+/**
+ * Heat/timeline points for the last `days` of history. Coordinates come from
+ * the incident rows and the geocode cache; up to `geocodeLimit` uncached
+ * addresses are geocoded per run so repeated runs fill the cache gradually.
+ */
+async function buildHistory(days, { geocodeLimit = 50 } = {}) {
+    const until = Date.now();
+    const since = until - days * 24 * 60 * 60 * 1000;
+    const rows = db.getIncidentsSince(since);
+    
+    const uncached = [...new Set(rows.filter(r => r.lat == null && !geocoder.lookupCached(r.location)).map(r => r.location))];
+    const toGeocode = uncached.slice(0, geocodeLimit);
+    for (let i = 0; i < toGeocode.length; i++) {
+        await geocoder.geocode(toGeocode[i]);
+        process.stdout.write(`\rGeocoded ${i + 1}/${toGeocode.length}`);
+    }
+    if (toGeocode.length > 0) console.log('');
+    if (uncached.length > toGeocode.length) {
+        console.log(`${uncached.length - toGeocode.length} addresses left uncached; re-run (or raise --geocode-limit) to fill them in`);
+    }
+    
+    const points = [];
+    for (const row of rows) {
+        const coords = geocoder.incidentCoords(row);
+        if (!coords) continue;
+        const { color, violent } = taxonomy.classify(row.incident_code, row.incident_type);
+        points.push({
+            lat: coords.lat,
+            lng: coords.lng,
+            t: row.call_received,
+            violent: violent ? 1 : 0,
+            color,
+            type: row.incident_type,
+            location: row.location
+        });
+    }
+    
+    console.log(`Plotting ${points.length}/${rows.length} incidents from the last ${days} days`);
+    return { points, since, until };
+}
+
 async function main() {
     const args = process.argv.slice(2);
     const outputArg = args.find(a => a.startsWith('--output='));
     const outputFile = outputArg ? outputArg.split('=')[1] : path.join(__dirname, 'map.html');
+    const historyArg = args.find(a => a.startsWith('--history='));
+    const limitArg = args.find(a => a.startsWith('--geocode-limit='));
+    
+    if (historyArg) {
+        const days = parseInt(historyArg.split('=')[1]);
+        if (!(days > 0)) {
+            console.error('Usage: node map.js --history=<days>d, e.g. --history=3d');
+            process.exit(1);
+        }
+        const geocodeLimit = limitArg ? parseInt(limitArg.split('=')[1]) : 50;
+        const { points, since, until } = await buildHistory(days, { geocodeLimit });
+        fs.writeFileSync(outputFile, generateHistoryHTML(points, { days, since, until }));
+        console.log(`Map saved to: ${outputFile}`);
+        console.log(`Open in browser: file://${path.resolve(outputFile)}`);
+        return;
+    }
     
     console.log('Fetching active dispatch...');
-    const data = await fetchDispatch();
-    const incidents = data.features?.map(f => f.attributes) || [];
+    let incidents;
+    try {
+        incidents = await fetchActiveIncidents();
+    } catch (err) {
+        if (!(err instanceof PartialResultError)) throw err;
+        // A snapshot map can still plot what we did get
+        console.error(`Warning: ${err.message}`);
+        incidents = err.incidents;
+    }
     
     console.log(`Found ${incidents.length} active incidents`);
     console.log('Geocoding addresses (this may take a moment)...');
     
-    // Geocode each incident (with rate limiting)
+    // Geocode each incident (the geocoder handles caching and rate limiting)
     for (let i = 0; i < incidents.length; i++) {
         const incident = incidents[i];
-        incident.coords = await geocode(incident.Location);
-        
-        // Rate limit to 1 request per second for Nominatim
-        if (!geocodeCache[incident.Location?.toLowerCase().trim()]) {
-            await new Promise(r => setTimeout(r, 1100));
-        }
+        incident.coords = await geocoder.geocode(incident.Location);
         
         process.stdout.write(`\rGeocoded ${i + 1}/${incidents.length}`);
     }
@@ -190,4 +289,9 @@ async function main() {
     console.log(`Open in browser: file://${path.resolve(outputFile)}`);
 }
 
-main().catch(console.error);
+// Run if called directly
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = { renderMapPage, generateHTML, generateHistoryHTML };
@@ -0,0 +1,194 @@
+/**
+ * Every table and index db.js created before schema_version existed. It
+ * also runs against databases from those releases, so tables are created
+ * only if missing and columns added since the first release only if absent.
+ */
+
+const { addColumn } = require('../schema');
+
+module.exports = {
+    description: 'Tables and indexes from before versioned migrations',
+    
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS incidents (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                object_id INTEGER NOT NULL,
+                incident_code TEXT,
+                incident_type TEXT NOT NULL,
+                location TEXT,
+                location_desc TEXT,
+                city TEXT,
+                call_received INTEGER NOT NULL,
+                first_seen INTEGER NOT NULL,
+                last_seen INTEGER NOT NULL,
+                cleared INTEGER DEFAULT 0,
+                cleared_at INTEGER,
+                UNIQUE(object_id, call_received)
+            );
+        `);
+        for (const column of [
+            'street TEXT', 'block TEXT', 'cross_street TEXT', 'hour INTEGER', 'category TEXT',
+            'reappearances INTEGER DEFAULT 0', 'lat REAL', 'lng REAL', 'geocoded_at INTEGER',
+            'event_id INTEGER REFERENCES events(id)'
+        ]) {
+            addColumn(db, 'incidents', column);
+        }
+        db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_call_received ON incidents(call_received);
+            CREATE INDEX IF NOT EXISTS idx_incident_type ON incidents(incident_type);
+            CREATE INDEX IF NOT EXISTS idx_city ON incidents(city);
+            CREATE INDEX IF NOT EXISTS idx_cleared ON incidents(cleared);
+            CREATE INDEX IF NOT EXISTS idx_street ON incidents(street);
+            CREATE INDEX IF NOT EXISTS idx_hour ON incidents(hour);
+            CREATE INDEX IF NOT EXISTS idx_category ON incidents(category);
+            CREATE INDEX IF NOT EXISTS idx_block ON incidents(block) WHERE block IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_cross_street ON incidents(cross_street) WHERE cross_street IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_geocode_pending ON incidents(geocoded_at) WHERE geocoded_at IS NULL;
+            CREATE INDEX IF NOT EXISTS idx_event_id ON incidents(event_id) WHERE event_id IS NOT NULL;
+        `);
+        
+        // Daily, weekly and monthly reports, keyed on the period and the ISO
+        // date (Central) it starts; period_end is its last day
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS reports (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                period TEXT NOT NULL,
+                period_start TEXT NOT NULL,
+                period_end TEXT NOT NULL,
+                report_text TEXT NOT NULL,
+                total_incidents INTEGER,
+                violent_incidents INTEGER,
+                top_streets TEXT,
+                peak_hours TEXT,
+                created_at INTEGER NOT NULL,
+                UNIQUE(period, period_start)
+            );
+        `);
+        
+        // Geocode cache: hits and misses (lat/lng NULL) keyed on the normalized address
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS geocodes (
+                address_key TEXT PRIMARY KEY,
+                lat REAL,
+                lng REAL,
+                provider TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL
+            );
+        `);
+        
+        // Watch zones: a GeoJSON polygon or a radius around a point. `streets` is a
+        // JSON array used for string matching when an incident has no coordinates.
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS zones (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                kind TEXT NOT NULL CHECK (kind IN ('polygon', 'radius')),
+                geometry TEXT,
+                center_lat REAL,
+                center_lng REAL,
+                radius_m REAL,
+                address TEXT,
+                streets TEXT,
+                city TEXT,
+                created_at INTEGER NOT NULL
+            );
+        `);
+        
+        // Alert subscriptions: `rule` is the subscriptions.js query text. Cooldowns
+        // are keyed by name so rules loaded from subscriptions.json get one too.
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS subscriptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                rule TEXT NOT NULL,
+                notify TEXT,
+                cooldown_min INTEGER NOT NULL DEFAULT 15,
+                created_at INTEGER NOT NULL
+            );
+            
+            CREATE TABLE IF NOT EXISTS subscription_cooldowns (
+                name TEXT PRIMARY KEY,
+                last_fired_at INTEGER NOT NULL
+            );
+        `);
+        
+        // When each anomaly (see anomalies.js) last alerted, keyed like "spike:violent:ANTIOCH"
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS anomaly_cooldowns (
+                key TEXT PRIMARY KEY,
+                last_fired_at INTEGER NOT NULL
+            );
+        `);
+        
+        // Notification sinks: ids of messages we edit in place (status board,
+        // reports) and each sink's queue of deliveries waiting to be retried
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS sink_messages (
+                sink TEXT NOT NULL,
+                key TEXT NOT NULL,
+                message_id TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (sink, key)
+            );
+            
+            CREATE TABLE IF NOT EXISTS sink_queue (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                sink TEXT NOT NULL,
+                message TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at INTEGER NOT NULL,
+                last_error TEXT,
+                created_at INTEGER NOT NULL
+            );
+            
+            CREATE INDEX IF NOT EXISTS idx_sink_queue ON sink_queue(sink, id);
+        `);
+        
+        // Status board pages each sink currently shows, with a hash of what was sent
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS board_pages (
+                sink TEXT NOT NULL,
+                key TEXT NOT NULL,
+                hash TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (sink, key)
+            );
+        `);
+        
+        // Lifecycle event log: appeared / updated / cleared / reappeared per incident
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS incident_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                incident_id INTEGER NOT NULL REFERENCES incidents(id),
+                event TEXT NOT NULL,
+                changes TEXT,
+                at INTEGER NOT NULL
+            );
+            
+            CREATE INDEX IF NOT EXISTS idx_events_incident ON incident_events(incident_id, at);
+        `);
+        
+        // Multi-call events (see events.js): related calls grouped by place and time.
+        // Everything but the id is recomputed from the member incidents.
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                started_at INTEGER NOT NULL,
+                last_at INTEGER NOT NULL,
+                incident_count INTEGER NOT NULL,
+                category TEXT,
+                location TEXT,
+                city TEXT,
+                lat REAL,
+                lng REAL,
+                summary TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            
+            CREATE INDEX IF NOT EXISTS idx_events_started ON events(started_at);
+        `);
+    }
+};
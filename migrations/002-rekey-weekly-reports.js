@@ -0,0 +1,48 @@
+/**
+ * Weekly reports used to be keyed on a locale string ("Jan 18, 2026") in
+ * week_start/week_end. Re-key them on ISO dates in the reports table that
+ * 001 creates for new databases.
+ */
+
+const { hasColumn } = require('../schema');
+
+// "Jan 18, 2026" -> "2026-01-18", read in the machine's timezone as it was written
+function toIso(text) {
+    const date = new Date(text);
+    if (isNaN(date)) return null;
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+module.exports = {
+    description: 'Re-key weekly reports archived under locale-string dates',
+    
+    up(db) {
+        if (!hasColumn(db, 'reports', 'week_start')) return;
+        
+        const legacy = db.prepare('SELECT * FROM reports ORDER BY created_at').all();
+        db.exec(`
+            DROP TABLE reports;
+            CREATE TABLE reports (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                period TEXT NOT NULL,
+                period_start TEXT NOT NULL,
+                period_end TEXT NOT NULL,
+                report_text TEXT NOT NULL,
+                total_incidents INTEGER,
+                violent_incidents INTEGER,
+                top_streets TEXT,
+                peak_hours TEXT,
+                created_at INTEGER NOT NULL,
+                UNIQUE(period, period_start)
+            );
+        `);
+        const insert = db.prepare(`
+            INSERT OR IGNORE INTO reports (period, period_start, period_end, report_text, total_incidents, violent_incidents, top_streets, peak_hours, created_at)
+            VALUES ('weekly', @start, @end, @report_text, @total_incidents, @violent_incidents, @top_streets, @peak_hours, @created_at)
+        `);
+        for (const row of legacy) {
+            const start = toIso(row.week_start);
+            if (start) insert.run({ ...row, start, end: toIso(row.week_end) || start });
+        }
+    }
+};
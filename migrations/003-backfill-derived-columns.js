@@ -0,0 +1,45 @@
+/**
+ * Fill in the columns derived from each incident that older releases
+ * either didn't have or recomputed on every start: hour, category (from
+ * the taxonomy rules) and the normalized street, block and cross street
+ * (from address.js). Addresses are re-parsed for every row, since street
+ * was written by looser parsers before.
+ */
+
+// Frozen copies, so this gives the same result whenever it runs
+const taxonomy = require('./frozen/taxonomy-v1');
+const address = require('./frozen/address');
+
+module.exports = {
+    description: 'Backfill hour, category and normalized addresses',
+    
+    up(db) {
+        // Hours missing, or stored as 24 for midnight by an older getHour
+        db.exec(`
+            UPDATE incidents
+            SET hour = CAST(strftime('%H', call_received / 1000, 'unixepoch', 'localtime') AS INTEGER)
+            WHERE hour IS NULL;
+            
+            UPDATE incidents SET hour = 0 WHERE hour = 24;
+        `);
+        
+        const setCategory = db.prepare(`
+            UPDATE incidents SET category = @category
+            WHERE category IS NULL AND incident_type = @type AND incident_code IS @code
+        `);
+        for (const row of db.prepare('SELECT DISTINCT incident_code, incident_type FROM incidents WHERE category IS NULL').all()) {
+            const category = taxonomy.classify(row.incident_code, row.incident_type);
+            setCategory.run({ category, type: row.incident_type, code: row.incident_code });
+        }
+        
+        const setAddress = db.prepare(`
+            UPDATE incidents SET street = @street, block = @block, cross_street = @crossStreet WHERE id = @id
+        `);
+        const parsed = new Map();
+        for (const { id, location } of db.prepare('SELECT id, location FROM incidents WHERE location IS NOT NULL').all()) {
+            if (!parsed.has(location)) parsed.set(location, address.parseLocation(location) || {});
+            const { street = null, block = null, crossStreet = null } = parsed.get(location);
+            setAddress.run({ id, street, block, crossStreet });
+        }
+    }
+};
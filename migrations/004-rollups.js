@@ -0,0 +1,30 @@
+/**
+ * Rollups for incidents past the retention window (see retention.js):
+ * counts per Central day by type and city, and by hour of day. city is ''
+ * when unknown so it can be part of the key.
+ */
+
+module.exports = {
+    description: 'Daily type/city and hourly count rollups',
+    
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS daily_type_city_counts (
+                date TEXT NOT NULL,
+                incident_type TEXT NOT NULL,
+                city TEXT NOT NULL DEFAULT '',
+                category TEXT NOT NULL,
+                count INTEGER NOT NULL,
+                PRIMARY KEY (date, incident_type, city, category)
+            );
+            
+            CREATE TABLE IF NOT EXISTS hourly_counts (
+                date TEXT NOT NULL,
+                hour INTEGER NOT NULL,
+                category TEXT NOT NULL,
+                count INTEGER NOT NULL,
+                PRIMARY KEY (date, hour, category)
+            );
+        `);
+    }
+};
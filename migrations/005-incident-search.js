@@ -0,0 +1,38 @@
+/**
+ * Full-text index for search.js over each incident's type, location,
+ * location description and city. It's an external-content FTS5 table: the
+ * text stays in incidents, and triggers keep the index in step as rows are
+ * recorded, updated, and pruned by retention.
+ */
+
+module.exports = {
+    description: 'Full-text search index over incidents',
+    
+    up(db) {
+        db.exec(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS incidents_fts USING fts5(
+                incident_type, location, location_desc, city,
+                content = 'incidents', content_rowid = 'id'
+            );
+            
+            CREATE TRIGGER IF NOT EXISTS incidents_fts_insert AFTER INSERT ON incidents BEGIN
+                INSERT INTO incidents_fts (rowid, incident_type, location, location_desc, city)
+                VALUES (new.id, new.incident_type, new.location, new.location_desc, new.city);
+            END;
+            
+            CREATE TRIGGER IF NOT EXISTS incidents_fts_delete AFTER DELETE ON incidents BEGIN
+                INSERT INTO incidents_fts (incidents_fts, rowid, incident_type, location, location_desc, city)
+                VALUES ('delete', old.id, old.incident_type, old.location, old.location_desc, old.city);
+            END;
+            
+            CREATE TRIGGER IF NOT EXISTS incidents_fts_update AFTER UPDATE OF incident_type, location, location_desc, city ON incidents BEGIN
+                INSERT INTO incidents_fts (incidents_fts, rowid, incident_type, location, location_desc, city)
+                VALUES ('delete', old.id, old.incident_type, old.location, old.location_desc, old.city);
+                INSERT INTO incidents_fts (rowid, incident_type, location, location_desc, city)
+                VALUES (new.id, new.incident_type, new.location, new.location_desc, new.city);
+            END;
+            
+            INSERT INTO incidents_fts (incidents_fts) VALUES ('rebuild');
+        `);
+    }
+};
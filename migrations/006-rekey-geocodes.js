@@ -0,0 +1,33 @@
+/**
+ * Re-key the geocode cache with address.js's normalizer. Keys used to be
+ * the location as dispatch spelled it, so "2650 EIGHTH AVENUE SOUTH" and
+ * "2650 8TH AV S" were cached (and looked up from the provider) twice;
+ * both are now "2650 8TH AVE S". Where several old keys land on one new
+ * key, the newest entry is kept.
+ */
+
+// A frozen copy of address.js, so this gives the same keys whenever it runs
+const address = require('./frozen/address');
+
+module.exports = {
+    description: 'Re-key cached geocodes by normalized address',
+    
+    up(db) {
+        const remove = db.prepare('DELETE FROM geocodes WHERE address_key = ?');
+        const put = db.prepare(`
+            INSERT INTO geocodes (address_key, lat, lng, provider, created_at, expires_at)
+            VALUES (@key, @lat, @lng, @provider, @created_at, @expires_at)
+            ON CONFLICT(address_key) DO UPDATE SET
+                lat = excluded.lat, lng = excluded.lng, provider = excluded.provider,
+                created_at = excluded.created_at, expires_at = excluded.expires_at
+            WHERE excluded.created_at > geocodes.created_at
+        `);
+        
+        for (const row of db.prepare('SELECT * FROM geocodes ORDER BY created_at').all()) {
+            const key = address.addressKey(row.address_key);
+            if (key === row.address_key) continue;
+            remove.run(row.address_key);
+            if (key) put.run({ ...row, key });
+        }
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * Reclassify stored incidents now that keywords match whole words:
+ * FIREARM VIOLATION was stored as fire and STABLE HORSE LOOSE as violent.
+ * Only rows still holding the category the old rules gave them are
+ * rewritten, so categories from a custom TAXONOMY_FILE are left alone.
+ * Rollups of pruned days (migrations/004) keep the category they were
+ * counted under.
+ */
+
+// Frozen copies of the rules before and after, so this gives the same result whenever it runs
+const substring = require('./frozen/taxonomy-v1');
+const wholeWord = require('./frozen/taxonomy-v2');
+
+module.exports = {
+    description: 'Reclassify incidents with whole-word taxonomy keywords',
+    
+    up(db) {
+        const setCategory = db.prepare(`
+            UPDATE incidents SET category = @category
+            WHERE incident_type = @type AND incident_code IS @code AND category IS @old
+        `);
+        for (const row of db.prepare('SELECT DISTINCT incident_code, incident_type FROM incidents').all()) {
+            const old = substring.classify(row.incident_code, row.incident_type);
+            const category = wholeWord.classify(row.incident_code, row.incident_type);
+            if (category !== old) setCategory.run({ category, old, type: row.incident_type, code: row.incident_code });
+        }
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * Recompute incidents.hour in Central time. The hour backfill in 003 uses
+ * SQLite's 'localtime', so a database migrated on a server outside Central
+ * time got those rows' hours in the server's zone.
+ * Every row's hour is the Central hour of call_received (db.getHour), so
+ * it's safe to recompute them all; only rows that differ are written.
+ *
+ * The hour is computed here rather than with db.getHour, so this stays
+ * the same if db.js changes.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const centralHour = new Intl.DateTimeFormat('en-US', { timeZone: 'America/Chicago', hour: 'numeric', hourCycle: 'h23' });
+
+module.exports = {
+    description: 'Recompute incident hours in Central time',
+    
+    up(db) {
+        // Central offsets are whole hours, so every call in one UTC hour shares its Central hour
+        const setHour = db.prepare(`
+            UPDATE incidents SET hour = @hour
+            WHERE call_received >= @since AND call_received < @since + ${HOUR} AND hour IS NOT @hour
+        `);
+        for (const bucket of db.prepare(`SELECT DISTINCT call_received / ${HOUR} FROM incidents`).pluck().all()) {
+            setHour.run({ hour: parseInt(centralHour.format(bucket * HOUR)), since: bucket * HOUR });
+        }
+    }
+};
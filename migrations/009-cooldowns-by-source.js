@@ -0,0 +1,28 @@
+/**
+ * Key subscription cooldowns by source and name. A database rule and a
+ * file rule with the same name shared one cooldown, so one firing
+ * silenced the other. Existing cooldowns are kept for both sources, so
+ * nothing that was cooling down fires early.
+ */
+
+module.exports = {
+    description: 'Key subscription cooldowns by source and name',
+    
+    up(db) {
+        db.exec(`
+            CREATE TABLE subscription_cooldowns_new (
+                source TEXT NOT NULL,
+                name TEXT NOT NULL,
+                last_fired_at INTEGER NOT NULL,
+                PRIMARY KEY (source, name)
+            );
+            
+            INSERT INTO subscription_cooldowns_new (source, name, last_fired_at)
+            SELECT s.source, c.name, c.last_fired_at
+            FROM subscription_cooldowns c, (SELECT 'db' AS source UNION ALL SELECT 'file') s;
+            
+            DROP TABLE subscription_cooldowns;
+            ALTER TABLE subscription_cooldowns_new RENAME TO subscription_cooldowns;
+        `);
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Rollup of calls per Central day, hour, category and city for days past
+ * the retention window (see retention.js), so anomaly spike baselines
+ * (anomalies.js) can reach back past the raw rows. category and city are
+ * '' when unknown so they can be part of the key. Days pruned before this
+ * existed aren't in it; baselines don't count them.
+ */
+
+module.exports = {
+    description: 'Hourly count rollups per category and city',
+    
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS hourly_city_counts (
+                date TEXT NOT NULL,
+                hour INTEGER NOT NULL,
+                category TEXT NOT NULL,
+                city TEXT NOT NULL,
+                count INTEGER NOT NULL,
+                PRIMARY KEY (date, hour, category, city)
+            );
+        `);
+    }
+};
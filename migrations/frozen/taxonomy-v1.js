@@ -0,0 +1,36 @@
+/**
+ * Incident categories for migrations, frozen as taxonomy.js and
+ * taxonomy.json first classified them: keywords matched anywhere in
+ * "CODE NAME". Used by 003, and by 007 to tell which stored categories
+ * these rules put there. Never change it to follow taxonomy.js.
+ */
+
+const RULES = [
+    { category: 'violent', keywords: ['SHOOT', 'SHOTS FIRED', 'STAB', 'CUTTING', 'HOMICIDE', 'ASSAULT', 'FIGHT', 'DOMESTIC'] },
+    { category: 'robbery', keywords: ['ROBBERY', 'CARJACK'] },
+    { category: 'alarm', keywords: ['ALARM'] },
+    { category: 'fire', keywords: ['FIRE'] },
+    { category: 'property', keywords: ['BURGLARY', 'THEFT', 'STEALING', 'SHOPLIFT', 'VANDALISM'] },
+    { category: 'traffic', keywords: ['ACCIDENT', 'CRASH', 'HIT AND RUN'] },
+    { category: 'medical', keywords: ['MEDICAL', 'OVERDOSE', 'UNCONSCIOUS'] },
+    { category: 'suspicious', keywords: ['SUSPICIOUS'] },
+    { category: 'welfare', keywords: ['MISSING', 'WELFARE'] },
+    { category: 'violent', codePrefixes: ['57', '59'] },
+    { category: 'traffic', codePrefixes: ['52'] },
+    { category: 'alarm', codePrefixes: ['71'] }
+];
+const DEFAULT_CATEGORY = 'other';
+
+// The category name for an incident; the first matching rule wins
+function classify(code, name) {
+    const c = String(code || '').toUpperCase();
+    const text = `${c} ${String(name || '').toUpperCase()}`;
+    
+    for (const rule of RULES) {
+        if (rule.keywords && rule.keywords.some(k => text.includes(k))) return rule.category;
+        if (rule.codePrefixes && rule.codePrefixes.some(p => c.startsWith(p))) return rule.category;
+    }
+    return DEFAULT_CATEGORY;
+}
+
+module.exports = { classify };
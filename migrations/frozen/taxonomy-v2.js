@@ -0,0 +1,45 @@
+/**
+ * Incident categories for migrations, frozen as taxonomy.js and
+ * taxonomy.json classified them when 007 was released: keywords match
+ * whole words, prefixes the start of a word. Never change it to follow
+ * taxonomy.js.
+ */
+
+const RULES = [
+    { category: 'violent', keywords: ['SHOTS FIRED', 'STAB', 'STABBING', 'STABBED', 'CUTTING', 'HOMICIDE', 'FIGHT', 'FIGHTING', 'DOMESTIC'], prefixes: ['SHOOT', 'ASSAULT'] },
+    { category: 'robbery', keywords: ['ROBBERY'], prefixes: ['CARJACK'] },
+    { category: 'alarm', keywords: ['ALARM', 'ALARMS'] },
+    { category: 'fire', keywords: ['FIRE', 'FIRES'] },
+    { category: 'property', keywords: ['BURGLARY', 'THEFT', 'STEALING', 'VANDALISM'], prefixes: ['SHOPLIFT'] },
+    { category: 'traffic', keywords: ['ACCIDENT', 'ACCIDENTS', 'CRASH', 'HIT AND RUN'] },
+    { category: 'medical', keywords: ['MEDICAL', 'OVERDOSE', 'UNCONSCIOUS'] },
+    { category: 'suspicious', keywords: ['SUSPICIOUS'] },
+    { category: 'welfare', keywords: ['MISSING', 'WELFARE'] },
+    { category: 'violent', codePrefixes: ['57', '59'] },
+    { category: 'traffic', codePrefixes: ['52'] },
+    { category: 'alarm', codePrefixes: ['71'] }
+];
+const DEFAULT_CATEGORY = 'other';
+
+// None of the words need escaping; spaces inside a keyword match any run of spaces
+const patterns = RULES.map(rule => {
+    const alternatives = [
+        ...(rule.keywords || []).map(k => `${k.replace(/\s+/g, '\\s+')}\\b`),
+        ...(rule.prefixes || []).map(p => p.replace(/\s+/g, '\\s+'))
+    ];
+    return alternatives.length ? new RegExp(`\\b(?:${alternatives.join('|')})`) : null;
+});
+
+// The category name for an incident; the first matching rule wins
+function classify(code, name) {
+    const c = String(code || '').toUpperCase();
+    const text = `${c} ${String(name || '').toUpperCase()}`;
+    
+    for (let i = 0; i < RULES.length; i++) {
+        if (patterns[i] && patterns[i].test(text)) return RULES[i].category;
+        if (RULES[i].codePrefixes && RULES[i].codePrefixes.some(p => c.startsWith(p))) return RULES[i].category;
+    }
+    return DEFAULT_CATEGORY;
+}
+
+module.exports = { classify };
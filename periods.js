@@ -0,0 +1,140 @@
+/**
+ * Nashville Dispatch Report Periods
+ * Calendar-aligned daily, weekly (Sunday to Saturday) and monthly periods
+ * in Central time. A period is keyed on the ISO date it starts, so the same
+ * period always lands on the same report row however often it's generated.
+ * centralClock is the Central wall clock the scheduler, rollups and
+ * retention read dates from; this module requires nothing, so any of them
+ * can use it.
+ */
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Weekday, minutes past midnight and calendar date in Central time
+function centralClock(now = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: 'America/Chicago',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(p => [p.type, p.value]));
+    
+    return {
+        day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+        date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+}
+
+// Plain calendar math on 'YYYY-MM-DD' strings (UTC, so no DST surprises)
+function toUTC(date) {
+    const [y, m, d] = date.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+}
+
+function isoDate(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return isoDate(toUTC(date) + days * 86400000);
+}
+
+// Same day `months` later, clamped to the end of shorter months (Feb 29 -> Feb 28)
+function addMonths(date, months) {
+    const [y, m, d] = date.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+    return isoDate(Date.UTC(y, m - 1 + months, Math.min(d, lastDay)));
+}
+
+function isIsoDate(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) && isoDate(toUTC(date)) === date;
+}
+
+// Timestamp of midnight Central at the start of `date`. Midnight is UTC-6
+// in standard time and UTC-5 in daylight time, which shows up as 01:00.
+function centralMidnight(date) {
+    const guess = toUTC(date) + 6 * 3600000;
+    return guess - centralClock(new Date(guess)).minutes * 60000;
+}
+
+/**
+ * The period of the given kind containing `date`: { period, start, end,
+ * since, until } where start/end are the first and last ISO dates and
+ * since/until the Central-time boundaries in ms (until is exclusive).
+ */
+function periodFor(period, date) {
+    if (!PERIODS.includes(period)) throw new Error(`Unknown period "${period}" (expected ${PERIODS.join(', ')})`);
+    if (!isIsoDate(date)) throw new Error(`Bad date "${date}" (expected YYYY-MM-DD)`);
+    
+    let start = date;
+    let next;
+    if (period === 'daily') {
+        next = addDays(start, 1);
+    } else if (period === 'weekly') {
+        start = addDays(date, -new Date(toUTC(date)).getUTCDay());
+        next = addDays(start, 7);
+    } else {
+        start = `${date.slice(0, 8)}01`;
+        next = addMonths(start, 1);
+    }
+    return { period, start, end: addDays(next, -1), since: centralMidnight(start), until: centralMidnight(next) };
+}
+
+function previousPeriod(range) {
+    return periodFor(range.period, addDays(range.start, -1));
+}
+
+// The matching period a year earlier; weeks go back 52 so they stay Sunday-aligned
+function lastYearPeriod(range) {
+    return periodFor(range.period, range.period === 'weekly' ? addDays(range.start, -364) : addMonths(range.start, -12));
+}
+
+// The most recent period that had ended by `now`
+function lastComplete(period, now = new Date()) {
+    return previousPeriod(periodFor(period, centralClock(now).date));
+}
+
+// Every complete period from the one containing `from` through the one containing `to`, oldest first
+function periodsBetween(period, from, to, now = new Date()) {
+    const latest = lastComplete(period, now);
+    const last = periodFor(period, to).start < latest.start ? periodFor(period, to) : latest;
+    const ranges = [];
+    for (let range = periodFor(period, from); range.start <= last.start; range = periodFor(period, addDays(range.end, 1))) {
+        ranges.push(range);
+    }
+    return ranges;
+}
+
+function formatDate(date, options) {
+    return new Date(toUTC(date)).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+}
+
+// "Sat, Oct 17, 2026", "Oct 11 – Oct 17, 2026" or "October 2026"
+function periodLabel(range) {
+    switch (range.period) {
+        case 'daily': return formatDate(range.start, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+        case 'monthly': return formatDate(range.start, { month: 'long', year: 'numeric' });
+        default: return `${formatDate(range.start, { month: 'short', day: 'numeric' })} – ${formatDate(range.end, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    }
+}
+
+module.exports = {
+    PERIODS,
+    WEEKDAYS,
+    centralClock,
+    periodFor,
+    previousPeriod,
+    lastYearPeriod,
+    lastComplete,
+    periodsBetween,
+    periodLabel,
+    centralMidnight,
+    addDays,
+    isIsoDate
+};
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Retention
+ * Keeps raw incidents for a set number of days. Each older Central day is
+ * rolled up into daily_type_city_counts (calls per type and city),
+ * hourly_counts (calls per hour and category) and hourly_city_counts (per
+ * hour, category and city, for anomaly baselines), archived to gzipped NDJSON,
+ * and then deleted along with its lifecycle log and any multi-call events
+ * left with no calls. getDailyStats, getHourlyStats and the reports read the
+ * rollups alongside the raw rows, so their totals reach back as far as the
+ * rollups do.
+ *
+ * Days are handled one at a time. A day's archive is written before its
+ * rollup and delete commit together, so an interrupted run can repeat one
+ * day's archive lines but never loses rows.
+ *
+ * Usage:
+ *   node retention.js status
+ *   node retention.js prune --days=N [--archive=DIR | --no-archive] [--dry-run] [--vacuum]
+ *
+ * Archives are one file per month, incidents-YYYY-MM.ndjson.gz in the
+ * archive directory (default archive/). Each line is a stored incident row
+ * with its lifecycle log under `lifecycle`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const db = require('./db');
+const periods = require('./periods');
+const chronic = require('./chronic');
+
+const DEFAULT_ARCHIVE_DIR = path.join(__dirname, 'archive');
+// Chronic locations compare a window with the one before from raw rows (spike
+// baselines read the rollups): never keep fewer days than they reach, 60
+const MIN_RAW_DAYS = 2 * chronic.WINDOW_DAYS;
+
+const inDay = 'call_received >= @since AND call_received < @until';
+
+const oldestIncident = db.db.prepare('SELECT MIN(call_received) FROM incidents WHERE call_received < ?').pluck();
+const countDay = db.db.prepare(`SELECT COUNT(*) FROM incidents WHERE ${inDay}`).pluck();
+const dayIncidents = db.db.prepare(`SELECT * FROM incidents WHERE ${inDay} ORDER BY call_received, id`);
+const dayLifecycle = db.db.prepare(`
+    SELECT * FROM incident_events
+    WHERE incident_id IN (SELECT id FROM incidents WHERE ${inDay})
+    ORDER BY incident_id, at, id
+`);
+const rollupTypes = db.db.prepare(`
+    INSERT INTO daily_type_city_counts (date, incident_type, city, category, count)
+    SELECT @date, incident_type, COALESCE(city, ''), COALESCE(category, ''), COUNT(*)
+    FROM incidents WHERE ${inDay}
+    GROUP BY incident_type, COALESCE(city, ''), COALESCE(category, '')
+    ON CONFLICT (date, incident_type, city, category) DO UPDATE SET count = count + excluded.count
+`);
+const rollupHours = db.db.prepare(`
+    INSERT INTO hourly_counts (date, hour, category, count)
+    SELECT @date, hour, COALESCE(category, ''), COUNT(*)
+    FROM incidents WHERE ${inDay} AND hour IS NOT NULL
+    GROUP BY hour, COALESCE(category, '')
+    ON CONFLICT (date, hour, category) DO UPDATE SET count = count + excluded.count
+`);
+const rollupCityHours = db.db.prepare(`
+    INSERT INTO hourly_city_counts (date, hour, category, city, count)
+    SELECT @date, hour, COALESCE(category, ''), COALESCE(city, ''), COUNT(*)
+    FROM incidents WHERE ${inDay} AND hour IS NOT NULL
+    GROUP BY hour, COALESCE(category, ''), COALESCE(city, '')
+    ON CONFLICT (date, hour, category, city) DO UPDATE SET count = count + excluded.count
+`);
+const dayEvents = db.db.prepare(`SELECT DISTINCT event_id FROM incidents WHERE ${inDay} AND event_id IS NOT NULL`).pluck();
+const deleteLifecycle = db.db.prepare(`DELETE FROM incident_events WHERE incident_id IN (SELECT id FROM incidents WHERE ${inDay})`);
+const deleteIncidents = db.db.prepare(`DELETE FROM incidents WHERE ${inDay}`);
+// An event that spans midnight keeps its row (and summary) until its last call goes
+const deleteEmptyEvent = db.db.prepare('DELETE FROM events WHERE id = ? AND NOT EXISTS (SELECT 1 FROM incidents WHERE event_id = events.id)');
+
+function archiveFile(dir, date) {
+    return path.join(dir, `incidents-${date.slice(0, 7)}.ndjson.gz`);
+}
+
+// Append the day's rows as one gzip member; gunzip reads concatenated members as one stream
+function archiveDay(dir, date, rows, bounds) {
+    const lifecycle = new Map();
+    for (const entry of dayLifecycle.iterate(bounds)) {
+        if (!lifecycle.has(entry.incident_id)) lifecycle.set(entry.incident_id, []);
+        lifecycle.get(entry.incident_id).push(entry);
+    }
+    const lines = rows.map(row => JSON.stringify({ ...row, lifecycle: lifecycle.get(row.id) || [] })).join('\n') + '\n';
+    fs.mkdirSync(dir, { recursive: true });
+    const file = archiveFile(dir, date);
+    fs.appendFileSync(file, zlib.gzipSync(lines));
+    return file;
+}
+
+/**
+ * Roll up, archive (unless archiveDir is null) and delete one Central day.
+ * Returns the number of incidents it held.
+ */
+function pruneDay(date, { archiveDir = DEFAULT_ARCHIVE_DIR, dryRun = false } = {}) {
+    const bounds = { since: periods.centralMidnight(date), until: periods.centralMidnight(periods.addDays(date, 1)) };
+    if (dryRun) return countDay.get(bounds);
+    
+    const rows = dayIncidents.all(bounds);
+    if (rows.length === 0) return 0;
+    if (archiveDir) archiveDay(archiveDir, date, rows, bounds);
+    
+    db.db.transaction(() => {
+        rollupTypes.run({ ...bounds, date });
+        rollupHours.run({ ...bounds, date });
+        rollupCityHours.run({ ...bounds, date });
+        const events = dayEvents.all(bounds);
+        deleteLifecycle.run(bounds);
+        deleteIncidents.run(bounds);
+        for (const id of events) deleteEmptyEvent.run(id);
+    })();
+    return rows.length;
+}
+
+/**
+ * Prune every day before the last `rawDays` Central days. Yields to the
+ * event loop between days so the daemon keeps polling. Returns
+ * { cutoff, days: [{ date, incidents }], incidents }, where cutoff is the
+ * first day kept.
+ */
+async function prune({ rawDays, archiveDir = DEFAULT_ARCHIVE_DIR, dryRun = false, now = Date.now() } = {}) {
+    if (!Number.isInteger(rawDays) || rawDays < MIN_RAW_DAYS) {
+        throw new Error(`Raw incidents have to be kept at least ${MIN_RAW_DAYS} days`);
+    }
+    const cutoff = periods.addDays(periods.centralClock(new Date(now)).date, -rawDays);
+    const oldest = oldestIncident.get(periods.centralMidnight(cutoff));
+    const days = [];
+    if (oldest == null) return { cutoff, days, incidents: 0 };
+    
+    for (let date = periods.centralClock(new Date(oldest)).date; date < cutoff; date = periods.addDays(date, 1)) {
+        const incidents = pruneDay(date, { archiveDir, dryRun });
+        if (incidents > 0) days.push({ date, incidents });
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    return { cutoff, days, incidents: days.reduce((sum, d) => sum + d.incidents, 0) };
+}
+
+// What's kept raw, what's rolled up and what's archived
+function status(archiveDir = DEFAULT_ARCHIVE_DIR) {
+    const raw = db.db.prepare('SELECT COUNT(*) as incidents, MIN(call_received) as oldest, MAX(call_received) as newest FROM incidents').get();
+    const rollups = db.db.prepare('SELECT COUNT(DISTINCT date) as days, MIN(date) as first, MAX(date) as last, COALESCE(SUM(count), 0) as incidents FROM daily_type_city_counts').get();
+    const archives = fs.existsSync(archiveDir)
+        ? fs.readdirSync(archiveDir).filter(f => /^incidents-\d{4}-\d{2}\.ndjson\.gz$/.test(f)).sort()
+            .map(f => ({ file: path.join(archiveDir, f), bytes: fs.statSync(path.join(archiveDir, f)).size }))
+        : [];
+    return { raw, rollups, archives };
+}
+
+async function cli(args) {
+    const option = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : null;
+    };
+    const day = (timestamp) => timestamp == null ? '—' : periods.centralClock(new Date(timestamp)).date;
+    const archiveDir = args.includes('--no-archive') ? null : path.resolve(option('archive') || DEFAULT_ARCHIVE_DIR);
+    
+    if (args[0] === 'status') {
+        const { raw, rollups, archives } = status(archiveDir || DEFAULT_ARCHIVE_DIR);
+        console.log(`Raw: ${raw.incidents} incidents, ${day(raw.oldest)} to ${day(raw.newest)}`);
+        console.log(rollups.days
+            ? `Rolled up: ${rollups.incidents} incidents over ${rollups.days} days, ${rollups.first} to ${rollups.last}`
+            : 'Rolled up: nothing yet');
+        for (const a of archives) console.log(`Archive: ${a.file} (${(a.bytes / 1024).toFixed(1)} KB)`);
+        return;
+    }
+    
+    if (args[0] === 'prune') {
+        const rawDays = parseInt(option('days'));
+        const dryRun = args.includes('--dry-run');
+        const result = await prune({ rawDays, archiveDir, dryRun });
+        for (const d of result.days) console.log(`${d.date}: ${d.incidents} incident${d.incidents !== 1 ? 's' : ''}`);
+        const verb = dryRun ? 'Would roll up' : 'Rolled up';
+        console.log(`${verb} ${result.incidents} incidents from ${result.days.length} days before ${result.cutoff}` +
+            (archiveDir && !dryRun && result.incidents ? `; archived to ${archiveDir}` : ''));
+        if (args.includes('--vacuum') && !dryRun) {
+            db.db.exec('VACUUM');
+            console.log('Vacuumed');
+        }
+        return;
+    }
+    
+    console.log('Usage: node retention.js status | prune --days=N [--archive=DIR | --no-archive] [--dry-run] [--vacuum]');
+    process.exitCode = 1;
+}
+
+// Run if called directly
+if (require.main === module) {
+    cli(process.argv.slice(2)).catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { prune, pruneDay, status, DEFAULT_ARCHIVE_DIR, MIN_RAW_DAYS };
@@ -0,0 +1,129 @@
+/**
+ * Nashville Dispatch Scheduler
+ * Interval and wall-clock (Central time) tasks for the daemon. A task never
+ * overlaps itself: a tick that lands while the last run is still going is
+ * skipped, and failures are logged and recorded rather than thrown.
+ */
+
+const { centralClock, WEEKDAYS } = require('./periods');
+
+// Wall-clock tasks check the time this often
+const CLOCK_TICK = 30 * 1000;
+
+// "07:00" runs daily, "Sun 08:00" weekly and "1 08:00" monthly (days 1-28,
+// so every month has one)
+function parseAt(spec) {
+    const match = String(spec).trim().match(/^(?:([a-z]{3})[a-z]*\s+|(\d{1,2})(?:st|nd|rd|th)?\s+)?(\d{1,2}):(\d{2})$/i);
+    const day = match && match[1] ? WEEKDAYS.indexOf(match[1].toLowerCase()) : null;
+    const monthDay = match && match[2] ? parseInt(match[2]) : null;
+    if (!match || day === -1 || (monthDay !== null && (monthDay < 1 || monthDay > 28)) ||
+        parseInt(match[3]) > 23 || parseInt(match[4]) > 59) {
+        throw new Error(`Bad schedule "${spec}" (expected "HH:MM", "Sun HH:MM" or "1 HH:MM", Central time)`);
+    }
+    return { day, monthDay, minutes: parseInt(match[3]) * 60 + parseInt(match[4]) };
+}
+
+function isDue(at, clock) {
+    return (at.day === null || at.day === clock.day) &&
+        (at.monthDay === null || at.monthDay === parseInt(clock.date.slice(8))) &&
+        clock.minutes >= at.minutes;
+}
+
+class Scheduler {
+    constructor() {
+        this.tasks = new Map();
+        this.timers = [];
+        this.stopped = false;
+    }
+    
+    add(name, fn, schedule) {
+        if (this.tasks.has(name)) throw new Error(`Task "${name}" already scheduled`);
+        const task = { name, fn, schedule, running: null, runs: 0, lastRunAt: null, lastSuccessAt: null, lastError: null };
+        this.tasks.set(name, task);
+        return task;
+    }
+    
+    // Run every `ms`, starting now unless `immediate` is false
+    every(name, ms, fn, { immediate = true } = {}) {
+        this.add(name, fn, `every ${ms / 1000}s`);
+        this.timers.push(setInterval(() => this.run(name), ms));
+        if (immediate) this.run(name);
+    }
+    
+    // Run once a day, week or month at a Central-time "HH:MM" / "Sun HH:MM" / "1 HH:MM".
+    // Runs are not caught up: a time that passed while the process was down
+    // (or earlier today, before startup) waits for its next turn
+    at(name, spec, fn) {
+        const at = parseAt(spec);
+        this.add(name, fn, `at ${spec} CT`);
+        
+        const start = centralClock();
+        let lastDate = isDue(at, start) ? start.date : null;
+        
+        this.timers.push(setInterval(() => {
+            const clock = centralClock();
+            if (lastDate === clock.date || !isDue(at, clock)) return;
+            lastDate = clock.date;
+            this.run(name);
+        }, CLOCK_TICK));
+    }
+    
+    // Resolves when the run finishes; never rejects
+    run(name) {
+        const task = this.tasks.get(name);
+        if (!task) throw new Error(`No task named "${name}"`);
+        if (this.stopped) return Promise.resolve();
+        if (task.running) return task.running;
+        
+        task.running = (async () => {
+            const started = Date.now();
+            try {
+                await task.fn();
+                task.lastSuccessAt = Date.now();
+                task.lastError = null;
+            } catch (err) {
+                task.lastError = err.message;
+                console.error(`[${name}] ${err.message}`);
+            } finally {
+                task.lastRunAt = started;
+                task.runs++;
+                task.running = null;
+            }
+        })();
+        return task.running;
+    }
+    
+    status() {
+        const status = {};
+        for (const task of this.tasks.values()) {
+            status[task.name] = {
+                schedule: task.schedule,
+                running: !!task.running,
+                runs: task.runs,
+                lastRunAt: task.lastRunAt,
+                lastSuccessAt: task.lastSuccessAt,
+                lastError: task.lastError
+            };
+        }
+        return status;
+    }
+    
+    // Stop ticking and wait (up to `timeout` ms) for in-flight runs. Resolves
+    // true once they have all finished, false if some were still going
+    async stop(timeout = 10000) {
+        this.stopped = true;
+        this.timers.forEach(clearInterval);
+        this.timers = [];
+        
+        const running = [...this.tasks.values()].map(t => t.running).filter(Boolean);
+        let timer;
+        const settled = await Promise.race([
+            Promise.all(running).then(() => true),
+            new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); })
+        ]);
+        clearTimeout(timer);
+        return settled;
+    }
+}
+
+module.exports = { Scheduler, parseAt };
@@ -0,0 +1,117 @@
+/**
+ * Nashville Dispatch Schema Migrations
+ * dispatch.db is built by the numbered scripts in migrations/
+ * (001-initial-schema.js, 002-...), each exporting { description, up(db) }.
+ * schema_version records which have been applied. Pending ones run in
+ * order, each in its own transaction, after the database is copied to a
+ * backup beside it. A released migration never changes; later schema
+ * changes and backfills go in a new one, so each runs exactly once.
+ * Migrations never require app modules: logic they need (address
+ * parsing, taxonomy rules) is frozen in migrations/frozen/, so one gives
+ * the same result whether it runs at its release or years later.
+ *
+ * db.js applies pending migrations whenever a script opens the database;
+ * `node db.js status|migrate` reports on them or applies them by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// "003-backfill-derived-columns.js" -> { version: 3, name: '003-backfill-derived-columns', description, up }
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => /^\d+-[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => ({ version: parseInt(file), name: path.basename(file, '.js'), ...require(path.join(dir, file)) }));
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Migrations ${migrations[i - 1].name} and ${migrations[i].name} share version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+function ensureVersionTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at INTEGER NOT NULL
+        );
+    `);
+}
+
+// For migrations: whether `table` exists, and whether it has `column`
+function hasTable(db, table) {
+    return !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table);
+}
+
+function hasColumn(db, table, column) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+// For migrations: add a column ("street TEXT") unless the table already has it. Returns whether it was added
+function addColumn(db, table, definition) {
+    if (hasColumn(db, table, definition.split(/\s+/)[0])) return false;
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+    return true;
+}
+
+/**
+ * Where the schema stands: { version, applied, pending }. applied rows are
+ * { version, name, applied_at }; pending are the migrations not yet run.
+ */
+function status(db, dir = MIGRATIONS_DIR) {
+    ensureVersionTable(db);
+    const applied = db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all();
+    const done = new Set(applied.map(row => row.version));
+    const pending = loadMigrations(dir).filter(m => !done.has(m.version));
+    return { version: applied.length ? applied[applied.length - 1].version : 0, applied, pending };
+}
+
+// Copy the database to "<file>.v<version>-<timestamp>.bak". Nothing to back
+// up for :memory: or a database with no tables yet; returns the path or null
+function backup(db, file, version) {
+    if (!file || file === ':memory:') return null;
+    const tables = db.prepare(`SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' AND name NOT IN ('schema_version', 'sqlite_sequence')`).pluck().get();
+    if (tables === 0) return null;
+    
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const target = `${file}.v${version}-${stamp}.bak`;
+    db.prepare('VACUUM INTO ?').run(target);
+    return target;
+}
+
+/**
+ * Apply every pending migration in order. `file` is the database path,
+ * backed up first unless `backup` is false. A failing migration rolls back
+ * on its own and stops the run, leaving the ones before it applied.
+ * Returns { applied: [name], backup: path | null }.
+ */
+function migrate(db, { file = null, backup: withBackup = true, dir = MIGRATIONS_DIR } = {}) {
+    const { version, pending } = status(db, dir);
+    if (pending.length === 0) return { applied: [], backup: null };
+    
+    const backupPath = withBackup ? backup(db, file, version) : null;
+    const record = db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (@version, @name, @now)');
+    const applied = [];
+    for (const migration of pending) {
+        try {
+            db.transaction(() => {
+                migration.up(db);
+                record.run({ version: migration.version, name: migration.name, now: Date.now() });
+            })();
+        } catch (err) {
+            err.message = `Migration ${migration.name} failed: ${err.message}`;
+            err.applied = applied;
+            err.backup = backupPath;
+            throw err;
+        }
+        applied.push(migration.name);
+    }
+    return { applied, backup: backupPath };
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, status, migrate, backup, hasTable, hasColumn, addColumn };
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Search
+ * Answers questions about the incident history like "all calls at 2600 8TH
+ * AVE S in the last 90 days" or "any CARJACK in HERMITAGE since March":
+ * free text over each call's type, location, location description and city
+ * (the FTS5 index from migrations/005), narrowed by filters.
+ *
+ * Usage:
+ *   node search.js [text] [--type=<text>] [--category=<name>] [--city=<name>]
+ *                  [--street=<street or address>] [--block=<address>] [--near=<lat,lng,meters>]
+ *                  [--from=<date>] [--to=<date>] [--hour=<h>|<h-h>]
+ *                  [--sort=time|repeat] [--format=table|json|csv] [--limit=N]
+ *
+ * Every word of the text has to match the start of a word in one of those
+ * fields ("carjack hermitage"). --type, --city and --category match as in
+ * export.js, and --from/--to take the same dates. --street is normalized
+ * ("eighth avenue south") and matches cross streets too; with a house
+ * number it matches that address (address.addressKey), and --block matches
+ * its whole hundred block (2600-2699). --near keeps calls within the radius
+ * that have stored or cached coordinates. --hour is the Central hour,
+ * and a range can wrap past midnight (22-4).
+ *
+ * Results are newest first, or with --sort=repeat, grouped by address with
+ * the addresses that have the most matching calls first. --limit (default
+ * 50, 0 for all) caps the rows shown, not the repeat counts.
+ */
+
+const db = require('./db');
+const address = require('./address');
+const geocoder = require('./geocoder');
+const { distanceMeters, boundingBox } = require('./geo');
+const { exportRow, parseTime, csvField, COLUMNS } = require('./export');
+
+const FORMATS = ['table', 'json', 'csv'];
+const SORTS = ['time', 'repeat'];
+const DEFAULT_LIMIT = 50;
+
+const getRows = db.db.prepare('SELECT * FROM incidents WHERE id IN (SELECT value FROM json_each(?))');
+
+// Free text as an FTS5 query: each word quoted (so nothing in it is syntax) and matched as a prefix
+function ftsQuery(text) {
+    const words = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    return words.length ? words.map(w => `"${w}"*`).join(' ') : null;
+}
+
+// "36.16,-86.78,500" -> { lat, lng, radius }
+function parseNear(value) {
+    const parts = String(value).split(',').map(Number);
+    if (parts.length !== 3 || parts.some(isNaN) || !(parts[2] > 0)) {
+        throw new Error('--near must be lat,lng,meters (e.g. 36.1627,-86.7816,500)');
+    }
+    return { lat: parts[0], lng: parts[1], radius: parts[2] };
+}
+
+// "22" -> { from: 22, to: 22 }, "22-4" -> { from: 22, to: 4 }
+function parseHours(value) {
+    const match = String(value).match(/^(\d{1,2})(?:-(\d{1,2}))?$/);
+    const from = match ? parseInt(match[1]) : NaN;
+    const to = match && match[2] != null ? parseInt(match[2]) : from;
+    if (!(from >= 0 && from <= 23 && to >= 0 && to <= 23)) throw new Error('--hour must be an hour 0-23 or a range like 22-4');
+    return { from, to };
+}
+
+// "2600 8TH AVE S" or "2600 BLK 8TH AVE S" -> "2600 BLK 8TH AVE S"
+function parseBlock(value) {
+    const place = address.parseLocation(String(value || '').replace(/^(\d+)\s+BLK\s+/i, '$1 '));
+    if (!place || !place.block) throw new Error('--block must be an address with a house number (e.g. 2600 8TH AVE S)');
+    return place.block;
+}
+
+/**
+ * SQL for the filters, plus `addressKey` when street is a single address:
+ * the block narrows it in SQL, and the exact address is checked in search()
+ */
+function buildFilter({ text, type, category, city, street, block, near, from, to, hours }) {
+    const clauses = [];
+    const params = {};
+    let addressKey = null;
+    const query = ftsQuery(text);
+    if (query) {
+        clauses.push('id IN (SELECT rowid FROM incidents_fts WHERE incidents_fts MATCH @query)');
+        params.query = query;
+    }
+    if (type) {
+        clauses.push(`incident_type LIKE @type ESCAPE '\\'`);
+        params.type = `%${type.replace(/[\\%_]/g, c => `\\${c}`)}%`;
+    }
+    if (category) {
+        clauses.push('category = @category COLLATE NOCASE');
+        params.category = category;
+    }
+    if (city) {
+        clauses.push('city = @city COLLATE NOCASE');
+        params.city = city;
+    }
+    if (street) {
+        const place = address.parseLocation(street);
+        if (!place) throw new Error('--street is blank');
+        if (place.intersection) {
+            clauses.push('((street = @street AND cross_street = @crossStreet) OR (street = @crossStreet AND cross_street = @street))');
+            Object.assign(params, { street: place.street, crossStreet: place.crossStreet });
+        } else if (place.block) {
+            clauses.push('block = @streetBlock');
+            params.streetBlock = place.block;
+            addressKey = address.addressKey(street);
+        } else {
+            clauses.push('(street = @street OR cross_street = @street)');
+            params.street = place.street;
+        }
+    }
+    if (block) {
+        clauses.push('block = @block');
+        params.block = parseBlock(block);
+    }
+    if (near) {
+        // Rows without stored coordinates may still have a cached geocode; distance is checked after
+        clauses.push('(lat IS NULL OR (lat BETWEEN @minLat AND @maxLat AND lng BETWEEN @minLng AND @maxLng))');
+        Object.assign(params, boundingBox(near, near.radius));
+    }
+    if (from != null) {
+        clauses.push('call_received >= @from');
+        params.from = from;
+    }
+    if (to != null) {
+        clauses.push('call_received < @to');
+        params.to = to;
+    }
+    if (hours) {
+        clauses.push(hours.from <= hours.to ? 'hour BETWEEN @hourFrom AND @hourTo' : '(hour >= @hourFrom OR hour <= @hourTo)');
+        Object.assign(params, { hourFrom: hours.from, hourTo: hours.to });
+    }
+    return { where: clauses.length ? clauses.join(' AND ') : '1', params, addressKey };
+}
+
+/**
+ * Search the stored incidents. Filters are { text, type, category, city,
+ * street, block, near: { lat, lng, radius }, from, to, hours: { from, to } }, all
+ * optional. Returns { total, rows }: rows are stored incident rows plus
+ * `address` (address.addressKey), `repeats` (matching calls at that
+ * address) and, with near, `distance` in meters.
+ */
+function search({ sort = 'time', limit = DEFAULT_LIMIT, ...filter } = {}) {
+    if (!SORTS.includes(sort)) throw new Error(`Unknown sort "${sort}" (expected ${SORTS.join(', ')})`);
+    const { where, params, addressKey } = buildFilter(filter);
+    
+    // Every match is needed for the repeat counts, so read only what they take first
+    let matches = db.db.prepare(`
+        SELECT id, location, lat, lng FROM incidents WHERE ${where} ORDER BY call_received DESC, id DESC
+    `).all(params);
+    if (filter.near) {
+        matches = matches
+            .map(m => {
+                const coords = geocoder.incidentCoords(m);
+                return { ...m, distance: coords ? Math.round(distanceMeters(filter.near, coords)) : null };
+            })
+            .filter(m => m.distance != null && m.distance <= filter.near.radius);
+    }
+    
+    const keys = new Map();
+    for (const m of matches) {
+        if (!keys.has(m.location)) keys.set(m.location, address.addressKey(m.location));
+        m.address = keys.get(m.location);
+    }
+    if (addressKey) matches = matches.filter(m => m.address === addressKey);
+    
+    const repeats = new Map();
+    for (const m of matches) repeats.set(m.address, (repeats.get(m.address) || 0) + 1);
+    for (const m of matches) m.repeats = m.address ? repeats.get(m.address) : 1;
+    
+    if (sort === 'repeat') {
+        // Stable, so each address's calls stay newest first
+        matches.sort((a, b) => b.repeats - a.repeats || String(a.address).localeCompare(String(b.address)));
+    }
+    const shown = limit > 0 ? matches.slice(0, limit) : matches;
+    
+    const full = new Map();
+    for (const row of getRows.all(JSON.stringify(shown.map(m => m.id)))) full.set(row.id, row);
+    const rows = shown.map(({ id, address: key, repeats: count, distance }) => ({
+        ...full.get(id), address: key, repeats: count, ...(distance !== undefined ? { distance } : {})
+    }));
+    return { total: matches.length, rows };
+}
+
+// --- Output ---
+
+function record(row) {
+    const out = { ...exportRow(row), address: row.address, repeats: row.repeats };
+    if (row.distance !== undefined) out.distance_m = row.distance;
+    return out;
+}
+
+function formatTable(rows) {
+    const near = rows.some(r => r.distance !== undefined);
+    const columns = [
+        ['Received', r => exportRow(r).call_received_local.slice(0, 16)],
+        ['Type', r => r.incident_type],
+        ['Location', r => r.location || 'Unknown'],
+        ['City', r => r.city || ''],
+        ['Calls', r => String(r.repeats)],
+        ...(near ? [['Meters', r => String(r.distance)]] : [])
+    ];
+    const cells = rows.map(r => columns.map(([, value]) => value(r).replace(/\|/g, '/')));
+    const widths = columns.map(([title], i) => Math.max(title.length, ...cells.map(c => c[i].length)));
+    const line = (values) => `| ${values.map((v, i) => v.padEnd(widths[i])).join(' | ')} |`;
+    return [
+        line(columns.map(([title]) => title)),
+        `|${widths.map(w => '-'.repeat(w + 2)).join('|')}|`,
+        ...cells.map(line)
+    ].join('\n');
+}
+
+function format(result, formatName) {
+    if (formatName === 'json') return JSON.stringify(result.rows.map(record), null, 2);
+    if (formatName === 'csv') {
+        const columns = [...COLUMNS, 'address', 'repeats', ...(result.rows.some(r => r.distance !== undefined) ? ['distance_m'] : [])];
+        const rows = result.rows.map(record).map(r => columns.map(c => csvField(r[c])).join(','));
+        return [columns.join(','), ...rows].join('\n');
+    }
+    return result.rows.length ? formatTable(result.rows) : 'No matching incidents';
+}
+
+function cli(args) {
+    const option = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : null;
+    };
+    
+    const formatName = option('format') || 'table';
+    if (!FORMATS.includes(formatName)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+    const limit = option('limit') != null ? parseInt(option('limit')) : DEFAULT_LIMIT;
+    if (!(limit >= 0)) throw new Error('--limit must be 0 (no limit) or more');
+    
+    const result = search({
+        text: args.filter(a => !a.startsWith('--')).join(' '),
+        type: option('type'),
+        category: option('category'),
+        city: option('city'),
+        street: option('street'),
+        block: option('block'),
+        near: option('near') != null ? parseNear(option('near')) : null,
+        from: parseTime(option('from'), 'from'),
+        to: parseTime(option('to'), 'to', true),
+        hours: option('hour') != null ? parseHours(option('hour')) : null,
+        sort: option('sort') || 'time',
+        limit
+    });
+    
+    console.log(format(result, formatName));
+    if (formatName === 'table' && result.total > result.rows.length) {
+        console.log(`\n_${result.rows.length} of ${result.total} matches; --limit=0 shows all_`);
+    }
+    console.error(`${result.total} matching incident${result.total !== 1 ? 's' : ''}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+    try {
+        cli(process.argv.slice(2));
+    } catch (err) {
+        console.error('Error:', err.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { search, ftsQuery, parseNear, parseHours };
@@ -0,0 +1,627 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Notification Sinks
+ * Everything that leaves the process (status boards, alerts, reports) goes
+ * through publish(), which hands a message to every configured sink.
+ *
+ * A message is { kind, key?, title?, text, color?, severity?, mention?, data? }:
+ *   kind     - 'status' | 'changes' | 'alert' | 'report'; each sink only
+ *              takes the kinds it is configured for
+ *   key      - messages with a key are edited in place where the sink allows
+ *              it (Discord), and a newer message replaces a queued older one
+ *   text     - Discord-flavoured markdown; sinks convert and trim it to fit
+ *   color    - taxonomy color name or #rrggbb
+ *
+ * Failed deliveries that are worth retrying wait in a per-sink queue in
+ * dispatch.db and go out, in order, ahead of that sink's next message.
+ *
+ * Sinks are configured from the environment: DISCORD_WEBHOOK, SLACK_WEBHOOK,
+ * NTFY_URL (+NTFY_TOKEN), GOTIFY_URL + GOTIFY_TOKEN, SMTP_URL + SMTP_FROM +
+ * SMTP_TO, WEBHOOK_URL (+WEBHOOK_TOKEN) and NOTIFY_FILE. <SINK>_KINDS (e.g.
+ * SLACK_KINDS=alert,report) overrides which kinds a sink takes.
+ * A sink missing part of its configuration is logged and left out.
+ *
+ * Usage:
+ *   node sinks.js test [--kind=alert]
+ *   node sinks.js queue
+ *   node sinks.js flush
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const db = require('./db');
+const smtp = require('./smtp');
+
+const ALL_KINDS = ['status', 'changes', 'alert', 'report'];
+
+// Boards and digests would spam sinks that can't edit, so those default to the rest
+const PUSH_KINDS = ['alert', 'report'];
+
+const QUEUE_LIMIT = 100;             // per sink; the oldest are dropped first
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE = 30 * 1000;        // doubled each attempt, capped at RETRY_MAX
+const RETRY_MAX = 60 * 60 * 1000;
+const TIMEOUT = 15000;
+
+// Taxonomy color names as hex, for sinks that only take hex
+const COLORS = {
+    red: '#e74c3c',
+    orange: '#e67e22',
+    darkred: '#8b0000',
+    yellow: '#f1c40f',
+    blue: '#3498db',
+    green: '#2ecc71',
+    purple: '#9b59b6',
+    teal: '#1abc9c',
+    gold: '#ffd700',
+    gray: '#95a5a6'
+};
+
+class SinkError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = this.constructor.name;
+    }
+}
+
+class SinkHttpError extends SinkError {
+    constructor(statusCode, url, body) {
+        super(`HTTP ${statusCode} from ${new URL(url).host}${body ? `: ${body.slice(0, 200)}` : ''}`);
+        this.statusCode = statusCode;
+        this.retryable = statusCode === 429 || statusCode >= 500;
+    }
+}
+
+// Network-level errors (ECONNRESET etc.) are worth retrying too
+function isRetryable(err) {
+    if (err.retryable !== undefined) return !!err.retryable;
+    if (Number.isInteger(err.status)) return err.status === 429 || err.status >= 500;
+    return typeof err.code === 'string';
+}
+
+// --- Formatting ---
+
+function hexColor(color) {
+    if (!color) return null;
+    if (/^#[0-9a-f]{6}$/i.test(color)) return color;
+    return COLORS[color] || null;
+}
+
+// Trim to `limit` characters, preferring a line boundary
+function fit(text, limit) {
+    if (!text || text.length <= limit) return text;
+    const suffix = '\n…';
+    const cut = text.lastIndexOf('\n', limit - suffix.length);
+    return text.slice(0, cut > limit / 2 ? cut : limit - suffix.length) + suffix;
+}
+
+// Slack mrkdwn: *bold*, ~strike~, <url|text>, no headings
+function toSlack(text) {
+    return text
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/^#+\s*(.+)$/gm, '*$1*')
+        .replace(/\*\*(.+?)\*\*/g, '*$1*')
+        .replace(/~~(.+?)~~/g, '~$1~')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>');
+}
+
+function toPlain(text) {
+    return text
+        .replace(/^#+\s*/gm, '')
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/(^|\s)_(.+?)_(?=\s|$)/gm, '$1$2')
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)');
+}
+
+/**
+ * Build a message from markdown whose first line may be a "# Title"
+ * heading, so scripts can publish exactly what they print.
+ */
+function fromMarkdown(kind, markdown, extra = {}) {
+    const match = markdown.match(/^#\s+(.+)\n+/);
+    return {
+        kind,
+        title: match ? match[1].trim() : undefined,
+        text: match ? markdown.slice(match[0].length) : markdown,
+        ...extra
+    };
+}
+
+// --- Transport ---
+
+function request(method, url, body, { headers = {}, timeout = TIMEOUT } = {}) {
+    const transport = url.startsWith('http:') ? http : https;
+    const payload = body === undefined ? null : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+    
+    return new Promise((resolve, reject) => {
+        const req = transport.request(url, {
+            method,
+            timeout,
+            headers: {
+                ...(payload ? { 'Content-Type': typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json', 'Content-Length': payload.length } : {}),
+                ...headers
+            }
+        }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    return reject(new SinkHttpError(res.statusCode, url, data));
+                }
+                try {
+                    resolve(data ? JSON.parse(data) : null);
+                } catch (e) {
+                    resolve(data);
+                }
+            });
+            res.on('error', reject);
+        });
+        req.on('timeout', () => req.destroy(Object.assign(new SinkError(`Request to ${new URL(url).host} timed out after ${timeout}ms`), { retryable: true })));
+        req.on('error', reject);
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+// --- Sinks ---
+// Each sink is { name, kinds, limit, send(message, previousId), remove? } where
+// send resolves to the posted message's id when the sink can edit it later,
+// and sinks that can delete a posted message have remove(messageId).
+
+function discordEmbed(message, limit) {
+    const color = hexColor(message.color);
+    return {
+        title: message.title ? fit(message.title, 256) : undefined,
+        description: fit(message.text, limit),
+        color: color ? parseInt(color.slice(1), 16) : undefined,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Discord webhook; keyed messages (the status board, reports) are edited in place
+function discordWebhookSink(url) {
+    const limit = 4096;
+    return {
+        name: 'discord',
+        kinds: ALL_KINDS,
+        limit,
+        async send(message, previousId) {
+            // Mentions only ping from content, not from inside an embed
+            const payload = { content: message.mention || '', embeds: [discordEmbed(message, limit)] };
+            
+            if (previousId) {
+                const edit = new URL(url);
+                edit.pathname += `/messages/${previousId}`;
+                try {
+                    await request('PATCH', edit.toString(), payload);
+                    return previousId;
+                } catch (err) {
+                    // Deleted by someone; post a fresh one below
+                    if (!(err instanceof SinkHttpError && err.statusCode === 404)) throw err;
+                }
+            }
+            
+            const post = new URL(url);
+            post.searchParams.set('wait', 'true');
+            const posted = await request('POST', post.toString(), payload);
+            return posted && posted.id;
+        },
+        async remove(messageId) {
+            const target = new URL(url);
+            target.pathname += `/messages/${messageId}`;
+            try {
+                await request('DELETE', target.toString());
+            } catch (err) {
+                if (!(err instanceof SinkHttpError && err.statusCode === 404)) throw err;
+            }
+        }
+    };
+}
+
+// A discord.js channel or thread; `getChannel` resolves it lazily so
+// index.js can hand this over before the client is ready
+function discordBotSink(getChannel) {
+    const limit = 4096;
+    return {
+        name: 'discord-bot',
+        kinds: ALL_KINDS,
+        limit,
+        async send(message, previousId) {
+            const channel = await getChannel();
+            const payload = { content: message.mention || '', embeds: [discordEmbed(message, limit)] };
+            
+            if (previousId) {
+                const existing = await channel.messages.fetch(previousId).catch(() => null);
+                if (existing) {
+                    await existing.edit(payload);
+                    return previousId;
+                }
+            }
+            
+            const posted = await channel.send(payload);
+            return posted.id;
+        },
+        async remove(messageId) {
+            const channel = await getChannel();
+            const existing = await channel.messages.fetch(messageId).catch(() => null);
+            if (existing) await existing.delete();
+        }
+    };
+}
+
+// Slack incoming webhook; colors go on a legacy attachment bar
+function slackSink(url) {
+    const limit = 3000;
+    return {
+        name: 'slack',
+        kinds: PUSH_KINDS,
+        limit,
+        async send(message) {
+            const text = fit(toSlack(message.text), limit);
+            const title = message.title ? toSlack(message.title) : undefined;
+            await request('POST', url, {
+                text: message.mention ? `${message.mention} ${title || ''}`.trim() : title,
+                attachments: [{ color: hexColor(message.color) || undefined, title, text, mrkdwn_in: ['text'] }]
+            });
+        }
+    };
+}
+
+// Push priority from taxonomy severity (1 = most severe)
+function pushPriority(severity, levels) {
+    if (severity === 1) return levels[0];
+    if (severity === 2) return levels[1];
+    return levels[2];
+}
+
+// ntfy topic URL, e.g. https://ntfy.sh/nashville-dispatch
+function ntfySink(url, { token } = {}) {
+    const limit = 4000;
+    const topicUrl = new URL(url);
+    const topic = topicUrl.pathname.replace(/^\/+|\/+$/g, '');
+    topicUrl.pathname = '/';
+    
+    return {
+        name: 'ntfy',
+        kinds: PUSH_KINDS,
+        limit,
+        async send(message) {
+            // JSON publishing keeps emoji out of HTTP headers
+            await request('POST', topicUrl.toString(), {
+                topic,
+                title: message.title,
+                message: fit(`${message.mention ? `${message.mention}\n` : ''}${message.text}`, limit),
+                markdown: true,
+                priority: pushPriority(message.severity, [5, 4, 3])
+            }, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        }
+    };
+}
+
+function gotifySink(url, token) {
+    const limit = 4000;
+    const endpoint = `${url.replace(/\/+$/, '')}/message`;
+    return {
+        name: 'gotify',
+        kinds: PUSH_KINDS,
+        limit,
+        async send(message) {
+            await request('POST', endpoint, {
+                title: message.title,
+                message: fit(`${message.mention ? `${message.mention}\n` : ''}${message.text}`, limit),
+                priority: pushPriority(message.severity, [8, 6, 4]),
+                extras: { 'client::display': { contentType: 'text/markdown' } }
+            }, { headers: { 'X-Gotify-Key': token } });
+        }
+    };
+}
+
+function emailSink({ url, from, to }) {
+    if (!from || to.length === 0) throw new Error('Email sink needs SMTP_FROM and SMTP_TO');
+    const limit = 100000;
+    return {
+        name: 'email',
+        kinds: PUSH_KINDS,
+        limit,
+        async send(message) {
+            const subject = toPlain(message.title || message.text.split('\n')[0]);
+            await smtp.sendMail({ url, from, to, subject: fit(subject, 200), text: fit(toPlain(message.text), limit) });
+        }
+    };
+}
+
+// Generic JSON POST of the whole message, for wiring into anything else
+function webhookSink(url, { token } = {}) {
+    return {
+        name: 'webhook',
+        kinds: ALL_KINDS,
+        limit: Infinity,
+        async send(message) {
+            await request('POST', url, { ...message, sentAt: Date.now() }, {
+                headers: token ? { Authorization: `Bearer ${token}` } : {}
+            });
+        }
+    };
+}
+
+// Appends one JSON line per delivery; edits reference the line they replace
+function fileSink(file) {
+    return {
+        name: 'file',
+        kinds: ALL_KINDS,
+        limit: Infinity,
+        async send(message, previousId) {
+            const id = crypto.randomUUID();
+            const line = { id, replaces: previousId || undefined, sentAt: Date.now(), ...message };
+            fs.appendFileSync(file, JSON.stringify(line) + '\n');
+            return id;
+        },
+        async remove(messageId) {
+            fs.appendFileSync(file, JSON.stringify({ id: crypto.randomUUID(), removes: messageId, sentAt: Date.now() }) + '\n');
+        }
+    };
+}
+
+/**
+ * Build a sink from a config entry: { type, kinds?, ... } where type is
+ * discord, slack, ntfy, gotify, email, webhook or file.
+ */
+function createSink(spec) {
+    let sink;
+    switch (spec.type) {
+        case 'discord': sink = discordWebhookSink(spec.url); break;
+        case 'slack': sink = slackSink(spec.url); break;
+        case 'ntfy': sink = ntfySink(spec.url, { token: spec.token }); break;
+        case 'gotify': sink = gotifySink(spec.url, spec.token); break;
+        case 'email': sink = emailSink({ url: spec.url, from: spec.from, to: [].concat(spec.to || []) }); break;
+        case 'webhook': sink = webhookSink(spec.url, { token: spec.token }); break;
+        case 'file': sink = fileSink(spec.file); break;
+        default: throw new Error(`Unknown sink type "${spec.type}"`);
+    }
+    if (spec.kinds) sink.kinds = spec.kinds;
+    return sink;
+}
+
+function sinksFromEnv(env = process.env) {
+    const specs = [];
+    if (env.DISCORD_WEBHOOK) specs.push({ type: 'discord', url: env.DISCORD_WEBHOOK });
+    if (env.SLACK_WEBHOOK) specs.push({ type: 'slack', url: env.SLACK_WEBHOOK });
+    if (env.NTFY_URL) specs.push({ type: 'ntfy', url: env.NTFY_URL, token: env.NTFY_TOKEN });
+    if (env.GOTIFY_URL) specs.push({ type: 'gotify', url: env.GOTIFY_URL, token: env.GOTIFY_TOKEN });
+    if (env.SMTP_URL) {
+        specs.push({
+            type: 'email',
+            url: env.SMTP_URL,
+            from: env.SMTP_FROM,
+            to: (env.SMTP_TO || '').split(',').map(s => s.trim()).filter(Boolean)
+        });
+    }
+    if (env.WEBHOOK_URL) specs.push({ type: 'webhook', url: env.WEBHOOK_URL, token: env.WEBHOOK_TOKEN });
+    if (env.NOTIFY_FILE) specs.push({ type: 'file', file: env.NOTIFY_FILE });
+    
+    // A half-configured sink is left out rather than failing every publish
+    const sinks = [];
+    for (const spec of specs) {
+        const kinds = env[`${spec.type.toUpperCase()}_KINDS`];
+        try {
+            sinks.push(createSink(kinds ? { ...spec, kinds: kinds.split(',').map(k => k.trim()).filter(Boolean) } : spec));
+        } catch (err) {
+            console.error(`Skipping the ${spec.type} sink: ${err.message}`);
+        }
+    }
+    return sinks;
+}
+
+let active = null;
+
+function getSinks() {
+    if (!active) active = sinksFromEnv();
+    return active;
+}
+
+// Override the configured sinks (index.js adds its bot; tests use a file sink)
+function setSinks(sinks) {
+    active = sinks;
+}
+
+// --- Delivery and retry queue ---
+
+const getMessageId = db.db.prepare('SELECT message_id FROM sink_messages WHERE sink = ? AND key = ?');
+const saveMessageId = db.db.prepare(`
+    INSERT INTO sink_messages (sink, key, message_id, updated_at) VALUES (@sink, @key, @id, @now)
+    ON CONFLICT(sink, key) DO UPDATE SET message_id = @id, updated_at = @now
+`);
+const queueInsert = db.db.prepare(`
+    INSERT INTO sink_queue (sink, message, attempts, next_attempt_at, last_error, created_at)
+    VALUES (@sink, @message, @attempts, @next, @error, @now)
+`);
+const queueSupersede = db.db.prepare(`DELETE FROM sink_queue WHERE sink = ? AND json_extract(message, '$.key') = ?`);
+const queueTrim = db.db.prepare(`
+    DELETE FROM sink_queue WHERE sink = @sink AND id NOT IN (
+        SELECT id FROM sink_queue WHERE sink = @sink ORDER BY id DESC LIMIT @limit
+    )
+`);
+const queueDue = db.db.prepare('SELECT * FROM sink_queue WHERE sink = ? ORDER BY id');
+const queueRetry = db.db.prepare('UPDATE sink_queue SET attempts = @attempts, next_attempt_at = @next, last_error = @error WHERE id = @id');
+const queueDelete = db.db.prepare('DELETE FROM sink_queue WHERE id = ?');
+
+const adoptMessageId = db.db.prepare(`
+    INSERT INTO sink_messages (sink, key, message_id, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(sink, key) DO NOTHING
+`);
+
+// Start editing an existing message (e.g. one posted before this sink existed)
+// for `key`, unless the sink already has one of its own
+function adoptMessage(sinkName, key, messageId) {
+    adoptMessageId.run(sinkName, key, String(messageId), Date.now());
+}
+
+const forgetMessageId = db.db.prepare('DELETE FROM sink_messages WHERE sink = ? AND key = ?');
+
+/**
+ * Take down the message kept for `key` (deleting it where the sink can)
+ * and drop anything still queued for it. Throws if the delete fails, so
+ * the caller can try again later.
+ */
+async function retireMessage(sink, key) {
+    queueSupersede.run(sink.name, key);
+    const previous = getMessageId.get(sink.name, key);
+    if (previous && sink.remove) await sink.remove(previous.message_id);
+    forgetMessageId.run(sink.name, key);
+}
+
+function retryDelay(attempts) {
+    return Math.min(RETRY_MAX, RETRY_BASE * 2 ** Math.max(0, attempts - 1));
+}
+
+async function deliver(sink, message) {
+    const previous = message.key ? getMessageId.get(sink.name, message.key) : undefined;
+    const id = await sink.send(message, previous ? previous.message_id : null);
+    if (message.key && id) {
+        saveMessageId.run({ sink: sink.name, key: message.key, id: String(id), now: Date.now() });
+    }
+}
+
+function enqueue(sink, message, attempts, error, now = Date.now()) {
+    // Only the newest version of a keyed message is worth sending
+    if (message.key) queueSupersede.run(sink.name, message.key);
+    queueInsert.run({
+        sink: sink.name,
+        message: JSON.stringify(message),
+        attempts,
+        next: now + retryDelay(attempts),
+        error,
+        now
+    });
+    queueTrim.run({ sink: sink.name, limit: QUEUE_LIMIT });
+}
+
+/**
+ * Retry a sink's queued messages in order. Stops at the first one that
+ * isn't due (unless `force`) or fails again; returns true when the queue
+ * is empty.
+ */
+async function flushQueue(sink, { now = Date.now(), force = false } = {}) {
+    for (const row of queueDue.all(sink.name)) {
+        if (!force && row.next_attempt_at > now) return false;
+        try {
+            await deliver(sink, JSON.parse(row.message));
+            queueDelete.run(row.id);
+        } catch (err) {
+            const attempts = row.attempts + 1;
+            if (!isRetryable(err) || attempts >= MAX_ATTEMPTS) {
+                console.error(`${sink.name}: dropping queued message after ${attempts} attempts (${err.message})`);
+                queueDelete.run(row.id);
+                continue;
+            }
+            queueRetry.run({ id: row.id, attempts, next: now + retryDelay(attempts), error: err.message });
+            return false;
+        }
+    }
+    return true;
+}
+
+async function publishTo(sink, message) {
+    // Anything still queued means the sink is down; wait behind it to keep order
+    if (!(await flushQueue(sink))) {
+        enqueue(sink, message, 0, null);
+        return 'queued';
+    }
+    try {
+        await deliver(sink, message);
+        return 'sent';
+    } catch (err) {
+        if (!isRetryable(err)) {
+            console.error(`${sink.name}: dropping ${message.kind} message (${err.message})`);
+            return 'failed';
+        }
+        console.error(`${sink.name}: ${err.message}, queued for retry`);
+        enqueue(sink, message, 1, err.message);
+        return 'queued';
+    }
+}
+
+/**
+ * Send a message to every sink that takes its kind. Never throws; resolves
+ * to [{ sink, status }] with status 'sent', 'queued' or 'failed'.
+ */
+async function publish(message, sinks = getSinks()) {
+    const targets = sinks.filter(s => s.kinds.includes(message.kind));
+    const statuses = await Promise.all(targets.map(s => publishTo(s, message)));
+    return targets.map((s, i) => ({ sink: s.name, status: statuses[i] }));
+}
+
+async function cli(args) {
+    const [command] = args.filter(a => !a.startsWith('--'));
+    const kindArg = args.find(a => a.startsWith('--kind='));
+    const sinks = getSinks();
+    
+    switch (command) {
+        case 'test': {
+            if (sinks.length === 0) throw new Error('No sinks configured (see header of sinks.js)');
+            const kind = kindArg ? kindArg.split('=')[1] : 'alert';
+            const results = await publish({
+                kind,
+                title: '🧪 Nashville Dispatch test',
+                text: `Test **${kind}** message sent ${new Date().toLocaleString('en-US', { timeZone: 'America/Chicago' })} CT`,
+                color: 'blue',
+                severity: 5
+            }, sinks);
+            for (const { sink, status } of results) console.log(`${sink}: ${status}`);
+            if (results.length === 0) console.log(`No sink takes "${kind}" messages`);
+            break;
+        }
+        case 'queue': {
+            const rows = db.db.prepare('SELECT sink, COUNT(*) AS count, MIN(next_attempt_at) AS next, MAX(last_error) AS error FROM sink_queue GROUP BY sink').all();
+            if (rows.length === 0) console.log('All queues empty');
+            for (const r of rows) {
+                console.log(`${r.sink}: ${r.count} queued, next attempt ${new Date(r.next).toLocaleString('en-US', { timeZone: 'America/Chicago' })}${r.error ? ` (last error: ${r.error})` : ''}`);
+            }
+            break;
+        }
+        case 'flush':
+            for (const sink of sinks) {
+                const empty = await flushQueue(sink, { force: true });
+                console.log(`${sink.name}: ${empty ? 'queue empty' : 'still failing'}`);
+            }
+            break;
+        default:
+            console.error('Usage: node sinks.js test|queue|flush (see header of sinks.js)');
+            process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    cli(process.argv.slice(2)).catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    publish,
+    flushQueue,
+    fromMarkdown,
+    getSinks,
+    setSinks,
+    sinksFromEnv,
+    createSink,
+    adoptMessage,
+    retireMessage,
+    discordEmbed,
+    discordWebhookSink,
+    discordBotSink,
+    slackSink,
+    ntfySink,
+    gotifySink,
+    emailSink,
+    webhookSink,
+    fileSink,
+    SinkError,
+    SinkHttpError
+};
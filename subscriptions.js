@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Alert Subscriptions
+ * Rules evaluated against each poll's new incidents. A rule is a condition
+ * written in a small query language, a notify target and a cooldown:
+ *
+ *   type in (SHOTS FIRED, STABBING) and city = ANTIOCH and hour in 22-06
+ *   street = 8TH AVE S
+ *   (category = violent or code ~ 57) and not city = BELLE MEADE
+ *
+ * Fields: type, code, city, street, hour, category. Operators: = and !=
+ * (exact), ~ (contains), in (value, ...) and, for hour, in HH-HH (wraps
+ * past midnight). Combine with and / or / not and parentheses; values with
+ * commas or keywords can be "quoted". Matching is case-insensitive, and
+ * exact street values are normalized like addresses ("8th avenue south").
+ *
+ * Rules live in the `subscriptions` table and, optionally, a JSON file
+ * (SUBSCRIPTIONS_FILE, default subscriptions.json) holding an array of
+ * { name, rule, notify, cooldownMinutes }. Rules that don't parse, in either
+ * place, are logged and skipped. Each rule's cooldown is its own, even
+ * when a file rule shares a name with a stored one.
+ *
+ * Usage:
+ *   node subscriptions.js add <name> "<rule>" [--notify=@night-team] [--cooldown=15]
+ *   node subscriptions.js list [--json]
+ *   node subscriptions.js remove <name>
+ *   node subscriptions.js test "<rule>" [--hours=24]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const taxonomy = require('./taxonomy');
+const geocoder = require('./geocoder');
+const { normalizeStreet } = require('./address');
+
+const RULES_FILE = process.env.SUBSCRIPTIONS_FILE || path.join(__dirname, 'subscriptions.json');
+const DEFAULT_COOLDOWN = 15;
+
+const FIELDS = ['type', 'code', 'city', 'street', 'hour', 'category'];
+
+class RuleSyntaxError extends Error {}
+
+// --- Parser ---
+
+function tokenize(text) {
+    const tokens = [];
+    const re = /\s*(?:"([^"]*)"|(\(|\)|,|!=|=|~)|([^\s(),=!~"]+))/y;
+    const source = text.trim();
+    while (re.lastIndex < source.length) {
+        const start = re.lastIndex;
+        const match = re.exec(source);
+        if (!match) throw new RuleSyntaxError(`Unexpected character at "${source.slice(start)}"`);
+        if (match[1] !== undefined) tokens.push({ kind: 'string', value: match[1] });
+        else if (match[2]) tokens.push({ kind: 'punct', value: match[2] });
+        else tokens.push({ kind: 'word', value: match[3] });
+    }
+    return tokens;
+}
+
+const KEYWORDS = ['and', 'or', 'not', 'in'];
+
+function isKeyword(token, word) {
+    return token && token.kind === 'word' && token.value.toLowerCase() === word;
+}
+
+/**
+ * Parse a rule into a condition tree:
+ *   { all: [...] } | { any: [...] } | { not: cond } | { field, op, value }
+ */
+function parseRule(text) {
+    const tokens = tokenize(text);
+    let pos = 0;
+    
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (value) => {
+        const token = next();
+        if (!token || token.value !== value) throw new RuleSyntaxError(`Expected "${value}"`);
+    };
+    
+    // Unquoted values run until a keyword, operator or bracket
+    function value() {
+        const token = peek();
+        if (!token) throw new RuleSyntaxError('Expected a value');
+        if (token.kind === 'string') return next().value;
+        const words = [];
+        while (peek() && peek().kind === 'word' && !KEYWORDS.includes(peek().value.toLowerCase())) {
+            words.push(next().value);
+        }
+        if (words.length === 0) throw new RuleSyntaxError(`Expected a value near "${token.value}"`);
+        return words.join(' ');
+    }
+    
+    // Streets compare the way incidents spell them: "8th avenue south" is 8TH AVE S,
+    // and hours are whole numbers 0-23, so "07" matches hour 7
+    const exact = (field, text) => {
+        if (field === 'hour') return String(hour(text));
+        return (field === 'street' && normalizeStreet(text)) || text;
+    };
+    
+    function hour(text) {
+        if (!/^\d{1,2}$/.test(text) || parseInt(text) > 23) throw new RuleSyntaxError(`Hours run from 0 to 23, not "${text}"`);
+        return parseInt(text);
+    }
+    
+    function comparison() {
+        const fieldToken = next();
+        const field = fieldToken && fieldToken.value.toLowerCase();
+        if (!FIELDS.includes(field)) {
+            throw new RuleSyntaxError(`Unknown field "${fieldToken ? fieldToken.value : ''}" (expected ${FIELDS.join(', ')})`);
+        }
+        
+        const opToken = next();
+        if (isKeyword(opToken, 'in')) {
+            if (field === 'hour' && peek() && peek().value !== '(') {
+                const range = value().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+                if (!range) throw new RuleSyntaxError('Hour ranges look like "hour in 22-06"');
+                return { field, op: 'between', value: [hour(range[1]), hour(range[2])] };
+            }
+            expect('(');
+            const values = [value()];
+            while (peek() && peek().value === ',') {
+                next();
+                values.push(value());
+            }
+            expect(')');
+            return { field, op: 'in', value: values.map(v => exact(field, v)) };
+        }
+        if (!opToken || !['=', '!=', '~'].includes(opToken.value)) {
+            throw new RuleSyntaxError(`Expected =, !=, ~ or in after "${field}"`);
+        }
+        const text = value();
+        return { field, op: opToken.value, value: opToken.value === '~' ? text : exact(field, text) };
+    }
+    
+    function factor() {
+        if (isKeyword(peek(), 'not')) {
+            next();
+            return { not: factor() };
+        }
+        if (peek() && peek().value === '(') {
+            next();
+            const inner = expression();
+            expect(')');
+            return inner;
+        }
+        return comparison();
+    }
+    
+    function term() {
+        const parts = [factor()];
+        while (isKeyword(peek(), 'and')) {
+            next();
+            parts.push(factor());
+        }
+        return parts.length === 1 ? parts[0] : { all: parts };
+    }
+    
+    function expression() {
+        const parts = [term()];
+        while (isKeyword(peek(), 'or')) {
+            next();
+            parts.push(term());
+        }
+        return parts.length === 1 ? parts[0] : { any: parts };
+    }
+    
+    if (tokens.length === 0) throw new RuleSyntaxError('Rule is empty');
+    const tree = expression();
+    if (pos < tokens.length) throw new RuleSyntaxError(`Unexpected "${tokens[pos].value}"`);
+    return tree;
+}
+
+// --- Evaluation ---
+
+// Field values for an incident row; street is a list so intersections match either street
+function fieldValues(incident, field) {
+    switch (field) {
+        case 'type': return [incident.incident_type];
+        case 'code': return [incident.incident_code];
+        case 'city': return [incident.city];
+        case 'category': return [incident.category || taxonomy.classify(incident.incident_code, incident.incident_type).category];
+        case 'hour': return [incident.hour];
+        case 'street': {
+            const address = geocoder.normalizeAddress(incident.location);
+            return address ? address.streets : [];
+        }
+    }
+}
+
+function compare(actual, op, expected) {
+    if (op === 'between') {
+        const [from, to] = expected;
+        // 22-06 wraps past midnight; 09-17 doesn't
+        return from <= to ? actual >= from && actual < to : actual >= from || actual < to;
+    }
+    const a = String(actual ?? '').toUpperCase();
+    switch (op) {
+        case '=': return a === expected.toUpperCase();
+        case '!=': return a !== expected.toUpperCase();
+        case '~': return a.includes(expected.toUpperCase());
+        case 'in': return expected.some(v => a === v.toUpperCase());
+    }
+}
+
+function evaluate(condition, incident) {
+    if (condition.all) return condition.all.every(c => evaluate(c, incident));
+    if (condition.any) return condition.any.some(c => evaluate(c, incident));
+    if (condition.not) return !evaluate(condition.not, incident);
+    
+    const values = fieldValues(incident, condition.field);
+    // != means none of the values match
+    if (condition.op === '!=') return values.every(v => compare(v, '!=', condition.value));
+    return values.some(v => compare(v, condition.op, condition.value));
+}
+
+// --- Storage ---
+
+// Cooldowns are per source, so a file rule doesn't silence a DB rule of the same name
+const upsertCooldown = db.db.prepare(`
+    INSERT INTO subscription_cooldowns (source, name, last_fired_at) VALUES (@source, @name, @now)
+    ON CONFLICT(source, name) DO UPDATE SET last_fired_at = @now
+`);
+
+// Problems with stored or file rules, each logged once rather than on every poll
+const reported = new Set();
+
+function reportOnce(message) {
+    if (reported.has(message)) return;
+    reported.add(message);
+    console.error(message);
+}
+
+const reportFileProblem = (message) => reportOnce(`${RULES_FILE}: ${message}`);
+
+// The table's rules, parsed. A rule stored before the parser got stricter
+// (or written to the table by hand) is logged and skipped like a file rule
+function loadDbRules() {
+    const rules = [];
+    for (const r of db.db.prepare('SELECT name, rule, notify, cooldown_min FROM subscriptions ORDER BY name').all()) {
+        try {
+            rules.push({ ...r, source: 'db', condition: parseRule(r.rule) });
+        } catch (err) {
+            reportOnce(`Skipping subscription "${r.name}": ${err.message}`);
+        }
+    }
+    return rules;
+}
+
+// The file's rules, parsed. The file is hand-edited, so a broken rule is
+// logged and skipped instead of taking the whole poll down with it
+function loadFileRules() {
+    if (!fs.existsSync(RULES_FILE)) return [];
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+        if (!Array.isArray(entries)) throw new Error('expected an array of rules');
+    } catch (err) {
+        reportFileProblem(`ignored (${err.message})`);
+        return [];
+    }
+    
+    const rules = [];
+    entries.forEach((r, i) => {
+        const label = r && r.name ? `rule "${r.name}"` : `rule #${i + 1}`;
+        try {
+            if (!r || typeof r.name !== 'string' || !r.name) throw new Error('name is required');
+            if (typeof r.rule !== 'string') throw new Error('rule must be a string');
+            const cooldown = r.cooldownMinutes ?? DEFAULT_COOLDOWN;
+            if (!(cooldown >= 0)) throw new Error('cooldownMinutes must be 0 or more');
+            rules.push({ name: r.name, rule: r.rule, notify: r.notify || null, cooldown_min: cooldown, source: 'file', condition: parseRule(r.rule) });
+        } catch (err) {
+            reportFileProblem(`skipping ${label}: ${err.message}`);
+        }
+    });
+    return rules;
+}
+
+// DB and file rules, each with its parsed condition tree and last firing time
+function listSubscriptions() {
+    const rules = loadDbRules().concat(loadFileRules());
+    const cooldowns = new Map(db.db.prepare('SELECT * FROM subscription_cooldowns').all().map(c => [`${c.source}:${c.name}`, c.last_fired_at]));
+    
+    return rules.map(r => ({ ...r, lastFiredAt: cooldowns.get(`${r.source}:${r.name}`) || null }));
+}
+
+function addSubscription({ name, rule, notify = null, cooldown = DEFAULT_COOLDOWN }) {
+    if (!name) throw new Error('Subscription name is required');
+    parseRule(rule);
+    db.db.prepare(`
+        INSERT INTO subscriptions (name, rule, notify, cooldown_min, created_at)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(name, rule, notify, cooldown, Date.now());
+}
+
+function removeSubscription(name) {
+    return db.db.prepare('DELETE FROM subscriptions WHERE name = ? COLLATE NOCASE').run(name).changes > 0;
+}
+
+/**
+ * Evaluate every rule against a batch of new incident rows. A rule that
+ * matches fires once per batch with all of its matches, then stays quiet
+ * for its cooldown; matches during the cooldown are counted as suppressed.
+ * Returns [{ subscription, incidents }] for the rules that fired.
+ */
+function evaluateIncidents(incidents, now = Date.now()) {
+    if (incidents.length === 0) return [];
+    const fired = [];
+    
+    for (const subscription of listSubscriptions()) {
+        const matched = incidents.filter(i => evaluate(subscription.condition, i));
+        if (matched.length === 0) continue;
+        
+        const coolingDown = subscription.lastFiredAt && now - subscription.lastFiredAt < subscription.cooldown_min * 60000;
+        if (coolingDown) {
+            console.error(`Subscription "${subscription.name}" suppressed ${matched.length} match(es) during cooldown`);
+            continue;
+        }
+        upsertCooldown.run({ source: subscription.source, name: subscription.name, now });
+        fired.push({ subscription, incidents: matched });
+    }
+    
+    return fired;
+}
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        timeZone: 'America/Chicago',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true
+    });
+}
+
+function formatMatch(incident) {
+    const { emoji } = taxonomy.classify(incident.incident_code, incident.incident_type);
+    return `${emoji} **${incident.incident_type}** - ${incident.location || 'Unknown'}${incident.city ? ` (${incident.city})` : ''} @ ${formatTime(incident.call_received)}`;
+}
+
+function formatNotification({ subscription, incidents }) {
+    const target = subscription.notify ? ` → ${subscription.notify}` : '';
+    return `🔔 **${subscription.name}**${target}\n${incidents.map(i => `   ${formatMatch(i)}`).join('\n')}`;
+}
+
+// Sink message (see sinks.js), colored by the most severe match
+function notificationMessage({ subscription, incidents }) {
+    const worst = incidents
+        .map(i => taxonomy.classify(i.incident_code, i.incident_type))
+        .sort((a, b) => a.severity - b.severity)[0];
+    return {
+        kind: 'alert',
+        title: `🔔 ${subscription.name}`,
+        text: incidents.map(formatMatch).join('\n'),
+        mention: subscription.notify || undefined,
+        color: worst.color,
+        severity: worst.severity,
+        data: { subscription: subscription.name, incidents }
+    };
+}
+
+async function cli(args) {
+    const positional = args.filter(a => !a.startsWith('--'));
+    const option = key => {
+        const arg = args.find(a => a.startsWith(`--${key}=`));
+        return arg ? arg.slice(key.length + 3) : undefined;
+    };
+    
+    switch (positional[0]) {
+        case 'add': {
+            const [, name, rule] = positional;
+            addSubscription({
+                name,
+                rule,
+                notify: option('notify'),
+                cooldown: option('cooldown') ? parseInt(option('cooldown')) : DEFAULT_COOLDOWN
+            });
+            console.log(`Added subscription "${name}"`);
+            break;
+        }
+        case 'list': {
+            const subscriptions = listSubscriptions();
+            if (args.includes('--json')) {
+                console.log(JSON.stringify(subscriptions, null, 2));
+            } else if (subscriptions.length === 0) {
+                console.log('No subscriptions defined');
+            } else {
+                console.log(`# 🔔 Subscriptions (${subscriptions.length})\n`);
+                for (const s of subscriptions) {
+                    const target = s.notify ? ` → ${s.notify}` : '';
+                    console.log(`- **${s.name}**${target}: \`${s.rule}\` (cooldown ${s.cooldown_min} min${s.source === 'file' ? ', from file' : ''})`);
+                }
+            }
+            break;
+        }
+        case 'remove':
+            if (!removeSubscription(positional[1])) throw new Error(`No subscription named "${positional[1]}"`);
+            console.log(`Removed subscription "${positional[1]}"`);
+            break;
+        case 'test': {
+            // Dry run a rule against recent history without touching cooldowns
+            const condition = parseRule(positional[1]);
+            const hours = option('hours') ? parseInt(option('hours')) : 24;
+            const matched = db.getRecent(hours, 10000).filter(i => evaluate(condition, i));
+            console.log(`${matched.length} incident(s) in the last ${hours}h match`);
+            for (const i of matched.slice(0, 20)) {
+                console.log(`- ${i.incident_type} - ${i.location || 'Unknown'}${i.city ? ` (${i.city})` : ''} @ ${formatTime(i.call_received)}`);
+            }
+            break;
+        }
+        default:
+            console.error('Usage: node subscriptions.js add|list|remove|test ... (see header of subscriptions.js)');
+            process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    cli(process.argv.slice(2)).catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseRule,
+    evaluate,
+    listSubscriptions,
+    addSubscription,
+    removeSubscription,
+    evaluateIncidents,
+    formatNotification,
+    notificationMessage,
+    RuleSyntaxError
+};
@@ -0,0 +1,104 @@
+/**
+ * Nashville Dispatch Incident Taxonomy
+ * Maps IncidentTypeCode/IncidentTypeName to a category, severity tier,
+ * emoji and map color. Rules live in taxonomy.json (override with TAXONOMY_FILE).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RULES_FILE = process.env.TAXONOMY_FILE || path.join(__dirname, 'taxonomy.json');
+
+let taxonomy = loadRules(RULES_FILE);
+
+function loadRules(file) {
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    
+    if (!rules.categories || !rules.categories[rules.defaultCategory]) {
+        throw new Error(`Taxonomy ${file}: defaultCategory must name one of its categories`);
+    }
+    for (const rule of rules.rules || []) {
+        if (!rules.categories[rule.category]) {
+            throw new Error(`Taxonomy ${file}: rule references unknown category "${rule.category}"`);
+        }
+    }
+    
+    return { ...rules, rules: (rules.rules || []).map(rule => ({ ...rule, pattern: wordPattern(rule) })) };
+}
+
+// Keywords match whole words, so FIRE isn't found in FIREARM. Prefixes match
+// the start of a word (SHOOT in SHOOTING) and are listed separately so a
+// stem like STAB, which would also catch STABLE, is never one by accident
+function wordPattern(rule) {
+    const escape = (word) => word.toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const alternatives = [
+        ...(rule.keywords || []).map(k => `${escape(k)}\\b`),
+        ...(rule.prefixes || []).map(escape)
+    ];
+    return alternatives.length ? new RegExp(`\\b(?:${alternatives.join('|')})`) : null;
+}
+
+function describe(category) {
+    const def = taxonomy.categories[category];
+    return {
+        category,
+        label: def.label,
+        severity: def.severity,
+        emoji: def.emoji,
+        color: def.color,
+        violent: !!def.violent
+    };
+}
+
+// Rules are evaluated in file order; the first match wins.
+// Keywords and prefixes match words of "CODE NAME", code prefixes the code alone.
+function classify(code, name) {
+    const c = String(code || '').toUpperCase();
+    const text = `${c} ${String(name || '').toUpperCase()}`;
+    
+    for (const rule of taxonomy.rules) {
+        if (rule.pattern && rule.pattern.test(text)) {
+            return describe(rule.category);
+        }
+        if (rule.codePrefixes && rule.codePrefixes.some(p => c.startsWith(p))) {
+            return describe(rule.category);
+        }
+    }
+    
+    return describe(taxonomy.defaultCategory);
+}
+
+// Convenience wrapper for raw API attributes
+function classifyIncident(incident) {
+    return classify(incident.IncidentTypeCode, incident.IncidentTypeName);
+}
+
+// All categories, most severe first
+function categories() {
+    return Object.keys(taxonomy.categories)
+        .map(describe)
+        .sort((a, b) => a.severity - b.severity);
+}
+
+function violentCategories() {
+    return Object.keys(taxonomy.categories).filter(c => taxonomy.categories[c].violent);
+}
+
+// SQL predicate for "violent" over a persisted category column
+function violentSql(column = 'category') {
+    return `${column} IN (${violentCategories().map(c => `'${c}'`).join(', ')})`;
+}
+
+// Swap in a different rules file at runtime
+function load(file) {
+    taxonomy = loadRules(file);
+}
+
+module.exports = {
+    classify,
+    classifyIncident,
+    categories,
+    violentCategories,
+    violentSql,
+    load
+};
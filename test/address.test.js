@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const address = require('../address');
+
+test('suffixes, directionals and spelled-out ordinals get one spelling', () => {
+    assert.equal(address.normalizeStreet('8TH AV S'), '8TH AVE S');
+    assert.equal(address.normalizeStreet('Eighth Avenue South'), '8TH AVE S');
+    assert.equal(address.normalizeStreet('NORTH 1ST STREET'), 'N 1ST ST');
+    assert.equal(address.normalizeStreet('GALLATIN PK'), 'GALLATIN PIKE');
+    assert.equal(address.normalizeStreet('I-40 EAST'), 'I 40 E');
+});
+
+test('a direction that is the street name stays', () => {
+    assert.equal(address.normalizeStreet('NORTH ST'), 'NORTH ST');
+    assert.equal(address.normalizeStreet('WEST END AVE'), 'WEST END AVE');
+    assert.equal(address.normalizeStreet('AVENUE N'), 'AVENUE N');
+});
+
+test('addresses parse into street, number and hundred block', () => {
+    assert.deepEqual(address.parseLocation('2650 EIGHTH AVENUE SOUTH'), {
+        street: '8TH AVE S', crossStreet: null, number: 2650, block: '2600 BLK 8TH AVE S', intersection: false
+    });
+    assert.equal(address.parseLocation('2600B 8TH AV S').block, '2600 BLK 8TH AVE S');
+    assert.equal(address.parseLocation('CHURCH ST').block, null);
+});
+
+test('intersections keep both streets', () => {
+    const place = address.parseLocation('MAIN STREET / 2ND AV');
+    assert.equal(place.street, 'MAIN ST');
+    assert.equal(place.crossStreet, '2ND AVE');
+    assert.equal(place.block, null);
+    assert.equal(place.intersection, true);
+    assert.equal(address.parseLocation('W TRINITY LN AND DICKERSON PIKE').crossStreet, 'DICKERSON PIKE');
+    assert.equal(address.intersectionKey('MAIN ST', '2ND AVE'), address.intersectionKey('2ND AVE', 'MAIN ST'));
+});
+
+test('repeat calls at an address share one key however it was written', () => {
+    assert.equal(address.addressKey('2650 EIGHTH AVENUE SOUTH'), '2650 8TH AVE S');
+    assert.equal(address.addressKey('2650 8TH AV S'), '2650 8TH AVE S');
+    assert.equal(address.addressKey('2ND AV / MAIN STREET'), address.addressKey('MAIN ST & 2ND AVE'));
+    assert.equal(address.addressKey('CHURCH STREET'), 'CHURCH ST');
+    assert.equal(address.addressKey(''), null);
+});
+
+test('blank locations parse to null', () => {
+    assert.equal(address.parseLocation(null), null);
+    assert.equal(address.parseLocation('   '), null);
+    assert.equal(address.normalizeStreet(''), null);
+});
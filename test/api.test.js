@@ -0,0 +1,100 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, incident } = require('./helpers');
+const db = require('../db');
+const geocoder = require('../geocoder');
+const { createServer } = require('../api-server');
+
+let server;
+let base;
+
+before(async () => {
+    server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(resetDatabase);
+
+async function get(path) {
+    const res = await fetch(base + path);
+    return { status: res.status, body: await res.json() };
+}
+
+// Violent calls received in the last few minutes, so every stats window holds them
+function reconcileRecent(locations) {
+    const now = Date.now();
+    db.reconcile(locations.map((location, i) => incident(i + 1, { Location: location, CallReceivedTime: now - (i + 1) * 60 * 1000 })), { now });
+}
+
+test('incident routes page through the database', async () => {
+    reconcileRecent(['100 MAIN ST', '200 MAIN ST', '300 MAIN ST']);
+    
+    const active = await get('/incidents/active?limit=2');
+    assert.equal(active.status, 200);
+    assert.equal(active.body.data.length, 2);
+    assert.deepEqual(active.body.pagination, { limit: 2, offset: 0, total: 3 });
+    
+    const search = await get('/incidents?street=main%20st&offset=2');
+    assert.deepEqual(search.body.data.map(r => r.location), ['300 MAIN ST']);
+    assert.equal(search.body.pagination.total, 3);
+    
+    const types = await get('/stats/types?hours=1');
+    assert.equal(types.body.data[0].incident_type, 'SHOTS FIRED');
+});
+
+test('hotspots page in the database, with the total of every spot', async () => {
+    reconcileRecent(['100 MAIN ST', '200 MAIN ST', '100 ELM ST', '100 OAK ST']);
+    
+    const first = await get('/hotspots?limit=2');
+    assert.deepEqual(first.body.data.map(r => [r.street, r.count]), [['MAIN ST', 2], ['ELM ST', 1]]);
+    assert.deepEqual(first.body.pagination, { limit: 2, offset: 0, total: 3 });
+    
+    const second = await get('/hotspots?limit=2&offset=2');
+    assert.deepEqual(second.body.data.map(r => r.street), ['OAK ST']);
+    
+    const blocks = await get('/hotspots?by=block&limit=1');
+    assert.equal(blocks.body.data[0].block, '100 BLK ELM ST');
+    assert.equal(blocks.body.pagination.total, 4);
+});
+
+test('reports are listed and fetched by period and start date', async () => {
+    db.saveReport({ period: 'weekly', start: '2026-01-18', end: '2026-01-24', text: 'report', total: 5, violent: 1, topStreets: [], peakHours: [] });
+    
+    const list = await get('/reports?period=weekly');
+    assert.deepEqual(list.body.data.map(r => r.period_start), ['2026-01-18']);
+    
+    const report = await get('/reports/weekly/2026-01-18');
+    assert.equal(report.body.data.report_text, 'report');
+    assert.equal((await get('/reports/weekly/2026-02-01')).status, 404);
+});
+
+test('bad parameters and paths are 400s, not 500s', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    
+    const period = await get('/reports?period=yearly');
+    assert.equal(period.status, 400);
+    assert.match(period.body.error, /period must be one of daily, weekly, monthly/);
+    
+    const escape = await get('/reports/weekly/%E0%A4%A');
+    assert.equal(escape.status, 400);
+    assert.match(escape.body.error, /Malformed path segment/);
+    
+    assert.equal((await get('/hotspots?by=zip')).status, 400);
+    assert.equal((await get('/incidents?limit=5000')).status, 400);
+    assert.equal((await get('/nowhere')).status, 404);
+    assert.equal(errors.mock.callCount(), 0, 'nothing was logged as a server error');
+});
+
+test('the dashboard feed never geocodes', async () => {
+    const provider = geocoder.mockProvider({ '100 MAIN ST': { lat: 36.16, lng: -86.78 } });
+    geocoder.setProvider(provider);
+    reconcileRecent(['100 MAIN ST']);
+    
+    const feed = await get('/dashboard/incidents');
+    assert.equal(feed.body.incidents.length, 1);
+    assert.equal(feed.body.incidents[0].coords, null);
+    assert.deepEqual(provider.calls, []);
+});
@@ -0,0 +1,127 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { incident, resetDatabase, BASE_TIME } = require('./helpers');
+const db = require('../db');
+const board = require('../board');
+const events = require('../events');
+const sinks = require('../sinks');
+
+beforeEach(resetDatabase);
+
+const TYPES = ['SHOTS FIRED', 'THEFT', 'BURGLAR ALARM', 'MEDICAL', 'ACCIDENT', 'WELFARE CHECK'];
+
+// `count` unrelated calls spread over the categories and a few cities
+function busyNight(count) {
+    return Array.from({ length: count }, (_, i) => incident(i + 1, {
+        IncidentTypeName: TYPES[i % TYPES.length],
+        Location: `${(i + 1) * 100} ${['MAIN ST', 'CHURCH ST', 'GALLATIN PIKE'][i % 3]}`,
+        CityName: ['NASHVILLE', 'ANTIOCH', 'MADISON', 'HERMITAGE'][i % 4]
+    }, i));
+}
+
+test('a quiet board is one page', () => {
+    const pages = board.renderBoard([], { now: BASE_TIME });
+    assert.equal(pages.length, 1);
+    assert.equal(pages[0].key, 'status');
+    assert.equal(pages[0].color, 'green');
+    assert.match(pages[0].text, /No active incidents/);
+});
+
+test('pages never go over the 2000 character limit', () => {
+    const pages = board.renderBoard(busyNight(120), { limit: 2000, now: BASE_TIME });
+    assert.ok(pages.length > 1);
+    for (const page of pages) {
+        assert.ok(page.text.length <= 2000, `${page.key} is ${page.text.length} characters`);
+    }
+});
+
+test('every call shows up exactly once across the pages', () => {
+    const incidents = busyNight(120);
+    const text = board.renderBoard(incidents, { limit: 2000, now: BASE_TIME }).map(p => p.text).join('\n');
+    for (const inc of incidents) {
+        const line = board.formatIncident(inc);
+        assert.equal(text.split(line).length - 1, 1, `${line} should appear once`);
+    }
+});
+
+test('pages are keyed and titled in order, with the footer on the last', () => {
+    const pages = board.renderBoard(busyNight(120), { limit: 2000, now: BASE_TIME });
+    assert.deepEqual(pages.map(p => p.key), pages.map((_, i) => (i === 0 ? 'status' : `status:${i + 1}`)));
+    assert.equal(pages[1].title, `🚔 Nashville Active Dispatch (2/${pages.length})`);
+    assert.ok(pages.slice(0, -1).every(p => !p.text.includes('Last polled')));
+    assert.match(pages[pages.length - 1].text, /Last polled: Oct 16, 2026/);
+});
+
+test('a group split over pages continues under a (cont.) heading', () => {
+    const pages = board.renderBoard(busyNight(120), { limit: 2000, now: BASE_TIME });
+    assert.ok(pages.slice(1).some(p => /^\*\*.+\*\* \(cont\.\)/.test(p.text)));
+});
+
+test('categories are ordered most severe first', () => {
+    const [page] = board.renderBoard(busyNight(6), { now: BASE_TIME });
+    const headings = page.text.split('\n').filter(l => /^\*\*[^*]+\*\* \(\d+\)$/.test(l));
+    assert.equal(headings[0], '**🔴 Violent** (1)');
+    assert.equal(headings[headings.length - 1], '**🔔 Alarm** (1)');
+});
+
+test('grouping by area lists cities alphabetically', () => {
+    const [page] = board.renderBoard(busyNight(8), { groupBy: 'area', now: BASE_TIME });
+    const cities = [...page.text.matchAll(/\*\*📍 (\w+)\*\*/g)].map(m => m[1]);
+    assert.deepEqual(cities, ['ANTIOCH', 'HERMITAGE', 'MADISON', 'NASHVILLE']);
+});
+
+test('calls from one event share a line', () => {
+    const calls = [
+        incident(1, { IncidentTypeName: 'SHOTS FIRED', Location: '100 MAIN ST' }, 10),
+        incident(2, { IncidentTypeName: 'MEDICAL', Location: '140 MAIN ST' }, 5),
+        incident(3, { IncidentTypeName: 'THEFT', Location: '900 ELM ST' }, 1)
+    ];
+    db.reconcile(calls, { now: BASE_TIME });
+    events.clusterIncidents(db.getActive(), BASE_TIME);
+    
+    const [page] = board.renderBoard(calls, { now: BASE_TIME });
+    assert.match(page.text, /^\*\*3 active incidents\*\* · 2 in 1 multi-call event/);
+    assert.match(page.text, /\*\*SHOTS FIRED → MEDICAL\*\* ×2 - 100 MAIN ST \(NASHVILLE\)/);
+    assert.ok(!page.text.includes(board.formatIncident(calls[1])));
+});
+
+test('discord embeds are trimmed to their limit on a line boundary', () => {
+    const text = Array.from({ length: 300 }, (_, i) => `line ${i} ${'x'.repeat(20)}`).join('\n');
+    const embed = sinks.discordEmbed({ title: 'Board', text, color: 'red' }, 2000);
+    assert.ok(embed.description.length <= 2000);
+    assert.match(embed.description, /x\n…$/);
+    assert.equal(embed.color, 0xe74c3c);
+});
+
+test('publishBoard only edits changed pages and retires extra ones', async () => {
+    const sent = [];
+    const removed = [];
+    let nextId = 1;
+    const sink = {
+        name: 'fake',
+        kinds: ['status'],
+        limit: 4096,
+        async send(message, previousId) {
+            sent.push(message.key);
+            return previousId || String(nextId++);
+        },
+        async remove(messageId) {
+            removed.push(messageId);
+        }
+    };
+    
+    const big = board.renderBoard(busyNight(120), { limit: 2000, now: BASE_TIME });
+    let [result] = await board.publishBoard(big, [sink]);
+    assert.equal(result.sent, big.length);
+    
+    sent.length = 0;
+    [result] = await board.publishBoard(big, [sink]);
+    assert.equal(result.unchanged, big.length);
+    assert.deepEqual(sent, []);
+    
+    const small = board.renderBoard(busyNight(3), { limit: 2000, now: BASE_TIME });
+    [result] = await board.publishBoard(small, [sink]);
+    assert.deepEqual(sent, ['status']);
+    assert.equal(result.removed, big.length - 1);
+    assert.equal(removed.length, big.length - 1);
+});
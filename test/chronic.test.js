@@ -0,0 +1,76 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, recordCall } = require('./helpers');
+const chronic = require('../chronic');
+const board = require('../board');
+const { generateReport } = require('../weekly-report');
+
+beforeEach(resetDatabase);
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');   // Mon Oct 19, 7 AM Central
+const DAY = 24 * 60 * 60 * 1000;
+
+// Record a call `daysAgo` before NOW
+const call = (daysAgo, overrides = {}) => recordCall(NOW - daysAgo * DAY, overrides);
+
+function seed() {
+    // 10 calls this month however dispatch spelled the address: over the threshold
+    for (let i = 0; i < 10; i++) {
+        call(1 + i * 2, {
+            IncidentTypeName: i < 7 ? 'DOMESTIC DISTURBANCE' : 'THEFT',
+            Location: i % 2 ? '2650 EIGHTH AVENUE SOUTH' : '2650 8TH AV S',
+            LocationDescription: 'THE VILLAS'
+        });
+    }
+    // 5 calls, up from 1: trending
+    for (let i = 0; i < 5; i++) call(2 + i, { Location: '100 CHURCH ST' });
+    call(40, { Location: '100 CHURCH ST' });
+    // 6 calls, as many as the month before: neither
+    for (let i = 0; i < 6; i++) {
+        call(3 + i, { Location: '500 BROADWAY' });
+        call(33 + i, { Location: '500 BROADWAY' });
+    }
+    // A bare street isn't an address
+    for (let i = 0; i < 12; i++) call(1 + i, { Location: 'I 40 E' });
+}
+
+test('addresses reaching the threshold or trending up are chronic', () => {
+    seed();
+    const stats = chronic.addressStats({ now: NOW });
+    assert.deepEqual(stats.map(p => [p.address, p.count, p.prior, p.chronic]), [
+        ['2650 8TH AVE S', 10, 0, true],
+        ['500 BROADWAY', 6, 6, false],
+        ['100 CHURCH ST', 5, 1, true]
+    ]);
+    
+    const [villas, church] = chronic.chronicLocations({ now: NOW });
+    assert.equal(villas.threshold, true);
+    assert.equal(villas.name, 'THE VILLAS');
+    assert.deepEqual(villas.types, [{ type: 'DOMESTIC DISTURBANCE', count: 7 }, { type: 'THEFT', count: 3 }]);
+    assert.equal(villas.first, NOW - 19 * DAY);
+    assert.equal(villas.last, NOW - DAY);
+    assert.deepEqual([church.threshold, church.trending], [false, true]);
+});
+
+test('the board marks active calls at chronic addresses', () => {
+    seed();
+    const active = [
+        call(0.01, { Location: '2650 8TH AVE S' }),
+        call(0.02, { Location: '500 BROADWAY' })
+    ];
+    const [page] = board.renderBoard(active, { now: NOW });
+    const lines = page.text.split('\n');
+    
+    assert.match(lines.find(l => l.includes('2650 8TH AVE S')), / · 🔁 repeat location \(11 calls\/30d\)$/);
+    assert.ok(!lines.find(l => l.includes('500 BROADWAY')).includes('🔁'));
+});
+
+test('the weekly report lists chronic locations as of the end of the week', () => {
+    seed();
+    const report = generateReport('weekly', { date: '2026-10-14', now: NOW, archive: false });
+    const section = report.slice(report.indexOf('## 🔁 Chronic Locations'));
+    
+    assert.match(section, /^## 🔁 Chronic Locations \(30 days to Oct 17\)/);
+    assert.match(section, /- \*\*2650 8TH AVE S\*\* \(NASHVILLE, THE VILLAS\): 9 calls · prior 30 days ▲ \+9 · DOMESTIC DISTURBANCE ×6, THEFT ×3/);
+    assert.ok(!section.split('\n\n')[0].includes('500 BROADWAY'));
+});
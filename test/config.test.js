@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, DEFAULTS } = require('../config');
+
+test('relative paths in the config are relative to the config file', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'nashville-dispatch.json');
+    fs.writeFileSync(file, JSON.stringify({
+        map: { output: 'map.html' },
+        retention: { archiveDir: 'archive' },
+        snapshotDir: '/var/dispatch/snapshots',
+        sinks: [{ type: 'file', file: 'out/notify.ndjson' }, { type: 'discord', url: 'https://discord.example/hook' }]
+    }));
+    
+    const config = loadConfig(file);
+    assert.equal(config.map.output, path.join(dir, 'map.html'));
+    assert.equal(config.retention.archiveDir, path.join(dir, 'archive'));
+    assert.equal(config.snapshotDir, '/var/dispatch/snapshots');
+    assert.deepEqual(config.sinks, [
+        { type: 'file', file: path.join(dir, 'out/notify.ndjson') },
+        { type: 'discord', url: 'https://discord.example/hook' }
+    ]);
+});
+
+test('defaults keep their paths when the config file leaves them out', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'nashville-dispatch.json');
+    fs.writeFileSync(file, JSON.stringify({ retention: { archiveDir: null } }));
+    
+    const config = loadConfig(file);
+    assert.equal(config.map.output, DEFAULTS.map.output);
+    assert.equal(config.retention.archiveDir, null);
+});
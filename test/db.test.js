@@ -0,0 +1,119 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { incident, resetDatabase, BASE_TIME, MINUTE } = require('./helpers');
+const db = require('../db');
+
+beforeEach(resetDatabase);
+
+test('extractStreet drops the house number', () => {
+    assert.equal(db.extractStreet('2600 8TH AVE S'), '8TH AVE S');
+    assert.equal(db.extractStreet('CHURCH ST'), 'CHURCH ST');
+});
+
+test('extractStreet takes the first street of an intersection', () => {
+    assert.equal(db.extractStreet('MAIN ST / 2ND AVE'), 'MAIN ST');
+    assert.equal(db.extractStreet('I 40 E / JAMES ROBERTSON PKWY'), 'I 40 E');
+});
+
+test('extractStreet normalizes the street', () => {
+    assert.equal(db.extractStreet('2600 EIGHTH AVENUE SOUTH'), '8TH AVE S');
+    assert.equal(db.extractStreet('2600B 8TH AV S'), '8TH AVE S');
+});
+
+test('extractStreet passes blank locations through', () => {
+    assert.equal(db.extractStreet(null), null);
+    assert.equal(db.extractStreet(''), null);
+});
+
+test('getHour is the hour in Central time across DST', () => {
+    assert.equal(db.getHour(Date.parse('2026-01-15T18:00:00Z')), 12);   // CST, UTC-6
+    assert.equal(db.getHour(Date.parse('2026-07-01T17:00:00Z')), 12);   // CDT, UTC-5
+});
+
+test('getHour gives 0 for midnight, not 24', () => {
+    assert.equal(db.getHour(Date.parse('2026-01-15T06:00:00Z')), 0);
+    assert.equal(db.getHour(Date.parse('2026-01-15T05:59:00Z')), 23);
+});
+
+test('recordIncident stores derived columns', () => {
+    db.recordIncident(incident(1, { Location: '2600 8TH AVE S' }), BASE_TIME);
+    const row = db.findIncident(1, BASE_TIME);
+    assert.equal(row.street, '8TH AVE S');
+    assert.equal(row.block, '2600 BLK 8TH AVE S');
+    assert.equal(row.cross_street, null);
+    assert.equal(row.category, 'violent');
+    assert.equal(row.hour, 21);
+    assert.equal(row.first_seen, BASE_TIME);
+});
+
+test('the first reconcile is flagged as the first run', () => {
+    const first = db.reconcile([incident(1), incident(2)], { now: BASE_TIME });
+    assert.equal(first.isFirstRun, true);
+    assert.equal(first.newIncidents.length, 2);
+    
+    const second = db.reconcile([incident(1), incident(2)], { now: BASE_TIME + MINUTE });
+    assert.equal(second.isFirstRun, false);
+    assert.equal(second.newIncidents.length, 0);
+});
+
+test('reconcile finds new and cleared incidents', () => {
+    db.reconcile([incident(1), incident(2)], { now: BASE_TIME });
+    const result = db.reconcile([incident(2), incident(3)], { now: BASE_TIME + MINUTE });
+    
+    assert.deepEqual(result.newIncidents.map(i => i.ObjectId), [3]);
+    assert.deepEqual(result.cleared.map(r => r.object_id), [1]);
+    assert.equal(db.findIncident(1, BASE_TIME).cleared, 1);
+    assert.equal(db.findIncident(1, BASE_TIME).cleared_at, BASE_TIME + MINUTE);
+    assert.deepEqual(db.getActive().map(r => r.object_id).sort(), [2, 3]);
+});
+
+test('an incomplete fetch never clears anything', () => {
+    db.reconcile([incident(1), incident(2)], { now: BASE_TIME });
+    const result = db.reconcile([incident(2)], { complete: false, now: BASE_TIME + MINUTE });
+    assert.equal(result.cleared.length, 0);
+    assert.equal(db.getActive().length, 2);
+});
+
+test('reconcile reports field changes and reappearances', () => {
+    db.reconcile([incident(1), incident(2)], { now: BASE_TIME });
+    const recoded = db.reconcile([incident(1, { IncidentTypeName: 'ASSAULT' })], { now: BASE_TIME + MINUTE });
+    assert.equal(recoded.updated.length, 1);
+    assert.deepEqual(recoded.updated[0].changes.incident_type, { from: 'SHOTS FIRED', to: 'ASSAULT' });
+    assert.deepEqual(recoded.cleared.map(r => r.object_id), [2]);
+    
+    const back = db.reconcile([incident(1, { IncidentTypeName: 'ASSAULT' }), incident(2)], { now: BASE_TIME + 2 * MINUTE });
+    assert.deepEqual(back.reappeared.map(i => i.ObjectId), [2]);
+    assert.deepEqual(db.getIncidentEvents(db.findIncident(2, BASE_TIME).id).map(e => e.event), ['appeared', 'cleared', 'reappeared']);
+});
+
+test('an ObjectId reused on another day is a different incident', () => {
+    db.reconcile([incident(1)], { now: BASE_TIME });
+    const result = db.reconcile([incident(1, {}, -24 * 60)], { now: BASE_TIME + 24 * 60 * MINUTE });
+    assert.equal(result.newIncidents.length, 1);
+    assert.equal(result.cleared.length, 1);
+    assert.equal(db.getIncidentsByObjectId(1).length, 2);
+});
+
+test('violent hotspots rank by street, block or intersection', () => {
+    const now = Date.now();
+    const at = (objectId, location) => incident(objectId, { Location: location, CallReceivedTime: now - objectId * MINUTE });
+    db.reconcile([
+        at(1, '2600 8TH AVE S'),
+        at(2, '2650 EIGHTH AVENUE SOUTH'),
+        at(3, '8TH AVE S / WEDGEWOOD AVE'),
+        at(4, 'WEDGEWOOD AVE / 8TH AV S'),
+        at(5, '1200 WEDGEWOOD AVE')
+    ], { now });
+    
+    // Intersection calls count toward both streets
+    const streets = db.getViolentStreets(30, 10);
+    assert.deepEqual(streets.map(r => [r.street, r.count]), [['8TH AVE S', 4], ['WEDGEWOOD AVE', 3]]);
+    
+    const blocks = db.getViolentStreets(30, 10, 'block');
+    assert.deepEqual(blocks.map(r => [r.block, r.count]), [['2600 BLK 8TH AVE S', 2], ['1200 BLK WEDGEWOOD AVE', 1]]);
+    
+    const intersections = db.getViolentStreets(30, 10, 'intersection');
+    assert.deepEqual(intersections.map(r => [r.intersection, r.count]), [['8TH AVE S & WEDGEWOOD AVE', 2]]);
+    
+    assert.throws(() => db.getViolentStreets(30, 10, 'zip'), /rank by street, block, intersection/);
+});
@@ -0,0 +1,73 @@
+/**
+ * Shared test setup. Require this before anything that touches the
+ * database: it points db.js at a private in-memory database (each test file
+ * runs in its own process) and turns off every sink.
+ */
+
+process.env.DISPATCH_DB = process.env.DISPATCH_DB || ':memory:';
+
+const sinks = require('../sinks');
+
+sinks.setSinks([]);
+
+const BASE_TIME = Date.parse('2026-10-17T02:00:00Z');   // Fri Oct 16, 9 PM Central
+const MINUTE = 60 * 1000;
+
+// ArcGIS attributes for an active call, received `minutesAgo` before BASE_TIME
+function incident(objectId, overrides = {}, minutesAgo = 0) {
+    return {
+        ObjectId: objectId,
+        IncidentTypeCode: '',
+        IncidentTypeName: 'SHOTS FIRED',
+        Location: `${objectId}00 MAIN ST`,
+        LocationDescription: null,
+        CityName: 'NASHVILLE',
+        CallReceivedTime: BASE_TIME - minutesAgo * MINUTE,
+        ...overrides
+    };
+}
+
+// Empty every table between tests that share a file (leaving the applied
+// migrations). The search index empties itself through its triggers.
+function resetDatabase() {
+    const db = require('../db');
+    const tables = db.db.prepare(`
+        SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_version'
+          AND name NOT LIKE 'incidents_fts%'
+    `).all();
+    // Tables reference each other, so skip the foreign key checks while emptying them
+    db.db.pragma('foreign_keys = OFF');
+    db.db.transaction(() => {
+        for (const { name } of tables) db.db.exec(`DELETE FROM "${name}"`);
+    })();
+    db.db.pragma('foreign_keys = ON');
+}
+
+// Timestamp of a Central wall-clock time ("2026-10-03T14:00:00"), with
+// whichever of CDT or CST was in effect that day
+function centralTime(localTime) {
+    const { centralClock } = require('../periods');
+    const [date, time] = localTime.split('T');
+    const [hour, minute] = time.split(':').map(Number);
+    const candidates = ['-05:00', '-06:00'].map(offset => Date.parse(`${localTime}${offset}`));
+    const matches = (at) => {
+        const clock = centralClock(new Date(at));
+        return clock.date === date && clock.minutes === hour * 60 + minute;
+    };
+    const at = candidates.find(matches);
+    if (at === undefined) throw new Error(`${localTime} isn't a Central time (skipped by daylight saving)`);
+    return at;
+}
+
+// Record a call received at `at`: a timestamp or a Central wall-clock time.
+// Object IDs count up per test file. Returns the call's ArcGIS attributes
+let nextObjectId = 1;
+function recordCall(at, overrides = {}) {
+    const db = require('../db');
+    const time = typeof at === 'number' ? at : centralTime(at);
+    const attributes = incident(nextObjectId++, { CallReceivedTime: time, ...overrides });
+    db.recordIncident(attributes, time);
+    return attributes;
+}
+
+module.exports = { incident, resetDatabase, centralTime, recordCall, BASE_TIME, MINUTE };
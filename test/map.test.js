@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { incident, BASE_TIME } = require('./helpers');
+const taxonomy = require('../taxonomy');
+const { generateHTML, generateHistoryHTML } = require('../map');
+
+// The page's own inline script (the last <script> block)
+function inlineScript(html) {
+    const blocks = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)];
+    return blocks[blocks.length - 1][1];
+}
+
+const located = [
+    { ...incident(1, { IncidentTypeName: 'SHOTS FIRED' }), coords: { lat: 36.15, lng: -86.78 } },
+    { ...incident(2, { IncidentTypeName: 'THEFT', Location: "400 O'BRIEN AVE" }), coords: { lat: 36.17, lng: -86.8 } },
+    { ...incident(3, { IncidentTypeName: 'MEDICAL' }), coords: null }
+];
+
+test('one marker per incident with coordinates', () => {
+    const html = generateHTML(located);
+    assert.equal((html.match(/L\.circleMarker\(/g) || []).length, 2);
+    assert.match(html, /L\.circleMarker\(\[36\.15, -86\.78\]/);
+    assert.ok(!html.includes('MEDICAL'));
+});
+
+test('markers are colored by category', () => {
+    const html = generateHTML(located);
+    assert.match(html, new RegExp(`fillColor: '${taxonomy.classify(null, 'SHOTS FIRED').color}'`));
+    assert.match(html, new RegExp(`fillColor: '${taxonomy.classify(null, 'THEFT').color}'`));
+});
+
+test('the legend lists every category', () => {
+    const html = generateHTML([]);
+    for (const category of taxonomy.categories()) {
+        assert.ok(html.includes(`${category.emoji} ${category.label}`), `legend is missing ${category.label}`);
+    }
+});
+
+test('quotes in a location neither break the script nor inject HTML', () => {
+    const html = generateHTML([...located, { ...incident(4, { Location: '<b>1 MAIN ST</b>' }), coords: { lat: 36.1, lng: -86.7 } }]);
+    assert.doesNotThrow(() => new vm.Script(inlineScript(html)));
+    assert.ok(html.includes('O&#39;BRIEN'));
+    assert.ok(html.includes('&lt;b&gt;1 MAIN ST&lt;/b&gt;'));
+});
+
+test('the history page embeds its points and the heat plugin', () => {
+    const points = [{ t: BASE_TIME, lat: 36.15, lng: -86.78, type: 'SHOTS FIRED', location: '100 MAIN ST', color: 'red', violent: true }];
+    const html = generateHistoryHTML(points, { days: 7, since: BASE_TIME - 7 * 86400000, until: BASE_TIME });
+    assert.match(html, /<title>Nashville Dispatch - Last 7 Days<\/title>/);
+    assert.ok(html.includes('leaflet-heat.js'));
+    assert.ok(html.includes(JSON.stringify(points)));
+    assert.doesNotThrow(() => new vm.Script(inlineScript(html)));
+});
@@ -0,0 +1,138 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { incident, resetDatabase } = require('./helpers');
+const { startStub, loadFixture } = require('./stub-arcgis');
+const sinks = require('../sinks');
+const geocoder = require('../geocoder');
+const zones = require('../zones');
+
+let stub;
+let arcgis;
+let monitor;
+
+before(async () => {
+    stub = await startStub();
+    // arcgis.js reads the endpoint when it's loaded
+    process.env.ARCGIS_URL = stub.url;
+    arcgis = require('../arcgis');
+    monitor = require('../dispatch-monitor');
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+    resetDatabase();
+    stub.setFeatures(loadFixture());
+    stub.failAt(null);
+});
+
+const fastFetch = (options = {}) => () => arcgis.fetchActiveIncidents({ retries: 0, ...options });
+
+test('fetchActiveIncidents follows every page', async () => {
+    stub.requests.length = 0;
+    const incidents = await arcgis.fetchActiveIncidents({ pageSize: 2 });
+    assert.deepEqual(incidents.map(i => i.ObjectId), [101, 102, 103, 104, 105]);
+    assert.deepEqual(stub.requests.map(r => r.offset), [0, 2, 4]);
+});
+
+test('a failed later page is a PartialResultError with what came before', async () => {
+    stub.failAt(2, 503);
+    await assert.rejects(arcgis.fetchActiveIncidents({ pageSize: 2, retries: 0 }), (err) => {
+        assert.ok(err instanceof arcgis.PartialResultError);
+        assert.deepEqual(err.incidents.map(i => i.ObjectId), [101, 102]);
+        return true;
+    });
+});
+
+test('a failed first page throws the HTTP error', async () => {
+    stub.failAt(0, 404);
+    await assert.rejects(arcgis.fetchActiveIncidents({ retries: 0 }), arcgis.HttpError);
+});
+
+test('the first poll loads everything without clearing', async () => {
+    const result = await monitor.poll({ fetch: fastFetch() });
+    assert.equal(result.isFirstRun, true);
+    assert.equal(result.incidents.length, 5);
+    assert.equal(result.newIncidents.length, 5);
+    assert.equal(result.cleared.length, 0);
+    // Newest first
+    assert.equal(result.incidents[0].ObjectId, 105);
+});
+
+test('later polls report new and cleared incidents', async () => {
+    await monitor.poll({ fetch: fastFetch() });
+    const features = loadFixture().filter(f => f.ObjectId !== 101);
+    features.push(incident(106, { IncidentTypeName: 'ROBBERY' }));
+    stub.setFeatures(features);
+    
+    const result = await monitor.poll({ fetch: fastFetch() });
+    assert.equal(result.isFirstRun, false);
+    assert.deepEqual(result.newIncidents.map(i => i.ObjectId), [106]);
+    assert.deepEqual(result.cleared.map(r => r.object_id), [101]);
+    
+    const { text } = monitor.formatStatus(result, 'changes');
+    assert.match(text, /🆕 1 New:[\s\S]*ROBBERY/);
+    assert.match(text, /✅ 1 Cleared:[\s\S]*~~SHOTS FIRED - 2600 8TH AVE S~~/);
+});
+
+test('an unchanged poll is NO_CHANGES in changes mode', async () => {
+    await monitor.poll({ fetch: fastFetch() });
+    const result = await monitor.poll({ fetch: fastFetch() });
+    assert.equal(monitor.formatStatus(result, 'changes').text, 'NO_CHANGES');
+});
+
+test('a partial poll adds new incidents but clears nothing', async () => {
+    await monitor.poll({ fetch: fastFetch() });
+    stub.setFeatures([incident(106), ...loadFixture().slice(1)]);
+    stub.failAt(2, 503);
+    
+    const result = await monitor.poll({ fetch: fastFetch({ pageSize: 2 }) });
+    assert.equal(result.complete, false);
+    assert.deepEqual(result.newIncidents.map(i => i.ObjectId), [106]);
+    assert.equal(result.cleared.length, 0);
+});
+
+test('a recorded snapshot replays to the same incidents', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-snapshots-'));
+    try {
+        const live = await arcgis.fetchActiveIncidents({ pageSize: 2, record: dir });
+        const [file] = arcgis.listSnapshots(dir);
+        const replayed = await arcgis.replaySnapshot(arcgis.readSnapshot(file), { pageSize: 2 });
+        assert.deepEqual(replayed, live);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a replay neither geocodes nor posts to live sinks unless asked', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-snapshots-'));
+    const file = path.join(dir, 'notify.ndjson');
+    const provider = geocoder.mockProvider();
+    geocoder.setProvider(provider);
+    t.after(() => {
+        sinks.setSinks([]);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    t.mock.method(console, 'log', () => {});
+    const warnings = t.mock.method(console, 'error', () => {});
+    
+    await arcgis.fetchActiveIncidents({ record: dir });
+    await zones.addZone({ name: 'Office', lat: 36.12, lng: -86.78, radius: 500 });
+    const sink = sinks.createSink({ type: 'file', file });
+    sinks.setSinks([sink]);
+    
+    await monitor.replay(dir, { speed: 0 });
+    assert.equal(fs.existsSync(file), false);
+    assert.deepEqual(provider.calls, []);
+    assert.match(warnings.mock.calls[0].arguments[0], /not posting the replay to file; pass --live-sinks/);
+    assert.deepEqual(sinks.getSinks(), [sink]);
+    
+    resetDatabase();
+    await zones.addZone({ name: 'Office', lat: 36.12, lng: -86.78, radius: 500 });
+    await monitor.replay(dir, { speed: 0, liveSinks: true });
+    assert.ok(fs.readFileSync(file, 'utf8').length > 0);
+    assert.deepEqual(provider.calls, []);
+});
@@ -0,0 +1,87 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, recordCall: call } = require('./helpers');
+const db = require('../db');
+const { generateReport, backfill } = require('../weekly-report');
+
+beforeEach(resetDatabase);
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+// Week of Sun Oct 11 – Sat Oct 17, 2026, plus calls the week before
+function seedWeek() {
+    call('2026-10-12T22:15:00', { Location: '100 MAIN ST' });
+    call('2026-10-14T22:40:00', { Location: '300 MAIN ST', IncidentTypeName: 'ASSAULT' });
+    call('2026-10-17T23:59:00', { Location: '500 MAIN ST' });
+    call('2026-10-15T09:00:00', { IncidentTypeName: 'THEFT', Location: '1000 GALLATIN PIKE', CityName: 'MADISON' });
+    call('2026-10-16T13:00:00', { IncidentTypeName: 'TREE DOWN', Location: '1 ELM ST' });
+    call('2026-10-16T14:00:00', { IncidentTypeName: 'WIRES DOWN', Location: '2 ELM ST' });
+    call('2026-10-08T12:00:00', { IncidentTypeName: 'THEFT' });
+    // Just outside the week on both ends
+    call('2026-10-10T23:59:00');
+    call('2026-10-18T00:00:00');
+}
+
+test('weekly totals cover Sunday through Saturday in Central time', () => {
+    seedWeek();
+    const report = generateReport('weekly', { date: '2026-10-14', now: NOW, archive: false });
+    assert.match(report, /\*\*Oct 11 – Oct 17, 2026\*\*/);
+    assert.match(report, /Total Incidents:\*\* 6 · prior week ▲ \+4 \(\+200%\) · last year —/);
+    assert.match(report, /Violent Crimes:\*\* 3 \(50\.0%\) · prior week → 0 pts/);
+});
+
+test('storm calls are lumped together in the type list', () => {
+    seedWeek();
+    const report = generateReport('weekly', { date: '2026-10-14', now: NOW, archive: false });
+    assert.match(report, /- Storm\/Weather: 2 ·/);
+    assert.ok(!report.includes('TREE DOWN'));
+    assert.match(report, /- SHOTS FIRED: 2 · prior week ▲ \+1 \(\+100%\)/);
+});
+
+test('hotspots, peak hours and areas come from violent calls', () => {
+    seedWeek();
+    const report = generateReport('weekly', { date: '2026-10-14', now: NOW, archive: false });
+    assert.match(report, /## 🔥 Violent Crime Hotspots\n- \*\*MAIN ST\*\* \(NASHVILLE\): 3\n/);
+    assert.match(report, /## ⏰ Peak Hours \(Violent Crime\)\n- 10 PM: 2 incidents\n- 11 PM: 1 incidents/);
+    assert.match(report, /- \*\*NASHVILLE\*\*: 3 violent \/ 5 total/);
+    assert.ok(!report.includes('**MADISON**'));
+});
+
+test('hotspots can rank hundred blocks instead of streets', () => {
+    seedWeek();
+    call('2026-10-13T20:00:00', { Location: '150 MAIN STREET' });
+    const report = generateReport('weekly', { date: '2026-10-14', now: NOW, archive: false, hotspotsBy: 'block' });
+    assert.match(report, /## 🔥 Violent Crime Hotspots \(by block\)\n- \*\*100 BLK MAIN ST\*\* \(NASHVILLE\): 2\n/);
+});
+
+test('a period still in progress is marked so far', () => {
+    seedWeek();
+    const report = generateReport('daily', { date: '2026-10-19', now: NOW, archive: false });
+    assert.match(report, /\*\*Mon, Oct 19, 2026\*\* _\(so far\)_/);
+    assert.match(report, /Total Incidents:\*\* 0/);
+});
+
+test('monthly reports span the calendar month', () => {
+    seedWeek();
+    const report = generateReport('monthly', { date: '2026-10-01', now: NOW, archive: false });
+    assert.match(report, /\*\*October 2026\*\*/);
+    assert.match(report, /Total Incidents:\*\* 9 · prior month —/);
+});
+
+test('reports are archived once per period', () => {
+    seedWeek();
+    generateReport('weekly', { date: '2026-10-14', now: NOW });
+    generateReport('weekly', { date: '2026-10-17', now: NOW });
+    const archived = db.listReports('weekly');
+    assert.equal(archived.length, 1);
+    assert.equal(archived[0].period_start, '2026-10-11');
+    assert.equal(archived[0].period_end, '2026-10-17');
+    assert.equal(db.getReport('weekly', '2026-10-11').total_incidents, 6);
+});
+
+test('backfill archives every complete period once', () => {
+    seedWeek();
+    assert.deepEqual(backfill('weekly', { now: NOW }), { generated: 2, skipped: 0 });
+    assert.deepEqual(backfill('weekly', { now: NOW }), { generated: 0, skipped: 2 });
+    assert.deepEqual(backfill('daily', { from: '2026-10-15', to: '2026-10-16', now: NOW }), { generated: 2, skipped: 0 });
+});
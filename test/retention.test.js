@@ -0,0 +1,124 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { resetDatabase, recordCall: call, MINUTE } = require('./helpers');
+const db = require('../db');
+const retention = require('../retention');
+const { generateReport } = require('../weekly-report');
+const anomalies = require('../anomalies');
+
+const NOW = Date.parse('2026-12-14T13:00:00Z');   // Mon Dec 14, 7 AM Central
+const RAW_DAYS = 63;                              // back to Oct 12
+const WEEK = 7 * 24 * 60 * MINUTE;
+
+let dir;
+
+beforeEach(() => {
+    resetDatabase();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-retention-'));
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The week of Oct 4 – Oct 10 is past the window; Oct 12 onward is kept
+function seed() {
+    call('2026-10-04T00:30:00', { Location: '100 MAIN ST' });
+    call('2026-10-06T22:15:00', { Location: '300 MAIN ST', IncidentTypeName: 'ASSAULT' });
+    call('2026-10-06T22:40:00', { Location: '500 MAIN ST', IncidentTypeName: 'ASSAULT' });
+    call('2026-10-08T09:00:00', { IncidentTypeName: 'THEFT', Location: '1000 GALLATIN PIKE', CityName: 'MADISON' });
+    call('2026-10-10T23:59:00', { IncidentTypeName: 'THEFT', Location: '700 BROADWAY', CityName: null });
+    call('2026-10-12T00:00:00');
+    call('2026-10-18T14:00:00', { IncidentTypeName: 'THEFT' });
+}
+
+test('days past the window are rolled up and deleted; recent days stay raw', async () => {
+    seed();
+    const result = await retention.prune({ rawDays: RAW_DAYS, archiveDir: dir, now: NOW });
+    
+    assert.equal(result.cutoff, '2026-10-12');
+    assert.equal(result.incidents, 5);
+    assert.deepEqual(result.days.map(d => d.date), ['2026-10-04', '2026-10-06', '2026-10-08', '2026-10-10']);
+    assert.equal(db.db.prepare('SELECT COUNT(*) FROM incidents').pluck().get(), 2);
+    assert.equal(db.db.prepare('SELECT COUNT(*) FROM incident_events').pluck().get(), 2);
+    assert.deepEqual(db.db.prepare('SELECT * FROM daily_type_city_counts ORDER BY date, incident_type').all(), [
+        { date: '2026-10-04', incident_type: 'SHOTS FIRED', city: 'NASHVILLE', category: 'violent', count: 1 },
+        { date: '2026-10-06', incident_type: 'ASSAULT', city: 'NASHVILLE', category: 'violent', count: 2 },
+        { date: '2026-10-08', incident_type: 'THEFT', city: 'MADISON', category: 'property', count: 1 },
+        { date: '2026-10-10', incident_type: 'THEFT', city: '', category: 'property', count: 1 }
+    ]);
+    assert.deepEqual(db.db.prepare('SELECT * FROM hourly_counts WHERE date = ?').all('2026-10-06'),
+        [{ date: '2026-10-06', hour: 22, category: 'violent', count: 2 }]);
+    assert.deepEqual(db.db.prepare('SELECT * FROM hourly_city_counts WHERE date = ?').all('2026-10-08'),
+        [{ date: '2026-10-08', hour: 9, category: 'property', city: 'MADISON', count: 1 }]);
+    
+    // Nothing left to prune
+    assert.equal((await retention.prune({ rawDays: RAW_DAYS, archiveDir: dir, now: NOW })).incidents, 0);
+});
+
+test('stats and report counts are the same before and after pruning', async () => {
+    seed();
+    const counts = () => {
+        const report = generateReport('weekly', { date: '2026-10-07', now: NOW, archive: false });
+        return {
+            daily: db.getDailyStats(3650),
+            hourly: db.getHourlyStats(3650),
+            // Hotspots need raw rows, so they're the one section that goes
+            report: report.replace(/## 🔥 Violent Crime Hotspots\n[^]*?\n\n/, '')
+        };
+    };
+    const before = counts();
+    await retention.prune({ rawDays: RAW_DAYS, archiveDir: dir, now: NOW });
+    
+    assert.deepEqual(counts(), before);
+    assert.equal(before.daily.find(d => d.date === '2026-10-06').violent, 2);
+});
+
+test('pruned rows are archived as gzipped NDJSON with their lifecycle', async () => {
+    seed();
+    await retention.prune({ rawDays: RAW_DAYS, archiveDir: dir, now: NOW });
+    
+    assert.deepEqual(fs.readdirSync(dir), ['incidents-2026-10.ndjson.gz']);
+    const rows = zlib.gunzipSync(fs.readFileSync(path.join(dir, 'incidents-2026-10.ndjson.gz')))
+        .toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(rows.map(r => r.location), ['100 MAIN ST', '300 MAIN ST', '500 MAIN ST', '1000 GALLATIN PIKE', '700 BROADWAY']);
+    assert.equal(rows[1].incident_type, 'ASSAULT');
+    assert.deepEqual(rows[1].lifecycle.map(e => e.event), ['appeared']);
+});
+
+test('a dry run changes nothing and the window has a floor', async () => {
+    seed();
+    const result = await retention.prune({ rawDays: RAW_DAYS, archiveDir: dir, dryRun: true, now: NOW });
+    
+    assert.equal(result.incidents, 5);
+    assert.equal(db.db.prepare('SELECT COUNT(*) FROM incidents').pluck().get(), 7);
+    assert.deepEqual(fs.readdirSync(dir), []);
+    await assert.rejects(retention.prune({ rawDays: retention.MIN_RAW_DAYS - 1, archiveDir: dir, now: NOW }), /at least 60 days/);
+});
+
+test('spike baselines and new types read the rollups of pruned days', async () => {
+    // The same hour of the week, ten weeks running; the tenth is past the window
+    for (let weeks = 1; weeks <= 10; weeks++) {
+        call(NOW - weeks * WEEK - 20 * MINUTE);
+        if (weeks % 2) call(NOW - weeks * WEEK - 40 * MINUTE);
+    }
+    call(NOW - 10 * WEEK, { IncidentTypeName: 'BOMB THREAT', CityName: 'MADISON' });
+    call(NOW - 10 * WEEK - 24 * 60 * MINUTE, { IncidentTypeName: 'THEFT' });
+    for (const minutes of [10, 20, 30, 40, 50]) call(NOW - minutes * MINUTE);
+    call(NOW - 5 * MINUTE, { IncidentTypeName: 'BOMB THREAT', CityName: 'MADISON' });
+    
+    const before = anomalies.rateBaselines(NOW, 10);
+    const pruned = await retention.prune({ rawDays: RAW_DAYS, archiveDir: null, now: NOW });
+    assert.deepEqual(pruned.days, [{ date: '2026-10-04', incidents: 1 }, { date: '2026-10-05', incidents: 2 }]);
+    
+    const after = anomalies.rateBaselines(NOW, 10);
+    assert.deepEqual(after, before);
+    const violent = after.find(r => r.category === 'violent' && r.city === 'NASHVILLE');
+    assert.deepEqual(violent.baseline.slots.map(s => s.count), [2, 1, 2, 1, 2, 1, 2, 1, 2, 1]);
+    assert.equal(violent.count, 5);
+    
+    const found = anomalies.detect({ now: NOW, record: false });
+    assert.deepEqual(found.filter(a => a.type === 'new-type'), []);
+});
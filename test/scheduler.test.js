@@ -0,0 +1,14 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler } = require('../scheduler');
+
+test('stop reports whether in-flight tasks finished in time', async () => {
+    const scheduler = new Scheduler();
+    let finish;
+    scheduler.every('slow', 60 * 1000, () => new Promise(resolve => { finish = resolve; }));
+    
+    assert.equal(await scheduler.stop(10), false);
+    assert.equal(scheduler.status().slow.running, true);
+    finish();
+    assert.equal(await scheduler.stop(10), true);
+});
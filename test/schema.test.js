@@ -0,0 +1,132 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const schema = require('../schema');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-schema-'));
+    fs.mkdirSync(path.join(dir, 'migrations'));
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write a migration whose up() runs `sql`
+function writeMigration(name, sql) {
+    fs.writeFileSync(path.join(dir, 'migrations', `${name}.js`),
+        `module.exports = { description: '${name}', up(db) { db.exec(${JSON.stringify(sql)}); } };\n`);
+}
+
+test('pending migrations run once, in order', () => {
+    writeMigration('002-add-b', 'ALTER TABLE t ADD COLUMN b TEXT');
+    writeMigration('001-create-t', 'CREATE TABLE t (a TEXT)');
+    const db = new Database(':memory:');
+    const migrationsDir = path.join(dir, 'migrations');
+    
+    assert.deepEqual(schema.migrate(db, { dir: migrationsDir }).applied, ['001-create-t', '002-add-b']);
+    assert.deepEqual(schema.migrate(db, { dir: migrationsDir }).applied, []);
+    const { version, pending } = schema.status(db, migrationsDir);
+    assert.equal(version, 2);
+    assert.equal(pending.length, 0);
+    assert.ok(schema.hasColumn(db, 't', 'b'));
+});
+
+test('a failing migration rolls back and stops the run', () => {
+    writeMigration('001-create-t', 'CREATE TABLE t (a TEXT)');
+    writeMigration('002-broken', 'CREATE TABLE u (a TEXT); INSERT INTO missing VALUES (1)');
+    writeMigration('003-after', 'CREATE TABLE v (a TEXT)');
+    const db = new Database(':memory:');
+    const migrationsDir = path.join(dir, 'migrations');
+    
+    assert.throws(() => schema.migrate(db, { dir: migrationsDir }), /Migration 002-broken failed: no such table: missing/);
+    assert.equal(schema.status(db, migrationsDir).version, 1);
+    assert.ok(!schema.hasTable(db, 'u'));
+    assert.ok(!schema.hasTable(db, 'v'));
+});
+
+test('a database with data is backed up before migrating', () => {
+    const file = path.join(dir, 'dispatch.db');
+    const db = new Database(file);
+    const migrationsDir = path.join(dir, 'migrations');
+    writeMigration('001-create-t', 'CREATE TABLE t (a TEXT); INSERT INTO t VALUES (\'before\')');
+    assert.equal(schema.migrate(db, { file, dir: migrationsDir }).backup, null);
+    
+    writeMigration('002-change-t', 'UPDATE t SET a = \'after\'');
+    const { backup } = schema.migrate(db, { file, dir: migrationsDir });
+    assert.match(path.basename(backup), /^dispatch\.db\.v1-.*\.bak$/);
+    const copy = new Database(backup, { readonly: true });
+    assert.equal(copy.prepare('SELECT a FROM t').pluck().get(), 'before');
+    copy.close();
+    db.close();
+});
+
+test('a database from before schema_version is brought up to date', () => {
+    const db = new Database(':memory:');
+    db.exec(`
+        CREATE TABLE incidents (
+            id INTEGER PRIMARY KEY AUTOINCREMENT, object_id INTEGER NOT NULL, incident_code TEXT,
+            incident_type TEXT NOT NULL, location TEXT, location_desc TEXT, city TEXT,
+            call_received INTEGER NOT NULL, first_seen INTEGER NOT NULL, last_seen INTEGER NOT NULL,
+            cleared INTEGER DEFAULT 0, cleared_at INTEGER, street TEXT, hour INTEGER,
+            UNIQUE(object_id, call_received)
+        );
+        -- Midnight stored as 24, and an hour never stored (10:30 PM CDT)
+        INSERT INTO incidents (object_id, incident_code, incident_type, location, call_received, first_seen, last_seen, street, hour)
+        VALUES (1, '', 'SHOTS FIRED', 'MAIN ST / 2ND AV', ${Date.parse('2026-01-18T06:00:00Z')}, 0, 0, 'MAIN ST ', 24),
+               (2, '', 'THEFT', '100 CHURCH ST', ${Date.parse('2026-07-04T03:30:00Z')}, 0, 0, NULL, NULL);
+        CREATE TABLE reports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT, week_start TEXT NOT NULL, week_end TEXT NOT NULL,
+            report_text TEXT NOT NULL, total_incidents INTEGER, violent_incidents INTEGER,
+            top_streets TEXT, peak_hours TEXT, created_at INTEGER NOT NULL, UNIQUE(week_start)
+        );
+        INSERT INTO reports (week_start, week_end, report_text, created_at) VALUES ('Jan 18, 2026', 'Jan 24, 2026', 'text', 1);
+    `);
+    
+    schema.migrate(db);
+    assert.equal(schema.status(db).pending.length, 0);
+    const [row, other] = db.prepare('SELECT street, cross_street, hour, category FROM incidents ORDER BY object_id').all();
+    assert.deepEqual(row, { street: 'MAIN ST', cross_street: '2ND AVE', hour: 0, category: 'violent' });
+    assert.equal(other.hour, 22);
+    assert.deepEqual(db.prepare('SELECT period, period_start, period_end FROM reports').get(),
+        { period: 'weekly', period_start: '2026-01-18', period_end: '2026-01-24' });
+});
+
+test('cached geocodes are re-keyed by normalized address, newest entry kept', () => {
+    const db = new Database(':memory:');
+    db.exec(`
+        CREATE TABLE geocodes (
+            address_key TEXT PRIMARY KEY, lat REAL, lng REAL, provider TEXT NOT NULL,
+            created_at INTEGER NOT NULL, expires_at INTEGER NOT NULL
+        );
+        INSERT INTO geocodes VALUES ('2650 EIGHTH AVENUE SOUTH', 1, 1, 'nominatim', 1, 9);
+        INSERT INTO geocodes VALUES ('2650 8TH AV S', 2, 2, 'nominatim', 2, 9);
+        INSERT INTO geocodes VALUES ('MAIN ST & 2ND AV', NULL, NULL, 'nominatim', 1, 9);
+        INSERT INTO geocodes VALUES ('100 CHURCH ST', 3, 3, 'nominatim', 1, 9);
+    `);
+    
+    require('../migrations/006-rekey-geocodes').up(db);
+    assert.deepEqual(db.prepare('SELECT address_key, lat FROM geocodes ORDER BY address_key').all(), [
+        { address_key: '100 CHURCH ST', lat: 3 },
+        { address_key: '2650 8TH AVE S', lat: 2 },
+        { address_key: '2ND AVE & MAIN ST', lat: null }
+    ]);
+});
+
+test('reclassification only rewrites categories the substring rules gave', () => {
+    const db = new Database(':memory:');
+    db.exec(`
+        CREATE TABLE incidents (id INTEGER PRIMARY KEY, incident_code TEXT, incident_type TEXT NOT NULL, category TEXT);
+        INSERT INTO incidents (incident_code, incident_type, category) VALUES
+            ('', 'FIREARM VIOLATION', 'fire'),
+            ('', 'STABLE HORSE LOOSE', 'violent'),
+            ('', 'STABLE HORSE LOOSE', 'animal'),
+            ('', 'SHOOTING', 'violent');
+    `);
+    
+    require('../migrations/007-reclassify-keywords').up(db);
+    assert.deepEqual(db.prepare('SELECT category FROM incidents ORDER BY id').pluck().all(), ['other', 'other', 'animal', 'violent']);
+});
@@ -0,0 +1,80 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, centralTime, recordCall: call } = require('./helpers');
+const db = require('../db');
+const { search, ftsQuery, parseHours } = require('../search');
+
+beforeEach(resetDatabase);
+
+function seed() {
+    call('2026-10-01T22:00:00', { IncidentTypeName: 'CARJACKING', Location: '4000 LEBANON PIKE', CityName: 'HERMITAGE' });
+    call('2026-10-03T14:00:00', { IncidentTypeName: 'THEFT', Location: '2650 EIGHTH AVENUE SOUTH' });
+    call('2026-10-05T02:00:00', { IncidentTypeName: 'ASSAULT', Location: '2650 8TH AV S' });
+    call('2026-10-07T09:00:00', { IncidentTypeName: 'THEFT', Location: '2610 8TH AVE S', LocationDescription: 'KROGER' });
+    call('2026-10-09T23:30:00', { IncidentTypeName: 'SHOTS FIRED', Location: '8TH AVE S / WEDGEWOOD AVE' });
+}
+
+const types = (result) => result.rows.map(r => r.incident_type);
+
+test('free text matches word prefixes across type, location, description and city', () => {
+    seed();
+    assert.deepEqual(types(search({ text: 'carjack hermitage' })), ['CARJACKING']);
+    assert.deepEqual(types(search({ text: 'kroger' })), ['THEFT']);
+    assert.equal(search({ text: '8th' }).total, 3);
+    assert.equal(search({ text: 'carjack nashville' }).total, 0);
+    assert.equal(ftsQuery('I-40 "AND" (x'), '"I"* "40"* "AND"* "x"*');
+});
+
+test('the index follows updates and deletes', () => {
+    call('2026-10-01T22:00:00', { IncidentTypeName: 'THEFT', Location: '100 CHURCH ST' });
+    const id = db.db.prepare('SELECT id FROM incidents').pluck().get();
+    db.db.prepare('UPDATE incidents SET incident_type = ? WHERE id = ?').run('ROBBERY', id);
+    assert.deepEqual(types(search({ text: 'robbery church' })), ['ROBBERY']);
+    assert.equal(search({ text: 'theft' }).total, 0);
+    
+    db.db.prepare('DELETE FROM incident_events WHERE incident_id = ?').run(id);
+    db.db.prepare('DELETE FROM incidents WHERE id = ?').run(id);
+    assert.equal(search({ text: 'robbery' }).total, 0);
+});
+
+test('filters narrow by street, block, dates, hour and category', () => {
+    seed();
+    assert.equal(search({ street: 'eighth avenue south' }).total, 4);
+    assert.deepEqual(types(search({ street: '2650 eighth ave s' })), ['ASSAULT', 'THEFT']);
+    assert.equal(search({ street: '2600 8th ave s' }).total, 0);
+    assert.deepEqual(types(search({ block: '2600 8th ave s' })), ['THEFT', 'ASSAULT', 'THEFT']);
+    assert.equal(search({ block: '2600 BLK 8TH AVE S' }).total, 3);
+    assert.throws(() => search({ block: '8th ave s' }), /--block/);
+    assert.deepEqual(types(search({ street: 'wedgewood ave / 8th ave s' })), ['SHOTS FIRED']);
+    assert.deepEqual(types(search({ street: '8th ave s', category: 'violent' })), ['SHOTS FIRED', 'ASSAULT']);
+    const from = centralTime('2026-10-04T00:00:00');
+    const to = centralTime('2026-10-08T00:00:00');
+    assert.deepEqual(types(search({ from, to })), ['THEFT', 'ASSAULT']);
+    assert.deepEqual(types(search({ hours: parseHours('22-4') })), ['SHOTS FIRED', 'ASSAULT', 'CARJACKING']);
+    assert.deepEqual(types(search({ type: 'theft', city: 'nashville' })), ['THEFT', 'THEFT']);
+    assert.throws(() => parseHours('25'), /--hour/);
+});
+
+test('near keeps calls within the radius, with their distance', () => {
+    seed();
+    const kroger = search({ text: 'kroger' }).rows[0];
+    const hermitage = search({ text: 'carjacking' }).rows[0];
+    const locate = db.db.prepare('UPDATE incidents SET lat = ?, lng = ? WHERE id = ?');
+    locate.run(36.1230, -86.7760, kroger.id);
+    locate.run(36.2000, -86.6000, hermitage.id);
+    
+    const { rows } = search({ near: { lat: 36.1235, lng: -86.7760, radius: 200 } });
+    assert.deepEqual(rows.map(r => r.id), [kroger.id]);
+    assert.ok(Math.abs(rows[0].distance - 56) <= 1);
+});
+
+test('repeat sort puts the busiest address first and counts every match', () => {
+    seed();
+    const result = search({ sort: 'repeat', limit: 2 });
+    assert.equal(result.total, 5);
+    assert.deepEqual(result.rows.map(r => [r.address, r.repeats, r.incident_type]), [
+        ['2650 8TH AVE S', 2, 'ASSAULT'],
+        ['2650 8TH AVE S', 2, 'THEFT']
+    ]);
+    assert.throws(() => search({ sort: 'loudest' }), /Unknown sort/);
+});
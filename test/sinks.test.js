@@ -0,0 +1,94 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resetDatabase } = require('./helpers');
+const db = require('../db');
+const sinks = require('../sinks');
+
+let dir;
+let file;
+
+beforeEach(() => {
+    resetDatabase();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-sinks-'));
+    file = path.join(dir, 'notify.ndjson');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const lines = () => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+// A sink that fails with `error` while `down` is set, recording what it was sent
+function flakySink(error = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })) {
+    const sent = [];
+    return {
+        name: 'flaky',
+        kinds: ['alert', 'status'],
+        limit: Infinity,
+        down: true,
+        sent,
+        async send(message) {
+            if (this.down) throw error;
+            sent.push(message.text);
+            return String(sent.length);
+        }
+    };
+}
+
+test('the file sink writes a line per message and edits reference the line they replace', async () => {
+    const sink = sinks.createSink({ type: 'file', file });
+    
+    assert.deepEqual(await sinks.publish({ kind: 'status', key: 'board', text: 'first' }, [sink]), [{ sink: 'file', status: 'sent' }]);
+    await sinks.publish({ kind: 'status', key: 'board', text: 'second' }, [sink]);
+    await sinks.publish({ kind: 'alert', text: 'unkeyed' }, [sink]);
+    await sinks.retireMessage(sink, 'board');
+    
+    const [first, second, unkeyed, removal] = lines();
+    assert.equal(first.text, 'first');
+    assert.equal(first.replaces, undefined);
+    assert.equal(second.replaces, first.id);
+    assert.equal(unkeyed.replaces, undefined);
+    assert.equal(removal.removes, second.id);
+});
+
+test('a failing sink queues messages and sends them in order once it is back', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const sink = flakySink();
+    const now = Date.now();
+    
+    assert.deepEqual(await sinks.publish({ kind: 'alert', text: 'one' }, [sink]), [{ sink: 'flaky', status: 'queued' }]);
+    // Waits behind the queue even though the sink might be up again
+    sink.down = false;
+    assert.deepEqual(await sinks.publish({ kind: 'alert', text: 'two' }, [sink]), [{ sink: 'flaky', status: 'queued' }]);
+    assert.deepEqual(sink.sent, []);
+    
+    assert.equal(await sinks.flushQueue(sink, { now: now + 60 * 60 * 1000 }), true);
+    assert.deepEqual(sink.sent, ['one', 'two']);
+    assert.equal(db.db.prepare('SELECT COUNT(*) FROM sink_queue').pluck().get(), 0);
+});
+
+test('a newer keyed message replaces its queued version, and errors not worth retrying are dropped', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const sink = flakySink();
+    await sinks.publish({ kind: 'status', key: 'board', text: 'old board' }, [sink]);
+    await sinks.publish({ kind: 'status', key: 'board', text: 'new board' }, [sink]);
+    assert.deepEqual(db.db.prepare('SELECT json_extract(message, \'$.text\') FROM sink_queue').pluck().all(), ['new board']);
+    
+    sink.down = false;
+    await sinks.flushQueue(sink, { force: true });
+    assert.deepEqual(sink.sent, ['new board']);
+    
+    const broken = flakySink(Object.assign(new Error('HTTP 400'), { retryable: false }));
+    assert.deepEqual(await sinks.publish({ kind: 'alert', text: 'bad' }, [broken]), [{ sink: 'flaky', status: 'failed' }]);
+    assert.equal(db.db.prepare('SELECT COUNT(*) FROM sink_queue').pluck().get(), 0);
+});
+
+test('a half-configured sink in the environment is skipped, not fatal', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const built = sinks.sinksFromEnv({ SMTP_URL: 'smtps://mail.example.com', NOTIFY_FILE: file });
+    
+    assert.deepEqual(built.map(s => s.name), ['file']);
+    assert.match(errors.mock.calls[0].arguments[0], /Skipping the email sink: .*SMTP_FROM/);
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Stub ArcGIS FeatureServer for tests and offline runs. Serves a canned
+ * query response, paged with resultOffset/resultRecordCount the way the real
+ * one is (exceededTransferLimit on every page but the last).
+ *
+ * Usage:
+ *   node test/stub-arcgis.js [fixture.json] [--port=4999]
+ *   ARCGIS_URL=http://127.0.0.1:4999/query node dispatch-monitor.js
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'active-dispatch.json');
+
+function loadFixture(file = DEFAULT_FIXTURE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).features.map(f => f.attributes);
+}
+
+/**
+ * Start a stub on `port` (0 picks a free one). Resolves to { url, requests,
+ * setFeatures(attributes[]), failAt(offset, status), close() }. failAt makes
+ * the page at that offset answer with an HTTP error until cleared with
+ * failAt(null).
+ */
+function startStub({ features = loadFixture(), port = 0 } = {}) {
+    let current = features;
+    let failure = null;
+    const requests = [];
+    
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const offset = parseInt(url.searchParams.get('resultOffset')) || 0;
+        const count = parseInt(url.searchParams.get('resultRecordCount')) || 1000;
+        requests.push({ offset, count });
+        
+        if (url.pathname !== '/query') {
+            res.writeHead(404).end();
+            return;
+        }
+        if (failure && failure.offset === offset) {
+            res.writeHead(failure.status).end();
+            return;
+        }
+        
+        const page = current.slice(offset, offset + count);
+        const body = { features: page.map(attributes => ({ attributes })) };
+        if (offset + count < current.length) body.exceededTransferLimit = true;
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify(body));
+    });
+    
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/query`,
+                requests,
+                setFeatures(next) {
+                    current = next;
+                },
+                failAt(offset, status = 500) {
+                    failure = offset == null ? null : { offset, status };
+                },
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Run if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const portArg = args.find(a => a.startsWith('--port='));
+    const file = args.find(a => !a.startsWith('--'));
+    startStub({ features: loadFixture(file), port: portArg ? parseInt(portArg.slice(7)) : 4999 }).then(stub => {
+        console.log(`Stub ArcGIS serving ${file || DEFAULT_FIXTURE} at ${stub.url}`);
+    });
+}
+
+module.exports = { startStub, loadFixture };
@@ -0,0 +1,87 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rulesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dispatch-subscriptions-')), 'subscriptions.json');
+process.env.SUBSCRIPTIONS_FILE = rulesFile;
+
+const { resetDatabase } = require('./helpers');
+const subscriptions = require('../subscriptions');
+
+beforeEach(resetDatabase);
+
+after(() => fs.rmSync(path.dirname(rulesFile), { recursive: true, force: true }));
+
+const row = (overrides = {}) => ({
+    incident_type: 'SHOTS FIRED', incident_code: '', city: 'ANTIOCH', location: '100 MAIN ST', hour: 23, category: 'violent', ...overrides
+});
+
+test('a malformed rule in the file is logged and skipped', (t) => {
+    fs.writeFileSync(rulesFile, JSON.stringify([
+        { name: 'typo', rule: 'type in (SHOTS FIRED' },
+        { rule: 'city = ANTIOCH' },
+        { name: 'antioch', rule: 'city = ANTIOCH' }
+    ]));
+    const errors = t.mock.method(console, 'error', () => {});
+    
+    const fired = subscriptions.evaluateIncidents([row()], 0);
+    assert.deepEqual(fired.map(f => f.subscription.name), ['antioch']);
+    subscriptions.listSubscriptions();
+    assert.equal(errors.mock.callCount(), 2, 'each problem is logged once');
+    assert.match(errors.mock.calls[0].arguments[0], /skipping rule "typo"/);
+    assert.match(errors.mock.calls[1].arguments[0], /skipping rule #2: name is required/);
+});
+
+test('a rules file that is not JSON is ignored', (t) => {
+    fs.writeFileSync(rulesFile, '[{ "name": "oops", ');
+    t.mock.method(console, 'error', () => {});
+    subscriptions.addSubscription({ name: 'violent', rule: 'category = violent' });
+    
+    assert.deepEqual(subscriptions.evaluateIncidents([row()], 0).map(f => f.subscription.name), ['violent']);
+});
+
+test('street rules match however the street is spelled', () => {
+    const rule = subscriptions.parseRule('street = eighth avenue south or street in (wedgewood av)');
+    assert.ok(subscriptions.evaluate(rule, row({ location: '2650 8TH AV S' })));
+    assert.ok(subscriptions.evaluate(rule, row({ location: 'WEDGEWOOD AVENUE / 12TH AVE S' })));
+    assert.ok(!subscriptions.evaluate(rule, row({ location: '2650 9TH AVE S' })));
+    assert.ok(subscriptions.evaluate(subscriptions.parseRule('street ~ avenue'), row({ location: 'AVENUE RD' })));
+});
+
+test('a stored rule that no longer parses is logged and skipped', (t) => {
+    fs.writeFileSync(rulesFile, '[]');
+    const errors = t.mock.method(console, 'error', () => {});
+    require('../db').db.prepare(`
+        INSERT INTO subscriptions (name, rule, notify, cooldown_min, created_at) VALUES ('late', 'hour in 22-30', NULL, 15, 0)
+    `).run();
+    subscriptions.addSubscription({ name: 'violent', rule: 'category = violent' });
+    
+    assert.deepEqual(subscriptions.evaluateIncidents([row()], 0).map(f => f.subscription.name), ['violent']);
+    subscriptions.listSubscriptions();
+    assert.equal(errors.mock.callCount(), 1);
+    assert.match(errors.mock.calls[0].arguments[0], /Skipping subscription "late": Hours run from 0 to 23, not "30"/);
+});
+
+test('a file rule and a stored rule with the same name cool down separately', () => {
+    fs.writeFileSync(rulesFile, JSON.stringify([{ name: 'antioch', rule: 'city = ANTIOCH', cooldownMinutes: 60 }]));
+    subscriptions.addSubscription({ name: 'antioch', rule: 'category = violent', cooldown: 60 });
+    
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    const fired = subscriptions.evaluateIncidents([row()], now);
+    assert.deepEqual(fired.map(f => f.subscription.source), ['db', 'file']);
+    
+    subscriptions.removeSubscription('antioch');
+    subscriptions.addSubscription({ name: 'antioch', rule: 'category = violent', cooldown: 0 });
+    // The stored rule's cooldown is over; the file rule is still quiet
+    assert.deepEqual(subscriptions.evaluateIncidents([row()], now + 60000).map(f => f.subscription.source), ['db']);
+});
+
+test('hours outside 0-23 are rejected and hours compare as numbers', () => {
+    assert.throws(() => subscriptions.parseRule('hour in 22-24'), subscriptions.RuleSyntaxError);
+    assert.throws(() => subscriptions.parseRule('hour = 99'), /Hours run from 0 to 23/);
+    assert.throws(() => subscriptions.parseRule('hour in (7, noon)'), subscriptions.RuleSyntaxError);
+    assert.ok(subscriptions.evaluate(subscriptions.parseRule('hour in (07, 23)'), row({ hour: 7 })));
+    assert.ok(subscriptions.evaluate(subscriptions.parseRule('hour in 22-06'), row({ hour: 3 })));
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const taxonomy = require('../taxonomy');
+
+const category = (name, code = null) => taxonomy.classify(code, name).category;
+
+test('keywords match whole words, not parts of longer ones', () => {
+    assert.equal(category('FIREARM VIOLATION'), 'other');
+    assert.equal(category('STABLE HORSE LOOSE'), 'other');
+    assert.equal(category('STRUCTURE FIRE'), 'fire');
+    assert.equal(category('STABBING'), 'violent');
+    assert.equal(category('SHOTS FIRED', '57P'), 'violent');
+});
+
+test('listed prefixes match the start of a word', () => {
+    assert.equal(category('SHOOTING'), 'violent');
+    assert.equal(category('CARJACKING'), 'robbery');
+    assert.equal(category('SHOPLIFTER'), 'property');
+    assert.equal(category('RESHOOT'), 'other');
+});
@@ -0,0 +1,36 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase } = require('./helpers');
+const db = require('../db');
+const geocoder = require('../geocoder');
+const zones = require('../zones');
+
+beforeEach(resetDatabase);
+
+const row = (location) => ({ location, city: 'NASHVILLE', lat: null, lng: null });
+
+test('the geocode cache and zones share address.js spellings', () => {
+    assert.equal(geocoder.normalizeAddress('2650 EIGHTH AVENUE SOUTH').key, '2650 8TH AVE S');
+    assert.equal(geocoder.normalizeAddress('2650 8TH AV S').key, '2650 8TH AVE S');
+    assert.equal(geocoder.normalizeAddress('WEDGEWOOD AV / 8TH AVE S').key, '8TH AVE S & WEDGEWOOD AVE');
+    assert.equal(geocoder.normalizeAddress('  '), null);
+});
+
+test('zones without coordinates match streets however they are spelled', async () => {
+    await zones.addZone({ name: 'Office', address: '2650 Eighth Avenue South', lat: 36.12, lng: -86.78, radius: 500, streets: ['wedgewood av'] });
+    // Saved by an older release, before zone streets were normalized
+    db.db.prepare(`
+        INSERT INTO zones (name, kind, center_lat, center_lng, radius_m, streets, created_at)
+        VALUES ('Old', 'radius', 36.1, -86.7, 100, '["12TH AVENUE SOUTH"]', 0)
+    `).run();
+    const names = (location) => zones.matchIncident(row(location)).map(m => m.zone.name);
+    
+    assert.deepEqual(names('2600 8TH AV S'), ['Office']);
+    assert.deepEqual(names('WEDGEWOOD AVENUE / 12TH AVE S').sort(), ['Office', 'Old']);
+    assert.deepEqual(names('100 9TH AVE S'), []);
+});
+
+test('a zone whose address has no street is saved without fallback streets', async () => {
+    await zones.addZone({ name: 'Campus', address: '  ', lat: 36.14, lng: -86.8, radius: 800, streets: ['West End Ave'] });
+    assert.deepEqual(zones.listZones()[0].streets, ['WEST END AVE']);
+});
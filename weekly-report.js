@@ -1,122 +1,229 @@
 #!/usr/bin/env node
 /**
- * Nashville Dispatch Weekly Report Generator
- * Generates analysis report and optionally updates Discord
+ * Nashville Dispatch Report Generator
+ * Daily, weekly (Sun–Sat) and monthly reports over calendar periods in
+ * Central time (see periods.js), each compared with the period before and
+ * the same period a year earlier. Reports are archived in dispatch.db keyed
+ * on the period and its ISO start date, and published to the configured
+ * sinks (the Discord copy of the weekly report is edited in place each week).
+ *
+ * Usage:
+ *   node weekly-report.js [--daily|--monthly] [--date=YYYY-MM-DD] [--hotspots=street|block|intersection]
+ *   node weekly-report.js backfill [--daily|--weekly|--monthly] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--force]
+ *
+ * Without --date the last complete period is reported; --date picks the
+ * period containing that day. Hotspots rank streets unless --hotspots picks
+ * hundred blocks or intersections. backfill archives every complete period in
+ * the range (default: all of history) without publishing, skipping the ones
+ * already archived unless --force.
  */
 
 const db = require('./db');
+const taxonomy = require('./taxonomy');
+const sinks = require('./sinks');
+const periods = require('./periods');
+const chronic = require('./chronic');
 
-// Config
-const THREAD_ID = '1464889997361545271';
-const REPORT_MESSAGE_ID = process.env.REPORT_MESSAGE_ID; // Set after first send
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+const TITLES = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
 
-function generateReport(days = 7) {
-    const since = Date.now() - (days * 24 * 60 * 60 * 1000);
-    const now = new Date();
-    const weekStart = new Date(since).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'America/Chicago' });
-    const weekEnd = now.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'America/Chicago' });
-    
-    // Get total stats
-    const totalStats = db.db.prepare(`
-        SELECT 
-            COUNT(*) as total,
-            SUM(CASE WHEN incident_type IN ('SHOTS FIRED', 'FIGHT/ASSAULT') 
-                OR incident_type LIKE '%ROBBERY%' 
-                OR incident_type LIKE '%STAB%' 
-                OR incident_type LIKE '%HOMICIDE%' THEN 1 ELSE 0 END) as violent
-        FROM incidents 
-        WHERE call_received > ?
-    `).get(since);
-    
-    // Top incident types
-    const topTypes = db.db.prepare(`
-        SELECT incident_type, COUNT(*) as count
-        FROM incidents 
-        WHERE call_received > ?
+// Storm cleanup calls swamp the type list after bad weather, so they're lumped together
+const STORM_TYPES = ['WIRES DOWN', 'TREE DOWN', 'SAFETY HAZARD-BOTH TREES AND WIRES'];
+
+// Counts for the incidents received in [since, until). Totals, types, areas
+// and peak hours include the rollups of pruned days (see retention.js);
+// hotspots and events need the raw rows, so they only cover what's kept
+function periodStats({ since, until }, { hotspotsBy = 'street' } = {}) {
+    const params = { since, until };
+    const inRange = 'call_received >= @since AND call_received < @until';
+    const counts = db.countParams(since, until);
+    
+    const totals = db.db.prepare(`
+        SELECT
+            COALESCE(SUM(count), 0) as total,
+            COALESCE(SUM(CASE WHEN ${taxonomy.violentSql()} THEN count ELSE 0 END), 0) as violent
+        FROM ${db.countSource('types')}
+    `).get(counts);
+    
+    const types = db.db.prepare(`
+        SELECT incident_type, SUM(count) as count
+        FROM ${db.countSource('types')}
         GROUP BY incident_type
         ORDER BY count DESC
-        LIMIT 10
-    `).all(since);
-    
-    // Violent crime hotspots
-    const hotspots = db.getViolentStreets(days, 10);
-    
-    // Hourly distribution for violent crimes
-    const hourlyViolent = db.db.prepare(`
-        SELECT hour, COUNT(*) as count
-        FROM incidents 
-        WHERE call_received > ? 
-          AND hour IS NOT NULL
-          AND (incident_type IN ('SHOTS FIRED', 'FIGHT/ASSAULT') 
-               OR incident_type LIKE '%ROBBERY%')
+    `).all(counts);
+    
+    const areas = db.db.prepare(`
+        SELECT city, SUM(count) as count,
+            SUM(CASE WHEN ${taxonomy.violentSql()} THEN count ELSE 0 END) as violent
+        FROM ${db.countSource('types')}
+        WHERE city IS NOT NULL AND city != ''
+        GROUP BY city
+        ORDER BY violent DESC, count DESC
+    `).all(counts);
+    
+    // Ranked by street, block or intersection; calls from one event (see events.js) count once
+    const hotspots = db.db.prepare(`
+        SELECT spot AS ${hotspotsBy}, city,
+            COUNT(DISTINCT CASE WHEN event_id IS NULL THEN 'call:' || id ELSE 'event:' || event_id END) as count,
+            COUNT(*) as calls
+        FROM ${db.hotspotSource(hotspotsBy)}
+        WHERE ${inRange}
+          AND spot IS NOT NULL
+          AND ${taxonomy.violentSql()}
+        GROUP BY spot, city
+        ORDER BY count DESC
+        LIMIT 5
+    `).all(params);
+    
+    const peakHours = db.db.prepare(`
+        SELECT hour, SUM(count) as count
+        FROM ${db.countSource('hours')}
+        WHERE ${taxonomy.violentSql()}
         GROUP BY hour
         ORDER BY count DESC
         LIMIT 5
-    `).all(since);
-    
-    // Areas with most activity
-    const topAreas = db.db.prepare(`
-        SELECT city, COUNT(*) as count,
-            SUM(CASE WHEN incident_type IN ('SHOTS FIRED', 'FIGHT/ASSAULT') 
-                OR incident_type LIKE '%ROBBERY%' THEN 1 ELSE 0 END) as violent
-        FROM incidents 
-        WHERE call_received > ? AND city IS NOT NULL AND city != ''
-        GROUP BY city
-        ORDER BY violent DESC, count DESC
-        LIMIT 10
-    `).all(since);
+    `).all(counts);
+    
+    const events = db.db.prepare(`
+        SELECT * FROM events
+        WHERE started_at >= @since AND started_at < @until
+    `).all(params);
+    const severity = (e) => taxonomy.categories().findIndex(c => c.category === e.category);
+    
+    return {
+        ...totals,
+        events: events.length,
+        eventCalls: events.reduce((sum, e) => sum + e.incident_count, 0),
+        largestEvents: events.sort((a, b) => severity(a) - severity(b) || b.incident_count - a.incident_count || a.started_at - b.started_at).slice(0, 5),
+        types: new Map(types.map(t => [t.incident_type, t.count])),
+        typeList: types,
+        areas: new Map(areas.map(a => [a.city, a])),
+        areaList: areas,
+        hotspots,
+        peakHours
+    };
+}
+
+// "▲ +12 (+8%)", "▼ −3 (−20%)", "→ 0", or "—" when there's nothing to compare with
+function change(current, previous) {
+    if (previous == null) return '—';
+    const diff = current - previous;
+    if (diff === 0) return '→ 0';
+    const percent = previous > 0 ? ` (${diff > 0 ? '+' : '−'}${Math.abs(diff / previous * 100).toFixed(0)}%)` : '';
+    return `${diff > 0 ? '▲ +' : '▼ −'}${Math.abs(diff)}${percent}`;
+}
+
+function pointChange(current, previous) {
+    if (previous == null) return '—';
+    const diff = current - previous;
+    if (Math.abs(diff) < 0.05) return '→ 0 pts';
+    return `${diff > 0 ? '▲ +' : '▼ −'}${Math.abs(diff).toFixed(1)} pts`;
+}
+
+function violentPercent(stats) {
+    return stats.total > 0 ? stats.violent / stats.total * 100 : 0;
+}
+
+// "Oct 17" in Central time
+function shortDate(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', timeZone: 'America/Chicago' });
+}
+
+function formatHour(hour) {
+    return hour === 0 ? '12 AM' : hour < 12 ? `${hour} AM` : hour === 12 ? '12 PM' : `${hour - 12} PM`;
+}
+
+/**
+ * Report for the period of the given kind containing `date` (default: the
+ * last complete one). Hotspots rank by `hotspotsBy` ('street', 'block' or
+ * 'intersection'). Archives it unless `archive` is false and returns the
+ * markdown.
+ */
+function generateReport(period = 'weekly', { date = null, now = Date.now(), archive = true, hotspotsBy = 'street' } = {}) {
+    const range = date ? periods.periodFor(period, date) : periods.lastComplete(period, new Date(now));
+    const prior = periods.previousPeriod(range);
+    const lastYear = periods.lastYearPeriod(range);
+    
+    const stats = periodStats(range, { hotspotsBy });
+    // A comparison period with no incidents at all predates our data, so it's left out
+    const compare = [
+        { name: `prior ${UNITS[period]}`, range: prior, stats: periodStats(prior) },
+        { name: 'last year', range: lastYear, stats: periodStats(lastYear) }
+    ].map(c => ({ ...c, stats: c.stats.total > 0 ? c.stats : null }));
+    const deltas = (pick, format = change) => compare.map(c => `${c.name} ${format(pick(stats), c.stats && pick(c.stats))}`).join(' · ');
     
-    // Format report
     let report = [];
-    report.push(`# 📊 Nashville Dispatch Weekly Report`);
-    report.push(`**${weekStart} — ${weekEnd}**\n`);
+    report.push(`# 📊 Nashville Dispatch ${TITLES[period]} Report`);
+    report.push(`**${periods.periodLabel(range)}**${range.until > now ? ' _(so far)_' : ''}\n`);
     
     report.push(`## Overview`);
-    report.push(`- **Total Incidents:** ${totalStats.total.toLocaleString()}`);
-    report.push(`- **Violent Crimes:** ${totalStats.violent} (${(totalStats.violent / totalStats.total * 100).toFixed(1)}%)\n`);
+    report.push(`- **Total Incidents:** ${stats.total.toLocaleString()} · ${deltas(s => s.total)}`);
+    report.push(`- **Violent Crimes:** ${stats.violent} (${violentPercent(stats).toFixed(1)}%) · ${deltas(violentPercent, pointChange)}`);
+    report.push(`- **Multi-call Events:** ${stats.events} (${stats.eventCalls} calls) · ${deltas(s => s.events)}`);
+    report.push(`_Compared with ${compare.map(c => `${periods.periodLabel(c.range)}${c.stats ? '' : ' (no data)'}`).join(' and ')}_\n`);
     
-    // Top incident types (exclude storm damage if it dominates)
+    // Top incident types (storm damage lumped together so it doesn't crowd out the rest)
     report.push(`## Top Incident Types`);
-    const stormTypes = ['WIRES DOWN', 'TREE DOWN', 'SAFETY HAZARD-BOTH TREES AND WIRES'];
-    const nonStormTypes = topTypes.filter(t => !stormTypes.includes(t.incident_type)).slice(0, 5);
-    const stormCount = topTypes.filter(t => stormTypes.includes(t.incident_type)).reduce((sum, t) => sum + t.count, 0);
-    
+    const stormCount = STORM_TYPES.reduce((sum, type) => sum + (stats.types.get(type) || 0), 0);
     if (stormCount > 0) {
-        report.push(`- Storm/Weather: ${stormCount}`);
+        const stormIn = (s) => STORM_TYPES.reduce((sum, type) => sum + (s.types.get(type) || 0), 0);
+        report.push(`- Storm/Weather: ${stormCount} · ${deltas(stormIn)}`);
     }
-    for (const t of nonStormTypes) {
-        report.push(`- ${t.incident_type}: ${t.count}`);
+    for (const t of stats.typeList.filter(t => !STORM_TYPES.includes(t.incident_type)).slice(0, 5)) {
+        report.push(`- ${t.incident_type}: ${t.count} · ${deltas(s => s.types.get(t.incident_type) || 0)}`);
     }
     report.push('');
     
-    // Violent crime hotspots
-    if (hotspots.length > 0) {
-        report.push(`## 🔥 Violent Crime Hotspots`);
-        for (const h of hotspots.slice(0, 5)) {
-            report.push(`- **${h.street}** (${h.city || 'Unknown'}): ${h.count}`);
+    // The worst multi-call events, one line each
+    if (stats.largestEvents.length > 0) {
+        report.push(`## 🧩 Major Events`);
+        for (const e of stats.largestEvents) {
+            report.push(`- ${e.summary}`);
+        }
+        report.push('');
+    }
+    
+    // Violent crime hotspots, counting each event once
+    if (stats.hotspots.length > 0) {
+        report.push(`## 🔥 Violent Crime Hotspots${hotspotsBy !== 'street' ? ` (by ${hotspotsBy})` : ''}`);
+        for (const h of stats.hotspots) {
+            report.push(`- **${h[hotspotsBy]}** (${h.city || 'Unknown'}): ${h.count}${h.calls > h.count ? ` (${h.calls} calls)` : ''}`);
+        }
+        report.push('');
+    }
+    
+    // Chronic addresses over the window ending with the period (or now, for one in progress)
+    const asOf = Math.min(range.until, now);
+    const chronicList = chronic.chronicLocations({ now: asOf, limit: 5 });
+    if (chronicList.length > 0) {
+        report.push(`## 🔁 Chronic Locations (${chronic.WINDOW_DAYS} days to ${shortDate(asOf - 1)})`);
+        for (const p of chronicList) {
+            const mix = p.types.slice(0, 3).map(t => `${t.type} ×${t.count}`).join(', ');
+            report.push(`- **${p.address}** (${[p.city || 'Unknown', p.name].filter(Boolean).join(', ')}): ${p.count} calls · ` +
+                `prior ${chronic.WINDOW_DAYS} days ${change(p.count, p.prior)} · ${mix} · ${shortDate(p.first)} – ${shortDate(p.last)}`);
         }
         report.push('');
     }
     
     // Peak hours
-    if (hourlyViolent.length > 0) {
+    if (stats.peakHours.length > 0) {
         report.push(`## ⏰ Peak Hours (Violent Crime)`);
-        for (const h of hourlyViolent) {
-            const hour12 = h.hour === 0 ? '12 AM' : h.hour < 12 ? `${h.hour} AM` : h.hour === 12 ? '12 PM' : `${h.hour - 12} PM`;
-            report.push(`- ${hour12}: ${h.count} incidents`);
+        for (const h of stats.peakHours) {
+            report.push(`- ${formatHour(h.hour)}: ${h.count} incidents`);
         }
         report.push('');
     }
     
-    // Areas breakdown
+    // Areas breakdown, compared on total calls
     report.push(`## 📍 Areas by Violent Crime`);
-    for (const a of topAreas.filter(a => a.violent > 0).slice(0, 5)) {
-        report.push(`- **${a.city}**: ${a.violent} violent / ${a.count} total`);
+    for (const a of stats.areaList.filter(a => a.violent > 0).slice(0, 5)) {
+        const total = (s) => (s.areas.get(a.city) || { count: 0 }).count;
+        report.push(`- **${a.city}**: ${a.violent} violent / ${a.count} total · ${deltas(total)}`);
     }
     report.push('');
     
     // Footer
-    const generated = now.toLocaleString('en-US', { 
+    const generated = new Date(now).toLocaleString('en-US', {
         month: 'short', day: 'numeric', year: 'numeric',
         hour: 'numeric', minute: '2-digit',
         timeZone: 'America/Chicago'
@@ -126,30 +233,82 @@ function generateReport(days = 7) {
     
     const reportText = report.join('\n');
     
-    // Archive to database
-    const insertReport = db.db.prepare(`
-        INSERT OR REPLACE INTO reports (week_start, week_end, report_text, total_incidents, violent_incidents, top_streets, peak_hours, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    
-    insertReport.run(
-        weekStart,
-        weekEnd,
-        reportText,
-        totalStats.total,
-        totalStats.violent,
-        JSON.stringify(hotspots.slice(0, 5)),
-        JSON.stringify(hourlyViolent),
-        Date.now()
-    );
+    if (archive) {
+        db.saveReport({
+            period,
+            start: range.start,
+            end: range.end,
+            text: reportText,
+            total: stats.total,
+            violent: stats.violent,
+            topStreets: stats.hotspots,
+            peakHours: stats.peakHours
+        });
+    }
     
     return reportText;
 }
 
+// Generate and publish a report; the weekly one is edited in place on Discord
+async function publishReport(period = 'weekly', options = {}) {
+    const report = generateReport(period, options);
+    await sinks.publish(sinks.fromMarkdown('report', report, period === 'weekly' ? { key: 'weekly-report' } : {}));
+    return report;
+}
+
+/**
+ * Archive every complete period between `from` and `to` (ISO dates;
+ * default: the first recorded incident through today). Returns
+ * { generated, skipped } counts.
+ */
+function backfill(period, { from = null, to = null, force = false, now = Date.now(), hotspotsBy = 'street' } = {}) {
+    const first = db.db.prepare('SELECT MIN(call_received) as first FROM incidents').get().first;
+    if (first == null) return { generated: 0, skipped: 0 };
+    
+    const start = from || periods.centralClock(new Date(first)).date;
+    const end = to || periods.centralClock(new Date(now)).date;
+    let generated = 0;
+    let skipped = 0;
+    for (const range of periods.periodsBetween(period, start, end, new Date(now))) {
+        if (!force && db.getReport(period, range.start)) {
+            skipped++;
+            continue;
+        }
+        generateReport(period, { date: range.start, now, hotspotsBy });
+        generated++;
+    }
+    return { generated, skipped };
+}
+
+async function cli(args) {
+    const option = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : null;
+    };
+    for (const name of ['date', 'from', 'to']) {
+        if (option(name) && !periods.isIsoDate(option(name))) throw new Error(`--${name} must be YYYY-MM-DD`);
+    }
+    const hotspotsBy = option('hotspots') || 'street';
+    if (!db.HOTSPOT_KINDS.includes(hotspotsBy)) throw new Error(`--hotspots must be one of ${db.HOTSPOT_KINDS.join(', ')}`);
+    const chosen = periods.PERIODS.filter(p => args.includes(`--${p}`));
+    
+    if (args[0] === 'backfill') {
+        for (const period of chosen.length > 0 ? chosen : periods.PERIODS) {
+            const { generated, skipped } = backfill(period, { from: option('from'), to: option('to'), force: args.includes('--force'), hotspotsBy });
+            console.log(`${TITLES[period]}: ${generated} report${generated !== 1 ? 's' : ''} archived${skipped ? `, ${skipped} already there` : ''}`);
+        }
+        return;
+    }
+    
+    console.log(await publishReport(chosen[0] || 'weekly', { date: option('date'), hotspotsBy }));
+}
+
 // Run if called directly
 if (require.main === module) {
-    const report = generateReport(7);
-    console.log(report);
+    cli(process.argv.slice(2)).catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
 }
 
-module.exports = { generateReport };
+module.exports = { generateReport, publishReport, backfill };
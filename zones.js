@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/**
+ * Nashville Dispatch Watch Zones
+ * Named areas (GeoJSON polygons or a radius around an address/point) that
+ * new incidents are checked against. Matching uses geocoded coordinates and
+ * falls back to street (and optional city) names when there are none.
+ *
+ * Usage:
+ *   node zones.js add <name> --address="2600 8TH AVE S" --radius=500 [--city=BERRY HILL]
+ *   node zones.js add <name> --lat=36.12 --lng=-86.77 --radius=300 [--streets="8TH AVE S,WEDGEWOOD AVE"]
+ *   node zones.js add <name> --geojson=campus.geojson [--streets=...] [--city=...]
+ *   node zones.js list [--json]
+ *   node zones.js remove <name>
+ */
+
+const fs = require('fs');
+const db = require('./db');
+const taxonomy = require('./taxonomy');
+const geocoder = require('./geocoder');
+const { normalizeStreet } = require('./address');
+const { distanceMeters, pointInGeometry } = require('./geo');
+
+const insertZone = db.db.prepare(`
+    INSERT INTO zones (name, kind, geometry, center_lat, center_lng, radius_m, address, streets, city, created_at)
+    VALUES (@name, @kind, @geometry, @centerLat, @centerLng, @radius, @address, @streets, @city, @now)
+`);
+
+function parseZone(row) {
+    return {
+        ...row,
+        geometry: row.geometry ? JSON.parse(row.geometry) : null,
+        // Zones saved before streets were normalized are normalized as they're read
+        streets: row.streets ? normalizeStreets(JSON.parse(row.streets)) : []
+    };
+}
+
+function listZones() {
+    return db.db.prepare('SELECT * FROM zones ORDER BY name').all().map(parseZone);
+}
+
+function removeZone(name) {
+    return db.db.prepare('DELETE FROM zones WHERE name = ? COLLATE NOCASE').run(name).changes > 0;
+}
+
+// First Polygon/MultiPolygon geometry in a GeoJSON geometry, Feature or FeatureCollection
+function extractGeometry(geojson) {
+    if (geojson.type === 'FeatureCollection') {
+        for (const f of geojson.features) {
+            const g = extractGeometry(f);
+            if (g) return g;
+        }
+        return null;
+    }
+    if (geojson.type === 'Feature') return extractGeometry(geojson.geometry || {});
+    if (geojson.type === 'Polygon' || geojson.type === 'MultiPolygon') return geojson;
+    return null;
+}
+
+// Spelled the way incidents' streets are ("8th avenue south" -> "8TH AVE S")
+function normalizeStreets(streets) {
+    return [...new Set(streets.map(s => normalizeStreet(s)).filter(Boolean))];
+}
+
+/**
+ * Create a zone. Pass either `geometry` (GeoJSON polygon), or `radius`
+ * with `lat`/`lng` or an `address` to geocode.
+ */
+async function addZone({ name, geometry, address, lat, lng, radius, streets = [], city = null }) {
+    if (!name) throw new Error('Zone name is required');
+    
+    let kind, centerLat = null, centerLng = null;
+    if (geometry) {
+        kind = 'polygon';
+    } else {
+        if (!(radius > 0)) throw new Error('Radius zones need --radius=<meters>');
+        kind = 'radius';
+        if (lat == null || lng == null) {
+            if (!address) throw new Error('Radius zones need --address or --lat/--lng');
+            const coords = await geocoder.geocode(address);
+            if (!coords) throw new Error(`Could not geocode "${address}"; pass --lat/--lng instead`);
+            ({ lat, lng } = coords);
+        }
+        centerLat = lat;
+        centerLng = lng;
+    }
+    
+    // The zone's own address gives us a street to fall back on, when there
+    // is one to parse (a blank --address beside --lat/--lng has none)
+    const place = address ? geocoder.normalizeAddress(address) : null;
+    const fallbackStreets = place ? place.streets : [];
+    
+    insertZone.run({
+        name,
+        kind,
+        geometry: geometry ? JSON.stringify(geometry) : null,
+        centerLat,
+        centerLng,
+        radius: kind === 'radius' ? radius : null,
+        address: address || null,
+        streets: JSON.stringify(normalizeStreets([...streets, ...fallbackStreets])),
+        city: city ? city.toUpperCase() : null,
+        now: Date.now()
+    });
+}
+
+/**
+ * Zones an incident row falls in. Each match is { zone, distance, method }
+ * where distance is meters from a radius zone's center (0 inside a polygon,
+ * null for street matches) and method is 'coords' or 'street'.
+ */
+function matchIncident(incident, zones = listZones()) {
+    const coords = geocoder.incidentCoords(incident);
+    const address = geocoder.normalizeAddress(incident.location);
+    const incidentStreets = address ? address.streets : [];
+    const matches = [];
+    
+    for (const zone of zones) {
+        if (coords) {
+            if (zone.kind === 'polygon' && pointInGeometry(coords, zone.geometry)) {
+                matches.push({ zone, distance: 0, method: 'coords' });
+            } else if (zone.kind === 'radius') {
+                const distance = distanceMeters(coords, { lat: zone.center_lat, lng: zone.center_lng });
+                if (distance <= zone.radius_m) {
+                    matches.push({ zone, distance, method: 'coords' });
+                }
+            }
+            continue;
+        }
+        
+        const cityOk = !zone.city || (incident.city || '').toUpperCase() === zone.city;
+        if (cityOk && incidentStreets.some(s => zone.streets.includes(s))) {
+            matches.push({ zone, distance: null, method: 'street' });
+        }
+    }
+    
+    return matches;
+}
+
+// Zone alerts for a batch of incident rows: [{ zone, incident, distance, method }]
+function checkIncidents(incidents) {
+    const zones = listZones();
+    if (zones.length === 0) return [];
+    return incidents.flatMap(incident => matchIncident(incident, zones).map(m => ({ ...m, incident })));
+}
+
+function formatDistance(meters) {
+    if (meters === 0) return 'inside';
+    return meters < 1000 ? `${Math.round(meters)} m away` : `${(meters / 1000).toFixed(1)} km away`;
+}
+
+function formatAlert({ zone, incident, distance, method }) {
+    const { emoji, label } = taxonomy.classify(incident.incident_code, incident.incident_type);
+    const where = method === 'street' ? 'same street' : formatDistance(distance);
+    return `🚨 **${zone.name}** (${where}) - ${emoji} ${incident.incident_type} [${label}] at ${incident.location || 'Unknown'}${incident.city ? ` (${incident.city})` : ''}`;
+}
+
+// Sink message (see sinks.js) for a zone alert
+function alertMessage(alert) {
+    const { color, severity } = taxonomy.classify(alert.incident.incident_code, alert.incident.incident_type);
+    return {
+        kind: 'alert',
+        title: `📍 ${alert.zone.name}`,
+        text: formatAlert(alert),
+        color,
+        severity,
+        data: { zone: alert.zone.name, distance: alert.distance, method: alert.method, incident: alert.incident }
+    };
+}
+
+function describeZone(zone) {
+    const shape = zone.kind === 'radius'
+        ? `${zone.radius_m} m around ${zone.address || `${zone.center_lat.toFixed(5)}, ${zone.center_lng.toFixed(5)}`}`
+        : 'polygon';
+    const fallback = zone.streets.length ? ` | streets: ${zone.streets.join(', ')}` : '';
+    return `- **${zone.name}**: ${shape}${zone.city ? ` (${zone.city})` : ''}${fallback}`;
+}
+
+async function cli(args) {
+    const [command, name] = args.filter(a => !a.startsWith('--'));
+    const option = key => {
+        const arg = args.find(a => a.startsWith(`--${key}=`));
+        return arg ? arg.slice(key.length + 3) : undefined;
+    };
+    const number = key => option(key) === undefined ? undefined : parseFloat(option(key));
+    
+    switch (command) {
+        case 'add': {
+            const geojsonFile = option('geojson');
+            let geometry;
+            if (geojsonFile) {
+                geometry = extractGeometry(JSON.parse(fs.readFileSync(geojsonFile, 'utf8')));
+                if (!geometry) throw new Error(`${geojsonFile} has no Polygon or MultiPolygon`);
+            }
+            await addZone({
+                name,
+                geometry,
+                address: option('address'),
+                lat: number('lat'),
+                lng: number('lng'),
+                radius: number('radius'),
+                streets: (option('streets') || '').split(',').filter(Boolean),
+                city: option('city')
+            });
+            console.log(`Added zone "${name}"`);
+            break;
+        }
+        case 'list': {
+            const zones = listZones();
+            if (args.includes('--json')) {
+                console.log(JSON.stringify(zones, null, 2));
+            } else if (zones.length === 0) {
+                console.log('No zones defined');
+            } else {
+                console.log(`# 📍 Watch Zones (${zones.length})\n`);
+                zones.forEach(z => console.log(describeZone(z)));
+            }
+            break;
+        }
+        case 'remove':
+            if (!removeZone(name)) throw new Error(`No zone named "${name}"`);
+            console.log(`Removed zone "${name}"`);
+            break;
+        default:
+            console.error('Usage: node zones.js add|list|remove ... (see header of zones.js)');
+            process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    cli(process.argv.slice(2)).catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { addZone, listZones, removeZone, matchIncident, checkIncidents, formatAlert, alertMessage };